@@ -7,7 +7,7 @@
  */
 
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
-const { PipelineEngine, PolicyEngine, fixTests } = require('../src');
+const { PipelineEngine, PolicyEngine, fixTests, improveAndDiff } = require('../src');
 
 async function main() {
   console.log('🔧 Fix Tests Pipeline\n');
@@ -24,6 +24,7 @@ async function main() {
     autoApprove: true
   });
 
+  engine.registerPipeline(improveAndDiff);
   engine.registerPipeline(fixTests);
 
   // Mock test failure data
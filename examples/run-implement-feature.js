@@ -7,7 +7,7 @@
  */
 
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
-const { PipelineEngine, PolicyEngine, implementFeature } = require('../src');
+const { PipelineEngine, PolicyEngine, implementFeature, improveAndDiff } = require('../src');
 const readline = require('readline');
 
 const rl = readline.createInterface({
@@ -52,6 +52,7 @@ async function main() {
     }
   });
 
+  engine.registerPipeline(improveAndDiff);
   engine.registerPipeline(implementFeature);
 
   // Get user input
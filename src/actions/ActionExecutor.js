@@ -0,0 +1,536 @@
+/**
+ * ActionExecutor - Applies collected pipeline actions to a workspace
+ *
+ * `runPipeline` only collects actions (`result.actions`); this applies them,
+ * in order, inside a workspace root:
+ *
+ * | Type | Effect |
+ * |------|--------|
+ * | CREATE_FILE | Write `payload.content` to `targets[0]` (fails if it exists, unless `overwrite`) |
+ * | MODIFY_FILE | Replace the content of an existing `targets[0]` with `payload.content` |
+ * | DELETE_FILE | Delete every target |
+ * | APPLY_DIFF | Apply the unified diff in `payload.diff` to its targets (one per file) or the files its headers name; conflicts change nothing |
+ * | RUN_COMMAND | Run `payload.command` (in `payload.cwd`) through the CommandRunner sandbox |
+ * | CREATE_BRANCH | `git checkout -b <payload.branch>` |
+ * | COMMIT_CHANGES | `git add -A` and `git commit -m <payload.message>` |
+ * | SHOW_MESSAGE | Nothing; the message is reported |
+ * | REQUEST_APPROVAL | Ask for approval; a rejection stops the batch |
+ *
+ * Every action is checked with `PolicyEngine.checkAction` first and needs
+ * approval when the policy (or, without a policy engine, the action) asks
+ * for it. File targets must stay inside the root, also after following
+ * symlinks, and out of `.git`. The first action that is denied, rejected or
+ * fails stops the batch unless `continueOnError` is set; the rest are
+ * reported as skipped.
+ *
+ * A batch is a transaction: files are captured in a SnapshotStore before an
+ * action first changes them, and a batch that stops early is rolled back.
+ * Completed batches can be rolled back later with `rollback(runId)`.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { CommandRunner } = require('../exec/CommandRunner');
+const { UnifiedDiff } = require('../diff/UnifiedDiff');
+const { SnapshotStore } = require('../workspace/SnapshotStore');
+
+const ACTION_TYPES = [
+  'APPLY_DIFF', 'CREATE_FILE', 'MODIFY_FILE', 'DELETE_FILE', 'RUN_COMMAND',
+  'CREATE_BRANCH', 'COMMIT_CHANGES', 'SHOW_MESSAGE', 'REQUEST_APPROVAL'
+];
+
+// Refs git accepts that are also safe to pass through a shell
+const BRANCH_NAME = /^(?!-)(?!.*\.\.)[A-Za-z0-9._/-]+$/;
+
+const DEFAULT_COMMAND_TIMEOUT = 120000;
+
+class ActionExecutor {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root=process.cwd()] - Workspace root
+   * @param {PolicyEngine} [options.policyEngine] - Checks every action
+   * @param {Function} [options.onApprovalRequired] - `async ({ type: 'action', action }) => boolean`;
+   *   without one, approvals are granted (like PipelineEngine)
+   * @param {boolean} [options.autoApprove=false] - Skip approvals
+   * @param {boolean} [options.overwrite=false] - Let CREATE_FILE replace existing files
+   * @param {boolean} [options.continueOnError=false] - Keep going after a failed action
+   * @param {number} [options.fuzz=2] - Context lines APPLY_DIFF may ignore at each end of a hunk
+   * @param {number} [options.maxOffset=Infinity] - How many lines from its header APPLY_DIFF may find a hunk
+   * @param {number} [options.commandTimeout=120000] - Timeout of commands (ms)
+   * @param {CommandRunner} [options.commandRunner] - Runner for commands (default: sandboxed at root)
+   * @param {SnapshotStore|false} [options.snapshots] - Where touched files are captured
+   *   (default: a SnapshotStore at root); false applies without transactions
+   * @param {boolean} [options.verbose=false]
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.policyEngine = options.policyEngine || null;
+    this.commandRunner = options.commandRunner || new CommandRunner({ root: this.root });
+    this.snapshots = options.snapshots === undefined ? new SnapshotStore({ root: this.root }) : options.snapshots || null;
+    this.options = {
+      onApprovalRequired: options.onApprovalRequired || null,
+      autoApprove: options.autoApprove || false,
+      overwrite: options.overwrite || false,
+      continueOnError: options.continueOnError || false,
+      fuzz: options.fuzz === undefined ? 2 : options.fuzz,
+      maxOffset: options.maxOffset === undefined ? Infinity : options.maxOffset,
+      commandTimeout: options.commandTimeout || DEFAULT_COMMAND_TIMEOUT,
+      verbose: options.verbose || false
+    };
+  }
+
+  /**
+   * Short description of an action, e.g. `RUN_COMMAND npm test`
+   * @param {Object} action - Pipeline action
+   * @returns {string}
+   */
+  static describe(action) {
+    const payload = action.payload || {};
+    const subject = payload.command || payload.branch || payload.message || (action.targets || []).join(', ');
+    return subject ? `${action.type} ${subject}` : action.type;
+  }
+
+  /**
+   * Apply actions in order
+   * @param {Array<Object>} actions - Pipeline actions (e.g. `result.actions`)
+   * @param {Object} [context={}] - Execution context passed to the policy engine
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops before the next action and kills running commands
+   * @param {string} [options.runId] - Id the snapshot is stored under (e.g. the pipeline run's)
+   * @returns {Promise<Object>} Report: { success, applied, runId, outcomes: [{ index, type, targets, status, ... }],
+   *   rollback? }
+   */
+  async apply(actions, context = {}, options = {}) {
+    const outcomes = [];
+    const runId = options.runId || `actions-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    // Opened when the first file is captured
+    const transaction = this.snapshots ? { runId, begun: false } : null;
+    let stopped = false;
+
+    for (const [index, action] of actions.entries()) {
+      const outcome = { index, type: action.type, targets: action.targets || [] };
+      outcomes.push(outcome);
+
+      if (stopped || (options.signal && options.signal.aborted)) {
+        outcome.status = 'skipped';
+        continue;
+      }
+
+      try {
+        const authorization = await this.authorize(action, context);
+        if (authorization) {
+          Object.assign(outcome, authorization);
+        } else {
+          Object.assign(outcome, { status: 'applied' }, await this.execute(action, { ...options, transaction }));
+        }
+      } catch (error) {
+        outcome.status = 'failed';
+        outcome.error = error.message;
+        if (error.conflicts) {
+          outcome.conflicts = error.conflicts;
+        }
+      }
+
+      this.log(`${outcome.status === 'applied' ? '✅' : '❌'} ${ActionExecutor.describe(action)}: ${outcome.status}${outcome.error ? ` (${outcome.error})` : ''}`);
+      if (outcome.status !== 'applied' && !this.options.continueOnError) {
+        stopped = true;
+      }
+    }
+
+    const applied = outcomes.filter(outcome => outcome.status === 'applied').length;
+    const report = { success: applied === actions.length, applied, runId, outcomes };
+
+    if (transaction && transaction.begun) {
+      try {
+        if (report.success || this.options.continueOnError) {
+          await this.snapshots.commit(runId);
+        } else {
+          report.rollback = await this.snapshots.rollback(runId);
+          this.log(`↩️  Rolled back ${runId}`);
+        }
+      } catch (error) {
+        report.success = false;
+        report.transactionError = error.message;
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Restore the files a batch changed
+   * @param {string} runId - Run ID of an applied batch
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Even if the files were changed since
+   * @returns {Promise<Object>} { runId, restored, removed }
+   */
+  async rollback(runId, options = {}) {
+    if (!this.snapshots) {
+      throw new Error('Rollback needs a snapshot store (snapshots are disabled)');
+    }
+    return this.snapshots.rollback(runId, options);
+  }
+
+  /**
+   * Policy check and approval
+   * @private
+   * @returns {Promise<Object|null>} Outcome fields when the action may not run
+   */
+  async authorize(action, context) {
+    if (!ACTION_TYPES.includes(action.type)) {
+      throw new Error(`Unknown action type: ${action.type}`);
+    }
+
+    let requiresApproval = action.requiresApproval !== false;
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkAction(action, context);
+      if (!policyCheck.allowed) {
+        return { status: 'denied', error: `Action blocked by policy: ${policyCheck.reason}` };
+      }
+      requiresApproval = Boolean(policyCheck.requiresApproval);
+    }
+
+    // REQUEST_APPROVAL actions always ask
+    if ((requiresApproval || action.type === 'REQUEST_APPROVAL') && !this.options.autoApprove) {
+      const approved = this.options.onApprovalRequired
+        ? await this.options.onApprovalRequired({ type: 'action', action })
+        : true;
+      if (!approved) {
+        return { status: 'rejected', error: 'Action rejected by user' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Carry out one authorized action
+   * @private
+   * @returns {Promise<Object>} Extra outcome fields
+   */
+  async execute(action, options) {
+    const payload = action.payload || {};
+    const targets = action.targets || [];
+
+    switch (action.type) {
+      case 'CREATE_FILE': {
+        const file = await this.resolveTarget(targets[0], action.type);
+        if (!this.options.overwrite && await exists(file)) {
+          throw new Error(`${targets[0]} already exists`);
+        }
+        const content = requireString(payload.content, 'CREATE_FILE payload.content');
+        await this.capture([targets[0]], options);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, content);
+        return {};
+      }
+
+      case 'MODIFY_FILE': {
+        const file = await this.resolveTarget(targets[0], action.type);
+        if (!await exists(file)) {
+          throw new Error(`${targets[0]} does not exist`);
+        }
+        const content = requireString(payload.content, 'MODIFY_FILE payload.content');
+        await this.capture([targets[0]], options);
+        await fs.writeFile(file, content);
+        return {};
+      }
+
+      case 'DELETE_FILE': {
+        if (targets.length === 0) {
+          throw new Error('DELETE_FILE needs at least one target');
+        }
+        const files = [];
+        for (const target of targets) {
+          files.push(await this.resolveTarget(target, action.type));
+        }
+        for (const [i, file] of files.entries()) {
+          if (!await exists(file)) {
+            throw new Error(`${targets[i]} does not exist`);
+          }
+        }
+        await this.capture(targets, options);
+        await Promise.all(files.map(file => fs.unlink(file)));
+        return {};
+      }
+
+      case 'APPLY_DIFF':
+        return this.applyDiff(requireString(payload.diff, 'APPLY_DIFF payload.diff'), targets, options);
+
+      case 'RUN_COMMAND': {
+        const command = requireString(payload.command, 'RUN_COMMAND payload.command');
+        return this.runCommand(command, payload.cwd, options);
+      }
+
+      case 'CREATE_BRANCH': {
+        const branch = payload.branch || payload.name || targets[0];
+        if (typeof branch !== 'string' || !BRANCH_NAME.test(branch)) {
+          throw new Error(`Invalid branch name: ${branch}`);
+        }
+        return this.runCommand(`git checkout -b ${branch}`, '.', options);
+      }
+
+      case 'COMMIT_CHANGES': {
+        const message = requireString(payload.message, 'COMMIT_CHANGES payload.message');
+        return this.runCommand(`git add -A && git commit -m ${shellQuote(message)}`, '.', options);
+      }
+
+      case 'SHOW_MESSAGE':
+        return { message: payload.message || action.reasoning };
+
+      case 'REQUEST_APPROVAL':
+        return {};
+
+      default:
+        throw new Error(`Unknown action type: ${action.type}`);
+    }
+  }
+
+  /**
+   * Apply a (possibly multi-file) unified diff
+   *
+   * Every file is patched in memory first; nothing is written unless all
+   * hunks apply, so conflicts never leave files half-patched. Renamed files
+   * are read from their old path, written to the new one, and the old one
+   * is removed.
+   * @private
+   * @returns {Promise<Object>} { targets, hunks, reversePatch }
+   */
+  async applyDiff(diff, targets, options) {
+    const files = this.mapDiffTargets(UnifiedDiff.parse(diff), targets);
+
+    const results = [];
+    for (const { from, to, patch } of files) {
+      const source = from === null ? null : await this.resolveTarget(from, 'APPLY_DIFF');
+      const destination = to === null ? null : await this.resolveTarget(to, 'APPLY_DIFF');
+      if (source !== null && !await exists(source)) {
+        throw new Error(`${from} does not exist`);
+      }
+      if (destination !== null && destination !== source && await exists(destination) && !this.options.overwrite) {
+        throw new Error(`${to} already exists`);
+      }
+      const original = source === null ? '' : await fs.readFile(source, 'utf-8');
+      const result = UnifiedDiff.apply(original, patch, {
+        fuzz: this.options.fuzz,
+        maxOffset: this.options.maxOffset
+      });
+      results.push({ from, to, source, destination, patch, result, target: to === null ? from : to });
+    }
+
+    const conflicts = results.flatMap(({ target, result }) =>
+      result.conflicts.map(conflict => ({ target, ...conflict })));
+    if (conflicts.length > 0) {
+      const error = new Error(results
+        .filter(({ result }) => result.conflicts.length > 0)
+        .map(({ target, result }) => {
+          const lines = result.conflicts.map(conflict => conflict.oldStart);
+          return lines.length === 1
+            ? `Hunk at line ${lines[0]} of ${target} does not match the file`
+            : `Hunks at lines ${lines.join(', ')} of ${target} do not match the file`;
+        })
+        .join('; '));
+      error.conflicts = conflicts;
+      throw error;
+    }
+
+    const touched = [...new Set(results.flatMap(({ from, to }) => [from, to]).filter(target => target !== null))];
+    await this.capture(touched, options);
+    for (const { source, destination, result } of results) {
+      if (destination !== null) {
+        await fs.mkdir(path.dirname(destination), { recursive: true });
+        await fs.writeFile(destination, result.content);
+      }
+      if (source !== null && source !== destination) {
+        await fs.unlink(source);
+      }
+    }
+
+    return {
+      targets: touched,
+      hunks: results.flatMap(({ target, result }) => result.hunks.map(hunk => ({ target, ...hunk }))),
+      reversePatch: UnifiedDiff.format(results.map(({ from, to, patch }) =>
+        UnifiedDiff.reverse({ oldPath: from, newPath: to, hunks: patch.hunks })))
+    };
+  }
+
+  /**
+   * Pair file patches with workspace paths: `from` is read, `to` written
+   * (null for created and deleted files).
+   *
+   * Without targets the diff's own paths are used. Otherwise there must be
+   * one target per patch, in order, and it replaces the patch's path; a
+   * rename's target must be one of its two paths. `current-file` is a
+   * placeholder for "whatever the diff names".
+   * @private
+   */
+  mapDiffTargets(patches, targets) {
+    const named = targets.filter(target => target && target !== 'current-file');
+    if (named.length > 0 && named.length !== patches.length) {
+      throw new Error(`APPLY_DIFF has ${named.length} target${named.length === 1 ? '' : 's'} for a diff of ${patches.length} file${patches.length === 1 ? '' : 's'}`);
+    }
+
+    return patches.map((patch, index) => {
+      if (named.length === 0) {
+        if (!patch.oldPath && !patch.newPath) {
+          throw new Error('APPLY_DIFF needs a target file (none in targets or the diff headers)');
+        }
+        return { from: patch.oldPath, to: patch.newPath, patch };
+      }
+
+      const target = named[index];
+      if (UnifiedDiff.isRename(patch)) {
+        if (target !== patch.oldPath && target !== patch.newPath) {
+          throw new Error(`APPLY_DIFF target ${target} is not part of the rename ${patch.oldPath} -> ${patch.newPath}`);
+        }
+        return { from: patch.oldPath, to: patch.newPath, patch };
+      }
+      return { from: patch.oldPath === null ? null : target, to: patch.newPath === null ? null : target, patch };
+    });
+  }
+
+  /**
+   * Snapshot files before an action first changes them
+   * @private
+   */
+  async capture(targets, options) {
+    const { transaction } = options;
+    if (!transaction) {
+      return;
+    }
+    if (!transaction.begun) {
+      await this.snapshots.begin(transaction.runId);
+      transaction.begun = true;
+    }
+    await this.snapshots.capture(transaction.runId, targets);
+  }
+
+  /**
+   * Run a command and fail on a non-zero exit
+   * @private
+   */
+  async runCommand(command, cwd, options) {
+    const output = await this.commandRunner.run(command, {
+      cwd,
+      timeout: this.options.commandTimeout,
+      signal: options.signal
+    });
+    if (output.timedOut || output.exitCode !== 0) {
+      throw new Error(output.timedOut
+        ? `Command timed out after ${this.options.commandTimeout}ms: ${command}`
+        : `Command exited with code ${output.exitCode}: ${command}${output.stderr ? `\n${output.stderr.trim()}` : ''}`);
+    }
+    return { output };
+  }
+
+  /**
+   * Absolute path of a file target inside the root
+   *
+   * Besides the path itself, where its nearest existing ancestor really is
+   * (after symlinks) must be inside the root too, and nothing may be written
+   * under `.git` (hooks there run later).
+   * @private
+   */
+  async resolveTarget(target, type) {
+    if (typeof target !== 'string' || !target) {
+      throw new Error(`${type} needs a target file`);
+    }
+    const resolved = path.resolve(this.root, target);
+    const relative = path.relative(this.root, resolved);
+    if (!relative || isOutside(relative)) {
+      throw new Error(`Target ${target} is outside the workspace root ${this.root}`);
+    }
+    if (inGitDirectory(relative)) {
+      throw new Error(`Target ${target} is inside .git`);
+    }
+
+    let existing = resolved;
+    while (!await lexists(existing)) {
+      existing = path.dirname(existing);
+    }
+    let real;
+    try {
+      real = path.relative(await fs.realpath(this.root), await fs.realpath(existing));
+    } catch (error) {
+      throw new Error(`Target ${target} goes through a broken symlink`);
+    }
+    if (isOutside(real)) {
+      throw new Error(`Target ${target} is outside the workspace root ${this.root} (through a symlink)`);
+    }
+    if (inGitDirectory(real)) {
+      throw new Error(`Target ${target} is inside .git (through a symlink)`);
+    }
+    return resolved;
+  }
+
+  /**
+   * @private
+   */
+  log(message) {
+    if (this.options.verbose) {
+      console.log(message);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a path exists, without following a symlink at the end
+ * @private
+ */
+async function lexists(file) {
+  try {
+    await fs.lstat(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a path relative to the root leaves it
+ * @private
+ */
+function isOutside(relative) {
+  return relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+}
+
+/**
+ * Whether a path relative to the root is in a `.git` directory (any case, for
+ * case-insensitive file systems)
+ * @private
+ */
+function inGitDirectory(relative) {
+  return relative.split(path.sep).some(segment => segment.toLowerCase() === '.git');
+}
+
+/**
+ * @private
+ */
+function requireString(value, label) {
+  if (typeof value !== 'string') {
+    throw new Error(`${label} must be a string`);
+  }
+  return value;
+}
+
+/**
+ * Quote a value for a POSIX shell
+ * @private
+ */
+function shellQuote(value) {
+  return `'${value.replace(/'/g, `'\\''`)}'`;
+}
+
+module.exports = { ActionExecutor, ACTION_TYPES };
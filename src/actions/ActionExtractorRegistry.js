@@ -0,0 +1,369 @@
+/**
+ * ActionExtractorRegistry - Turns agent output into pipeline actions
+ *
+ * Extractors are functions `(data, { step, context, itemIndex, suffix }) => actions`
+ * registered under an agent (`terminalAgent`) or an agent method
+ * (`terminalAgent.generate`, which wins over the agent). A step can pick its
+ * own with `actions`: the name of a registered extractor, a function, an
+ * array of either (their actions are concatenated), or `false` for none.
+ *
+ * Extractors return partial actions: `type` must be one of ACTION_TYPES,
+ * `targets` default to [], `payload` to {} and `requiresApproval` to true.
+ * forEach steps call the extractor once per item, with `suffix` '-1', '-2',
+ * ... to keep generated file names apart.
+ *
+ * Built-ins cover every agent:
+ *
+ * | Agent | Actions |
+ * |-------|---------|
+ * | codeGenerator | CREATE_FILE `data.code` at `data.filePath` or `generated-<step>.<ext>` |
+ * | schemaGenerator | CREATE_FILE per schema in `data.schemas`, or `schemas/<step>.schema.json` |
+ * | terminalAgent | RUN_COMMAND per entry of `data.commands`, or per command in `data.code` |
+ * | githubAgent | RUN_COMMAND per entry of `data.githubCommands` |
+ * | diffImprover | APPLY_DIFF `data.diff` on the files its headers name, else `data.filePath` / `context.filePath` (nothing without one) |
+ * | codeImprover | MODIFY_FILE `data.filePath` with `data.improvedCode` (nothing without a path) |
+ * | boxDesigner | CREATE_FILE `data.code` or `data.design` at `design-<step>.<ext>` |
+ * | toolChoice | RUN_COMMAND per `data.installCommands` entry (or `data.installCommand`) |
+ * | base | `data.actions` as given |
+ * | promptImprover, projectPlanner | none: their output feeds later steps |
+ */
+
+const { ACTION_TYPES } = require('./ActionExecutor');
+const { UnifiedDiff } = require('../diff/UnifiedDiff');
+
+const EXTENSIONS = {
+  'javascript': 'js',
+  'typescript': 'ts',
+  'python': 'py',
+  'java': 'java',
+  'c++': 'cpp',
+  'c#': 'cs',
+  'ruby': 'rb',
+  'go': 'go',
+  'rust': 'rs'
+};
+
+// Shell constructs that span lines; scripts using them run as one command
+const MULTI_LINE_SHELL = /<<|^\s*(if|for|while|until|case|function)\b|[{(]\s*$|\b(then|do)\s*$/m;
+
+/**
+ * File extension for a language name
+ * @private
+ */
+function fileExtension(language) {
+  return EXTENSIONS[typeof language === 'string' ? language.toLowerCase() : ''] || 'txt';
+}
+
+/**
+ * Commands in a shell snippet: one per line, without blank lines, comments,
+ * code fences and `$ ` prompts; `\` continues a line
+ * @private
+ */
+function splitCommands(code) {
+  const lines = code.split('\n')
+    .map(line => line.replace(/\r$/, ''))
+    .filter(line => line.trim() && !/^\s*(#|```)/.test(line))
+    .map(line => line.replace(/^\s*\$\s+/, ''));
+
+  if (MULTI_LINE_SHELL.test(lines.join('\n'))) {
+    return lines.length > 0 ? [lines.join('\n')] : [];
+  }
+
+  const commands = [];
+  let pending = '';
+  lines.forEach(line => {
+    if (line.endsWith('\\')) {
+      pending += `${line.slice(0, -1).trimEnd()} `;
+    } else {
+      commands.push(`${pending}${line.trim()}`);
+      pending = '';
+    }
+  });
+  if (pending.trim()) {
+    commands.push(pending.trim());
+  }
+  return commands;
+}
+
+/**
+ * RUN_COMMAND actions for strings or `{ command, description }` entries
+ * @private
+ */
+function commandActions(entries, fallbackReason) {
+  return entries
+    .map(entry => (typeof entry === 'string' ? { command: entry } : entry || {}))
+    .filter(entry => typeof entry.command === 'string' && entry.command.trim())
+    .map(entry => ({
+      type: 'RUN_COMMAND',
+      payload: { command: entry.command.trim(), ...(entry.cwd && { cwd: entry.cwd }) },
+      reasoning: entry.description || fallbackReason
+    }));
+}
+
+/**
+ * Path of a schema file
+ * @private
+ */
+function schemaFileName(name) {
+  return `schemas/${String(name).replace(/[^A-Za-z0-9._-]+/g, '-')}.schema.json`;
+}
+
+/**
+ * @private
+ */
+function schemaContent(schema) {
+  return typeof schema === 'string' ? schema : `${JSON.stringify(schema, null, 2)}\n`;
+}
+
+/**
+ * Built-in extractors, by agent
+ */
+const BUILT_IN_EXTRACTORS = {
+  base: data => (Array.isArray(data.actions) ? data.actions : []),
+
+  codeGenerator: (data, { step, suffix }) => (typeof data.code === 'string' && data.code ? [{
+    type: 'CREATE_FILE',
+    targets: [data.filePath || `generated-${step.id}${suffix}.${fileExtension(data.language)}`],
+    payload: { content: data.code },
+    reasoning: data.reasoning || 'Generated by code generator'
+  }] : []),
+
+  schemaGenerator: (data, { step, suffix }) => {
+    const reasoning = data.explanation || data.reasoning || 'Generated by schema generator';
+    if (data.schemas && typeof data.schemas === 'object') {
+      // [{ name, schema }] or { name: schema }
+      const entries = Array.isArray(data.schemas)
+        ? data.schemas.map((entry, index) => [entry.name || `${step.id}${suffix}-${index + 1}`, entry.schema])
+        : Object.entries(data.schemas);
+      return entries
+        .filter(([, schema]) => schema !== undefined && schema !== null)
+        .map(([name, schema]) => ({
+          type: 'CREATE_FILE',
+          targets: [schemaFileName(name)],
+          payload: { content: schemaContent(schema) },
+          reasoning
+        }));
+    }
+    const schema = data.schemaAsString !== undefined ? data.schemaAsString : data.schema;
+    return schema !== undefined && schema !== null ? [{
+      type: 'CREATE_FILE',
+      targets: [schemaFileName(`${step.id}${suffix}`)],
+      payload: { content: schemaContent(schema) },
+      reasoning
+    }] : [];
+  },
+
+  terminalAgent: data => {
+    const reasoning = data.explanation || data.reasoning || 'Terminal command';
+    if (Array.isArray(data.commands)) {
+      return commandActions(data.commands, reasoning);
+    }
+    return typeof data.code === 'string' ? commandActions(splitCommands(data.code), reasoning) : [];
+  },
+
+  githubAgent: data => (Array.isArray(data.githubCommands)
+    ? commandActions(data.githubCommands, 'GitHub CLI command')
+    : []),
+
+  diffImprover: (data, { context }) => {
+    if (typeof data.diff !== 'string' || !data.diff) {
+      return [];
+    }
+    let patches;
+    try {
+      patches = UnifiedDiff.parse(data.diff);
+    } catch (error) {
+      return [];
+    }
+    // A headerless diff applies to the file the step worked on, if it's known
+    const named = patches.every(patch => patch.oldPath || patch.newPath);
+    const filePath = data.filePath || context.filePath;
+    if (!named && (patches.length !== 1 || typeof filePath !== 'string' || !filePath)) {
+      return [];
+    }
+    return [{
+      type: 'APPLY_DIFF',
+      targets: named ? [] : [filePath],
+      payload: { diff: data.diff },
+      reasoning: data.explanation || 'Code improvement'
+    }];
+  },
+
+  codeImprover: data => (typeof data.improvedCode === 'string' && typeof data.filePath === 'string' ? [{
+    type: 'MODIFY_FILE',
+    targets: [data.filePath],
+    payload: { content: data.improvedCode },
+    reasoning: data.explanation || data.reasoning || 'Code improvement'
+  }] : []),
+
+  boxDesigner: (data, { step, suffix }) => {
+    const content = typeof data.code === 'string' ? data.code : data.design;
+    return typeof content === 'string' && content ? [{
+      type: 'CREATE_FILE',
+      targets: [data.filePath || `design-${step.id}${suffix}.${fileExtension(data.language)}`],
+      payload: { content },
+      reasoning: data.explanation || data.reasoning || 'Generated by box designer'
+    }] : [];
+  },
+
+  toolChoice: data => {
+    const commands = Array.isArray(data.installCommands) ? data.installCommands
+      : typeof data.installCommand === 'string' ? [data.installCommand] : [];
+    return commandActions(commands, data.recommendation || data.reasoning || 'Install recommended tool');
+  },
+
+  promptImprover: () => [],
+
+  projectPlanner: () => []
+};
+
+class ActionExtractorRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.builtIns=true] - Start with BUILT_IN_EXTRACTORS
+   */
+  constructor(options = {}) {
+    this.extractors = new Map();
+    if (options.builtIns !== false) {
+      Object.entries(BUILT_IN_EXTRACTORS).forEach(([name, extractor]) => this.register(name, extractor));
+    }
+  }
+
+  /**
+   * File extension for a language name (`javascript` -> `js`, unknown -> `txt`)
+   * @param {string} language
+   * @returns {string}
+   */
+  static fileExtension(language) {
+    return fileExtension(language);
+  }
+
+  /**
+   * Add or replace an extractor
+   * @param {string} name - Agent (`terminalAgent`), agent method (`terminalAgent.generate`)
+   *   or any name steps refer to in `actions`
+   * @param {Function} extractor - `(data, { step, context, itemIndex, suffix }) => actions`
+   * @returns {ActionExtractorRegistry} this (for chaining)
+   */
+  register(name, extractor) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Action extractor name must be a non-empty string');
+    }
+    if (typeof extractor !== 'function') {
+      throw new Error(`Action extractor ${name} must be a function`);
+    }
+    this.extractors.set(name, extractor);
+    return this;
+  }
+
+  /**
+   * Remove an extractor
+   * @param {string} name
+   * @returns {boolean} Whether one was removed
+   */
+  unregister(name) {
+    return this.extractors.delete(name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.extractors.has(name);
+  }
+
+  /**
+   * Registered extractor names
+   * @returns {string[]}
+   */
+  names() {
+    return Array.from(this.extractors.keys());
+  }
+
+  /**
+   * Extractors that apply to a step: its `actions`, else `agent.method`, else `agent`
+   * @param {Object} step - Pipeline step
+   * @returns {Array<Function>}
+   * @throws {Error} On malformed `actions` and unknown extractor names
+   */
+  resolve(step) {
+    if (step.actions === undefined) {
+      const extractor = this.extractors.get(`${step.agent}.${step.method}`) || this.extractors.get(step.agent);
+      return extractor ? [extractor] : [];
+    }
+    if (step.actions === false) {
+      return [];
+    }
+
+    const entries = Array.isArray(step.actions) ? step.actions : [step.actions];
+    return entries.map(entry => {
+      if (typeof entry === 'function') {
+        return entry;
+      }
+      if (typeof entry !== 'string') {
+        throw new Error('actions must be false, an extractor name, a function, or an array of names and functions');
+      }
+      if (!this.extractors.has(entry)) {
+        throw new Error(`actions uses unknown extractor "${entry}" (registered: ${this.names().join(', ')})`);
+      }
+      return this.extractors.get(entry);
+    });
+  }
+
+  /**
+   * Actions for a step's output
+   * @param {Object} step - Pipeline step
+   * @param {*} data - Step output (an array of item outputs for forEach steps)
+   * @param {Object} [context={}] - Execution context of the run
+   * @returns {Array<Object>} Pipeline actions
+   * @throws {Error} When an extractor returns something that isn't an action
+   */
+  extract(step, data, context = {}) {
+    if (!data) {
+      return [];
+    }
+
+    // forEach steps produce one set of actions per item; other steps' arrays are plain output
+    if (step.forEach) {
+      return (Array.isArray(data) ? data : []).flatMap((itemData, itemIndex) =>
+        itemData ? this.extractOutput(step, itemData, { context, itemIndex }) : []
+      );
+    }
+    return this.extractOutput(step, data, { context });
+  }
+
+  /**
+   * Run a step's extractors on one output
+   * @private
+   */
+  extractOutput(step, data, { context, itemIndex }) {
+    const info = { step, context, itemIndex, suffix: itemIndex === undefined ? '' : `-${itemIndex + 1}` };
+    return this.resolve(step).flatMap(extractor => {
+      const actions = extractor(data, info) || [];
+      if (!Array.isArray(actions)) {
+        throw new Error(`Action extractor for step ${step.id} must return an array`);
+      }
+      return actions.map(action => this.normalize(action, step));
+    });
+  }
+
+  /**
+   * Fill in action defaults and check the type
+   * @private
+   */
+  normalize(action, step) {
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      throw new Error(`Action extractor for step ${step.id} returned an unknown action type: ${action && action.type}`);
+    }
+    return {
+      ...action,
+      targets: action.targets || [],
+      payload: action.payload || {},
+      reasoning: action.reasoning || `Suggested by ${step.agent || step.id}`,
+      requiresApproval: action.requiresApproval !== false
+    };
+  }
+}
+
+module.exports = { ActionExtractorRegistry, BUILT_IN_EXTRACTORS };
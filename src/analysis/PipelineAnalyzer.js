@@ -0,0 +1,296 @@
+/**
+ * PipelineAnalyzer - Static checks for pipeline definitions
+ *
+ * Reports problems as diagnostics instead of throwing, so editors and the
+ * `pipeline-validate` command can show all of them at once:
+ *
+ * { severity: 'error', code: 'duplicate-step-id', message: 'Step plan is defined 2 times', stepId: 'plan', path: '/steps/3/id' }
+ *
+ * Errors are definitions that can't run as written (the engine refuses to
+ * register them); warnings are likely mistakes that still run:
+ *
+ * | Code | Severity |
+ * |------|----------|
+ * | duplicate-step-id | error |
+ * | unknown-agent, unknown-method | warning (custom clients may add agents) |
+ * | invalid-input-source | warning (treated like 'context') |
+ * | missing-previous-step | error on the first step, warning with `dependsOn: []` |
+ * | unknown-step-reference | error |
+ * | later-step-reference | error (warning for `dependsOn`, which only affects listing order) |
+ * | non-dependency-reference | warning |
+ * | invalid-timeout | error |
+ * | invalid-retry | error |
+ * | timeout-exceeds-budget | warning |
+ *
+ * Step references are `dependsOn` ids and `forEach.items` paths
+ * (`stepResults.<id>...`); templates are checked by the engine.
+ */
+
+const { StepGraph } = require('../engine/StepGraph');
+const { RetryPolicy } = require('../engine/RetryPolicy');
+
+/**
+ * Schema.ICU agents and their methods (AgentName / AgentMethod in pipeline.d.ts)
+ */
+const AGENT_METHODS = {
+  base: ['query'],
+  codeGenerator: ['generate'],
+  schemaGenerator: ['generate'],
+  terminalAgent: ['generate'],
+  githubAgent: ['generate'],
+  codeImprover: ['improve'],
+  diffImprover: ['improve'],
+  promptImprover: ['improve'],
+  boxDesigner: ['design'],
+  projectPlanner: ['plan'],
+  toolChoice: ['recommend']
+};
+
+/**
+ * Valid `inputFrom` values (InputSource in pipeline.d.ts)
+ */
+const INPUT_SOURCES = ['user', 'file', 'previousStep', 'context', 'tests', 'selection', 'item'];
+
+class PipelineAnalyzer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.defaultTimeout=60000] - Timeout of steps without one (ms)
+   * @param {Object} [options.retry] - Engine-wide retry defaults
+   */
+  constructor(options = {}) {
+    this.defaultTimeout = options.defaultTimeout || 60000;
+    this.retry = options.retry || null;
+  }
+
+  /**
+   * Analyze a pipeline definition
+   * @param {Object} pipeline - Pipeline definition
+   * @returns {Array<Object>} Diagnostics: { severity, code, message, stepId?, path? }
+   */
+  analyze(pipeline) {
+    const diagnostics = [];
+    const report = (severity, code, message, stepId, path) => {
+      diagnostics.push({ severity, code, message, ...(stepId !== undefined && { stepId }), ...(path && { path }) });
+    };
+
+    const steps = Array.isArray(pipeline.steps) ? pipeline.steps.filter(step => step && typeof step === 'object') : [];
+
+    this.checkDuplicateIds(steps, report);
+    this.checkTimeouts(pipeline, steps, report);
+    this.checkRetries(steps, report);
+
+    steps.forEach((step, index) => {
+      if (step.pipeline === undefined && step.run === undefined && step.exec === undefined) {
+        this.checkAgent(step, index, report);
+      }
+    });
+
+    // The rest needs a dependency graph; the engine reports why there isn't one
+    let graph;
+    try {
+      graph = new StepGraph(steps);
+    } catch (error) {
+      return diagnostics;
+    }
+
+    steps.forEach((step, index) => this.checkReferences(step, index, steps, graph, report));
+    this.checkTimeoutBudget(pipeline, steps, graph, report);
+
+    return diagnostics;
+  }
+
+  /**
+   * @private
+   */
+  checkDuplicateIds(steps, report) {
+    const seen = new Map();
+    steps.forEach((step, index) => {
+      if (!step.id) {
+        return;
+      }
+      if (seen.has(step.id)) {
+        const count = steps.filter(s => s.id === step.id).length;
+        if (seen.get(step.id) !== 'reported') {
+          report('error', 'duplicate-step-id', `Step ${step.id} is defined ${count} times`, step.id, `/steps/${index}/id`);
+        }
+        seen.set(step.id, 'reported');
+      } else {
+        seen.set(step.id, index);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkAgent(step, index, report) {
+    const path = `/steps/${index}`;
+
+    if (step.agent && !Object.prototype.hasOwnProperty.call(AGENT_METHODS, step.agent)) {
+      report('warning', 'unknown-agent',
+        `Step ${step.id} uses unknown agent "${step.agent}" (known: ${Object.keys(AGENT_METHODS).join(', ')})`,
+        step.id, `${path}/agent`);
+    } else if (step.agent && step.method && !AGENT_METHODS[step.agent].includes(step.method)) {
+      report('warning', 'unknown-method',
+        `Step ${step.id} calls unknown method ${step.agent}.${step.method} (known: ${AGENT_METHODS[step.agent].join(', ')})`,
+        step.id, `${path}/method`);
+    }
+
+    if (step.inputFrom && !INPUT_SOURCES.includes(step.inputFrom)) {
+      report('warning', 'invalid-input-source',
+        `Step ${step.id} inputFrom "${step.inputFrom}" is not one of ${INPUT_SOURCES.join(', ')}`,
+        step.id, `${path}/inputFrom`);
+    }
+  }
+
+  /**
+   * dependsOn order, forEach paths and previousStep inputs
+   * @private
+   */
+  checkReferences(step, index, steps, graph, report) {
+    const path = `/steps/${index}`;
+    const indexOf = id => steps.findIndex(s => s.id === id);
+
+    if (step.inputFrom === 'previousStep' && graph.dependencies.get(step.id).length === 0) {
+      if (index === 0) {
+        report('error', 'missing-previous-step',
+          `Step ${step.id} reads inputFrom previousStep but is the first step`, step.id, `${path}/inputFrom`);
+      } else {
+        report('warning', 'missing-previous-step',
+          `Step ${step.id} reads inputFrom previousStep but has no dependencies, so it reads whichever step finished last`,
+          step.id, `${path}/inputFrom`);
+      }
+    }
+
+    (Array.isArray(step.dependsOn) ? step.dependsOn : []).forEach((depId, depIndex) => {
+      if (indexOf(depId) > index) {
+        report('warning', 'later-step-reference',
+          `Step ${step.id} depends on ${depId}, which is declared after it`,
+          step.id, `${path}/dependsOn/${depIndex}`);
+      }
+    });
+
+    const items = step.forEach && step.forEach.items;
+    if (typeof items === 'string' && items.startsWith('stepResults.')) {
+      const [, stepId] = items.split('.');
+      const itemsPath = `${path}/forEach/items`;
+      if (indexOf(stepId) === -1) {
+        report('error', 'unknown-step-reference',
+          `Step ${step.id} forEach.items ${items} references unknown step "${stepId}"`, step.id, itemsPath);
+      } else if (graph.getAncestors(stepId).has(step.id) || stepId === step.id) {
+        report('error', 'later-step-reference',
+          `Step ${step.id} forEach.items ${items} references "${stepId}", which runs after it`, step.id, itemsPath);
+      } else if (!graph.getAncestors(step.id).has(stepId)) {
+        report('warning', 'non-dependency-reference',
+          `Step ${step.id} forEach.items ${items} references "${stepId}", which is not a dependency and may not have run`,
+          step.id, itemsPath);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  checkTimeouts(pipeline, steps, report) {
+    const valid = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+    if (pipeline.timeout !== undefined && !valid(pipeline.timeout)) {
+      report('error', 'invalid-timeout', `Pipeline ${pipeline.id} timeout must be a positive number of ms`, undefined, '/timeout');
+    }
+
+    steps.forEach((step, index) => {
+      if (step.timeout === undefined) {
+        return;
+      }
+      if (!valid(step.timeout)) {
+        report('error', 'invalid-timeout', `Step ${step.id} timeout must be a positive number of ms`, step.id, `/steps/${index}/timeout`);
+      } else if (valid(pipeline.timeout) && step.timeout > pipeline.timeout) {
+        report('warning', 'timeout-exceeds-budget',
+          `Step ${step.id} timeout ${step.timeout}ms exceeds the pipeline timeout ${pipeline.timeout}ms`,
+          step.id, `/steps/${index}/timeout`);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  checkRetries(steps, report) {
+    steps.forEach((step, index) => {
+      if (!step.retry) {
+        return;
+      }
+      try {
+        RetryPolicy.validate(step.retry, `Step ${step.id}`);
+      } catch (error) {
+        report('error', 'invalid-retry', error.message, step.id, `/steps/${index}/retry`);
+      }
+    });
+  }
+
+  /**
+   * Compare the slowest dependency chain (timeouts, retries and backoff)
+   * with the pipeline timeout
+   * @private
+   */
+  checkTimeoutBudget(pipeline, steps, graph, report) {
+    const budget = pipeline.timeout;
+    if (!(typeof budget === 'number' && budget > 0)) {
+      return;
+    }
+
+    // Longest chain ending at each step, in dependency order
+    const chains = new Map();
+    graph.order.forEach(step => {
+      const previous = graph.dependencies.get(step.id)
+        .map(depId => chains.get(depId))
+        .reduce((longest, chain) => (chain && chain.total > longest.total ? chain : longest), { total: 0, ids: [] });
+      chains.set(step.id, { total: previous.total + this.worstCaseDuration(step), ids: [...previous.ids, step.id] });
+    });
+
+    const slowest = Array.from(chains.values()).reduce((a, b) => (b.total > a.total ? b : a), { total: 0, ids: [] });
+    // A single step whose own timeout is over budget was reported by checkTimeouts
+    const [first] = slowest.ids;
+    const reported = slowest.ids.length === 1 && graph.stepsById.get(first).timeout > budget;
+    if (slowest.total > budget && !reported) {
+      report('warning', 'timeout-exceeds-budget',
+        `Pipeline ${pipeline.id} can take up to ${slowest.total}ms along ${slowest.ids.join(' -> ')} (step timeouts and retries), more than its ${budget}ms timeout`,
+        undefined, '/timeout');
+    }
+  }
+
+  /**
+   * Longest a step can take: every attempt and repair timing out, plus backoff
+   * with maximum jitter (forEach steps count one batch, sub-pipelines only their own timeout).
+   * Steps with an invalid `retry` count 0; checkRetries reports them.
+   * @private
+   */
+  worstCaseDuration(step) {
+    if (step.pipeline !== undefined) {
+      return typeof step.timeout === 'number' ? step.timeout : 0;
+    }
+
+    const timeout = typeof step.timeout === 'number' && step.timeout > 0 ? step.timeout : this.defaultTimeout;
+    if (step.run !== undefined || step.exec !== undefined) {
+      return timeout;
+    }
+
+    let policy;
+    try {
+      policy = new RetryPolicy(this.retry, step.retry);
+    } catch (error) {
+      return 0;
+    }
+    const attempts = Number.isInteger(policy.maxAttempts) && policy.maxAttempts > 0 ? policy.maxAttempts : 1;
+    const repairs = step.validation && Number.isInteger(step.validation.repairAttempts) ? step.validation.repairAttempts : 0;
+
+    let backoff = 0;
+    for (let attempt = 1; attempt < attempts; attempt++) {
+      const { initialDelay, multiplier, maxDelay } = policy.backoff;
+      backoff += Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt - 1)) * (1 + policy.jitter);
+    }
+    return (timeout * attempts + backoff) * (1 + repairs);
+  }
+}
+
+module.exports = { PipelineAnalyzer, AGENT_METHODS, INPUT_SOURCES };
@@ -0,0 +1,226 @@
+/**
+ * Response caches - Reuse agent responses for identical calls
+ *
+ * Entries are content-addressed: the key is the SHA-256 of the canonical JSON
+ * of { agent, method, input, context } (see responseCacheKey). A cache
+ * implements four async methods:
+ * - get(key) -> response | null
+ * - set(key, response)
+ * - delete(key) -> boolean
+ * - clear() -> number of entries removed
+ *
+ * Both caches expire entries after `ttl` ms, evict the least recently used
+ * entry beyond `maxEntries` and skip responses larger than `maxEntrySize`
+ * bytes. MemoryResponseCache is the default; FileResponseCache persists
+ * across processes (the CLI uses it).
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { SignatureVerifier } = require('../verification/SignatureVerifier');
+
+const DEFAULT_LIMITS = {
+  ttl: 24 * 60 * 60 * 1000, // 1 day
+  maxEntries: 500,
+  maxEntrySize: 1024 * 1024 // 1 MB
+};
+
+/**
+ * Cache key for an agent call
+ * @param {Object} call - { agent, method, input, context }
+ * @returns {string} Hex SHA-256
+ */
+function responseCacheKey({ agent, method, input, context }) {
+  return crypto.createHash('sha256')
+    .update(SignatureVerifier.canonicalize({ agent, method, input, context }))
+    .digest('hex');
+}
+
+/**
+ * Resolve and check cache limits
+ * @private
+ */
+function resolveLimits(options) {
+  const limits = { ...DEFAULT_LIMITS, ...options };
+  ['ttl', 'maxEntries', 'maxEntrySize'].forEach(key => {
+    if (!Number.isFinite(limits[key]) || limits[key] <= 0) {
+      throw new Error(`Response cache ${key} must be a positive number`);
+    }
+  });
+  return limits;
+}
+
+/**
+ * Cache keys are hex digests; anything else could escape the directory
+ * @private
+ */
+function assertValidKey(key) {
+  if (typeof key !== 'string' || !/^[0-9a-f]+$/.test(key)) {
+    throw new Error(`Invalid cache key: ${key}`);
+  }
+}
+
+class MemoryResponseCache {
+  /**
+   * @param {Object} [options] - { ttl, maxEntries, maxEntrySize }
+   */
+  constructor(options = {}) {
+    this.limits = resolveLimits(options);
+    // Insertion order doubles as recency order
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    if (entry.expiresAt <= Date.now()) {
+      return null;
+    }
+    this.entries.set(key, entry);
+    return JSON.parse(entry.value);
+  }
+
+  async set(key, response) {
+    const value = JSON.stringify(response);
+    if (Buffer.byteLength(value) > this.limits.maxEntrySize) {
+      return;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + this.limits.ttl });
+
+    while (this.entries.size > this.limits.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    return this.entries.delete(key);
+  }
+
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+}
+
+class FileResponseCache {
+  /**
+   * @param {Object} [options] - { directory, ttl, maxEntries, maxEntrySize }
+   */
+  constructor(options = {}) {
+    const { directory, ...limits } = options;
+    this.directory = directory || path.join(process.cwd(), '.schema-icu', 'cache');
+    this.limits = resolveLimits(limits);
+  }
+
+  async get(key) {
+    assertValidKey(key);
+    const filePath = this.getPath(key);
+
+    let entry;
+    try {
+      entry = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    // mtime tracks recency for eviction
+    const now = new Date();
+    await fs.utimes(filePath, now, now).catch(() => {});
+    return entry.response;
+  }
+
+  async set(key, response) {
+    assertValidKey(key);
+    const value = JSON.stringify({ key, storedAt: Date.now(), expiresAt: Date.now() + this.limits.ttl, response });
+    if (Buffer.byteLength(value) > this.limits.maxEntrySize) {
+      return;
+    }
+
+    await fs.mkdir(this.directory, { recursive: true });
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, value);
+    await fs.rename(tempPath, filePath);
+
+    await this.evict();
+  }
+
+  async delete(key) {
+    assertValidKey(key);
+    try {
+      await fs.unlink(this.getPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  async clear() {
+    const files = await this.listFiles();
+    await Promise.all(files.map(file => fs.unlink(path.join(this.directory, file)).catch(() => {})));
+    return files.length;
+  }
+
+  /**
+   * Remove least recently used entries beyond maxEntries
+   * @private
+   */
+  async evict() {
+    const files = await this.listFiles();
+    if (files.length <= this.limits.maxEntries) {
+      return;
+    }
+
+    const stats = await Promise.all(files.map(async file => {
+      const stat = await fs.stat(path.join(this.directory, file)).catch(() => null);
+      return { file, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+
+    await Promise.all(stats
+      .sort((a, b) => a.mtime - b.mtime)
+      .slice(0, files.length - this.limits.maxEntries)
+      .map(({ file }) => fs.unlink(path.join(this.directory, file)).catch(() => {})));
+  }
+
+  /**
+   * @private
+   */
+  async listFiles() {
+    try {
+      return (await fs.readdir(this.directory)).filter(file => file.endsWith('.json'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Path of a cache entry file
+   * @private
+   */
+  getPath(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+module.exports = { MemoryResponseCache, FileResponseCache, responseCacheKey };
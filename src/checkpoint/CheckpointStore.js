@@ -0,0 +1,164 @@
+/**
+ * Checkpoint stores - Persist pipeline run state so interrupted runs can resume
+ *
+ * A store implements four async methods:
+ * - save(runId, checkpoint)
+ * - load(runId) -> checkpoint | null
+ * - delete(runId) -> boolean
+ * - list() -> checkpoint summaries
+ *
+ * FileCheckpointStore is the default; MemoryCheckpointStore suits tests and
+ * long-lived IDE processes.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Reject run ids that could escape the checkpoint directory
+ * @private
+ */
+function assertValidRunId(runId) {
+  if (typeof runId !== 'string' || !/^[A-Za-z0-9._-]+$/.test(runId) || runId.startsWith('.')) {
+    throw new Error(`Invalid run id: ${runId}`);
+  }
+}
+
+/**
+ * Summary fields returned by list()
+ * @private
+ */
+function summarize(checkpoint) {
+  return {
+    runId: checkpoint.runId,
+    pipelineId: checkpoint.pipelineId,
+    pipelineVersion: checkpoint.pipelineVersion,
+    status: checkpoint.status,
+    startedAt: checkpoint.startedAt,
+    updatedAt: checkpoint.updatedAt,
+    completedSteps: checkpoint.stepResults.filter(r => r.status === 'completed').length
+  };
+}
+
+class FileCheckpointStore {
+  /**
+   * @param {string} [directory] - Where checkpoint files are written
+   */
+  constructor(directory = path.join(process.cwd(), '.schema-icu', 'checkpoints')) {
+    this.directory = directory;
+  }
+
+  /**
+   * Write a checkpoint atomically (temp file + rename)
+   * @param {string} runId - Run ID
+   * @param {Object} checkpoint - Checkpoint data
+   */
+  async save(runId, checkpoint) {
+    assertValidRunId(runId);
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const filePath = this.getPath(runId);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(checkpoint, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Load a checkpoint
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>}
+   */
+  async load(runId) {
+    assertValidRunId(runId);
+    try {
+      return JSON.parse(await fs.readFile(this.getPath(runId), 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a checkpoint
+   * @param {string} runId - Run ID
+   * @returns {Promise<boolean>} Whether a checkpoint was removed
+   */
+  async delete(runId) {
+    assertValidRunId(runId);
+    try {
+      await fs.unlink(this.getPath(runId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * List stored checkpoints, most recently updated first
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const checkpoints = await Promise.all(
+      files
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.load(path.basename(file, '.json')))
+    );
+
+    return checkpoints
+      .filter(Boolean)
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Path of a checkpoint file
+   * @private
+   */
+  getPath(runId) {
+    return path.join(this.directory, `${runId}.json`);
+  }
+}
+
+class MemoryCheckpointStore {
+  constructor() {
+    this.checkpoints = new Map();
+  }
+
+  async save(runId, checkpoint) {
+    assertValidRunId(runId);
+    // Store a copy so later mutations of the run don't leak in
+    this.checkpoints.set(runId, JSON.parse(JSON.stringify(checkpoint)));
+  }
+
+  async load(runId) {
+    const checkpoint = this.checkpoints.get(runId);
+    return checkpoint ? JSON.parse(JSON.stringify(checkpoint)) : null;
+  }
+
+  async delete(runId) {
+    return this.checkpoints.delete(runId);
+  }
+
+  async list() {
+    return Array.from(this.checkpoints.values())
+      .map(summarize)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+module.exports = { FileCheckpointStore, MemoryCheckpointStore };
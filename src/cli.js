@@ -5,9 +5,13 @@
  * 
  * Commands:
  * - pipeline list
- * - pipeline run <name>
+ * - pipeline run <name> (or --file <pipeline.yaml>, --dry-run to plan it, --apply to apply its actions)
  * - pipeline create
  * - pipeline validate <file>
+ * - resume <runId>
+ * - undo [runId]
+ * - verify-run <file>
+ * - cache clear
  * - new (project wizard)
  */
 
@@ -25,11 +29,354 @@ const { SchemaICU } = require('@smartledger/schema-icu-sdk');
 const { 
   PipelineEngine, 
   PolicyEngine,
+  FileCheckpointStore,
+  FileResponseCache,
+  PipelineRegistry,
+  PipelineLoader,
+  ActionExecutor,
+  SnapshotStore,
+  RunManifest,
+  RecordingClient,
+  ReplayClient,
   implementFeature,
   fixTests,
-  newService
+  newService,
+  improveAndDiff
 } = require('./index');
 
+/**
+ * Ask the user to confirm something; false when declined
+ */
+async function confirm(message) {
+  const answer = await inquirer.prompt([{
+    type: 'confirm',
+    name: 'approved',
+    message,
+    default: false
+  }]);
+  return answer.approved;
+}
+
+/**
+ * Describe an engine approval request (pipeline, step or local command) as a question
+ */
+function describeApproval(request) {
+  if (request.type === 'command') {
+    return `Run \`${request.command}\`${request.cwd && request.cwd !== '.' ? ` in ${request.cwd}` : ''} (step ${request.step})?`;
+  }
+  if (request.type === 'pipeline') {
+    return `Run pipeline ${request.pipeline}?`;
+  }
+  return `Run step ${request.step}${request.agent ? ` (${request.agent})` : ''}?`;
+}
+
+/**
+ * Create a PipelineEngine with the built-in pipelines registered
+ * Exits the process when no API key is configured (unless replaying).
+ */
+function createEngine(options) {
+  if (options.record && options.replay) {
+    console.error(chalk.red('\n❌ --record and --replay cannot be combined\n'));
+    process.exit(1);
+  }
+  
+  // Initialize Schema.ICU client
+  const spinner = ora('Initializing Schema.ICU client...').start();
+  
+  let client;
+  if (options.dryRun) {
+    // Dry runs never call agents; no key needed
+    client = {};
+    spinner.succeed('Dry run: agents will not be called');
+  } else if (options.replay) {
+    // Recorded fixtures stand in for the API; no key or network needed
+    client = new ReplayClient({ directory: path.resolve(options.replay) });
+    spinner.succeed(`Replaying agent calls from ${options.replay}`);
+  } else if (!process.env.SCHEMA_ICU_API_KEY) {
+    spinner.fail(chalk.red('Missing SCHEMA_ICU_API_KEY environment variable'));
+    console.log(chalk.yellow('\nSet your API key:'));
+    console.log(chalk.gray('  export SCHEMA_ICU_API_KEY="your-key-here"'));
+    console.log(chalk.gray('  export SCHEMA_ICU_EMAIL="your-email"\n'));
+    process.exit(1);
+  } else {
+    client = new SchemaICU();
+    if (options.record) {
+      client = new RecordingClient(client, { directory: path.resolve(options.record) });
+    }
+    spinner.succeed(options.record
+      ? `Schema.ICU client initialized (recording to ${options.record})`
+      : 'Schema.ICU client initialized');
+  }
+  
+  // Initialize PipelineEngine
+  spinner.text = 'Setting up pipeline engine...';
+  spinner.start();
+  
+  const engine = new PipelineEngine(client, {
+    policyEngine: options.policy !== false ? new PolicyEngine() : null,
+    // Local commands (often written by an agent) and steps that need approval
+    // are confirmed one by one, unless --yes
+    autoApprove: Boolean(options.yes),
+    onApprovalRequired: request => confirm(describeApproval(request)),
+    checkpointStore: true,
+    // Reuse responses to identical calls across runs (recordings need every call)
+    cache: options.cache !== false && !options.record && !options.replay ? new FileResponseCache() : null,
+    // Comma-separated trusted Schema.ICU public keys enable signature checks
+    verification: process.env.SCHEMA_ICU_TRUSTED_KEYS ? {
+      trustedKeys: process.env.SCHEMA_ICU_TRUSTED_KEYS.split(',').map(key => key.trim()).filter(Boolean)
+    } : null,
+    // Local key that signs each run's manifest
+    manifestKey: options.signKey ? fs.readFileSync(path.resolve(options.signKey), 'utf8') : null,
+    // Dry runs print their plan instead
+    verbose: !options.dryRun
+  });
+  
+  // Register pipelines (sub-pipelines first)
+  engine.registerPipeline(improveAndDiff);
+  engine.registerPipeline(implementFeature);
+  engine.registerPipeline(fixTests);
+  engine.registerPipeline(newService);
+  
+  spinner.succeed('Pipeline engine ready');
+  
+  return engine;
+}
+
+/**
+ * Run with Ctrl+C wired to an AbortSignal; a second Ctrl+C exits immediately.
+ * Without AbortController (Node 14) Ctrl+C keeps its default behaviour.
+ */
+async function runInterruptible(run) {
+  if (typeof AbortController === 'undefined') {
+    return run(undefined);
+  }
+  const controller = new AbortController();
+  const onInterrupt = () => {
+    if (controller.signal.aborted) {
+      process.exit(130);
+    }
+    console.log(chalk.yellow('\n⏹  Cancelling pipeline (press Ctrl+C again to force quit)...'));
+    controller.abort();
+  };
+  
+  process.on('SIGINT', onInterrupt);
+  try {
+    return await run(controller.signal);
+  } finally {
+    process.removeListener('SIGINT', onInterrupt);
+  }
+}
+
+/**
+ * One-line token / cost / call summary
+ */
+function formatUsage(usage) {
+  const approx = usage.estimated ? '~' : '';
+  return `${approx}${usage.totalTokens} tokens (${approx}${usage.inputTokens} in / ${approx}${usage.outputTokens} out), ` +
+    `$${usage.cost.toFixed(4)}, ${usage.agentCalls} agent call${usage.agentCalls === 1 ? '' : 's'}`;
+}
+
+/**
+ * Print a pipeline result, save it if requested and exit on cancellation
+ */
+function reportResult(result, engine, options) {
+  if (result.deprecated) {
+    console.log(chalk.yellow(`\n⚠️  ${result.pipelineId}@${result.pipelineVersion} is deprecated: ${result.deprecated}`));
+  }
+  
+  // Display results
+  if (result.cancelled) {
+    console.log(chalk.bold.yellow('\n⏹  Pipeline cancelled\n'));
+  } else if (result.status === 'budget_exceeded') {
+    console.log(chalk.bold.yellow(`\n💸 Pipeline stopped: ${result.error}\n`));
+  } else if (result.success) {
+    console.log(chalk.bold.green('\n✅ Pipeline completed successfully!\n'));
+  } else {
+    console.log(chalk.bold.red(`\n❌ Pipeline failed: ${result.error}\n`));
+  }
+  
+  result.steps.forEach((step, i) => {
+    console.log(chalk.cyan(`Step ${i + 1}: ${step.stepName}`));
+    console.log(chalk.gray(`  Status: ${step.status}`));
+    console.log(chalk.gray(`  Duration: ${step.duration}ms`));
+    if (step.verification) {
+      console.log(chalk.gray(`  Signature: ${step.verification.status}`));
+    }
+    if (step.cacheHit) {
+      console.log(chalk.gray('  Cached: yes'));
+    }
+    if (step.usage) {
+      console.log(chalk.gray(`  Usage: ${formatUsage(step.usage)}`));
+    }
+    
+    if (step.data && Object.keys(step.data).length > 0) {
+      console.log(chalk.gray(`  Output keys: ${Object.keys(step.data).join(', ')}`));
+    }
+    console.log();
+  });
+  
+  // Save output if requested (cancelled runs are always saved so they can be inspected)
+  if (options.output || result.cancelled) {
+    const outputPath = path.resolve(options.output || '.');
+    if (!fs.existsSync(outputPath)) {
+      fs.mkdirSync(outputPath, { recursive: true });
+    }
+    
+    const outputFile = path.join(outputPath, `${result.pipelineId}-${Date.now()}.json`);
+    fs.writeFileSync(outputFile, JSON.stringify(result, null, 2));
+    console.log(chalk.green(`💾 Results saved to: ${outputFile}\n`));
+  }
+  
+  // Summary
+  console.log(chalk.bold('📊 Summary:'));
+  console.log(chalk.gray(`  Pipeline: ${result.pipelineName} (${result.pipelineId}@${result.pipelineVersion})`));
+  console.log(chalk.gray(`  Run: ${result.runId}`));
+  console.log(chalk.gray(`  Status: ${result.status}`));
+  console.log(chalk.gray(`  Total Steps: ${engine.getPipeline(`${result.pipelineId}@${result.pipelineVersion}`).steps.length}`));
+  console.log(chalk.gray(`  Completed: ${result.steps.filter(s => s.status === 'completed').length}`));
+  console.log(chalk.gray(`  Total Duration: ${result.totalDuration}ms`));
+  console.log(chalk.gray(`  Usage: ${formatUsage(result.usage)}`));
+  if (result.budget) {
+    const limits = Object.entries(result.budget).map(([key, value]) => `${key} ${value}`).join(', ');
+    console.log(chalk.gray(`  Budget: ${limits}`));
+  }
+  console.log();
+  
+  if (!result.success) {
+    console.log(chalk.gray('Resume this run with:'), chalk.cyan(`schema-icu resume ${result.runId}\n`));
+  }
+  
+  if (result.cancelled) {
+    process.exit(130);
+  }
+}
+
+/**
+ * Apply a completed run's actions to the current directory (pipeline-run --apply)
+ */
+async function applyActions(result, options) {
+  if (!result.success) {
+    console.log(chalk.yellow('⚠️  Not applying actions: the pipeline did not complete\n'));
+    return;
+  }
+  if (result.actions.length === 0) {
+    console.log(chalk.gray('No actions to apply.\n'));
+    return;
+  }
+  
+  console.log(chalk.bold(`🛠️  Applying ${result.actions.length} action(s) to ${process.cwd()}\n`));
+  
+  const executor = new ActionExecutor({
+    root: process.cwd(),
+    policyEngine: options.policy !== false ? new PolicyEngine() : null,
+    // Changes that need approval are confirmed one by one, unless --yes
+    autoApprove: Boolean(options.yes),
+    onApprovalRequired: ({ action }) =>
+      confirm(`${ActionExecutor.describe(action)}${action.reasoning ? ` (${action.reasoning})` : ''}?`)
+  });
+  
+  const report = await runInterruptible(signal => executor.apply(result.actions, result.context, { signal, runId: result.runId }));
+  const icons = { applied: '✅', skipped: '⏭️ ', denied: '🚫', rejected: '✋', failed: '❌' };
+  report.outcomes.forEach(outcome => {
+    const line = `  ${icons[outcome.status]} ${ActionExecutor.describe(result.actions[outcome.index])}: ${outcome.status}`;
+    console.log(outcome.status === 'applied' ? chalk.green(line) : outcome.status === 'skipped' ? chalk.gray(line) : chalk.red(line));
+    if (outcome.error) {
+      console.log(chalk.gray(`     ${outcome.error}`));
+    }
+  });
+  console.log(chalk.bold(`\n${report.applied}/${report.outcomes.length} action(s) applied\n`));
+  
+  if (report.rollback) {
+    const files = report.rollback.restored.length + report.rollback.removed.length;
+    console.log(chalk.yellow(`↩️  Rolled back: ${files} file change(s) undone\n`));
+  }
+  if (report.transactionError) {
+    console.log(chalk.red(`⚠️  ${report.transactionError}\n`));
+  }
+  
+  if (!report.success) {
+    process.exit(1);
+  }
+  console.log(chalk.gray('Undo these changes with:'), chalk.cyan(`schema-icu undo ${report.runId}\n`));
+}
+
+/**
+ * One-line description of a value for the plan table
+ */
+function summarize(value, width) {
+  if (value === undefined || value === null) {
+    return '-';
+  }
+  const text = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ');
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+}
+
+/**
+ * Print a dry-run plan as a table (sub-pipeline steps indented) or JSON
+ */
+function reportPlan(result, options) {
+  if (options.format === 'json') {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(result.success ? 0 : 1);
+  }
+  
+  if (result.deprecated) {
+    console.log(chalk.yellow(`\n⚠️  ${result.pipelineId}@${result.pipelineVersion} is deprecated: ${result.deprecated}`));
+  }
+  console.log(chalk.bold.cyan(`\n📝 Plan: ${result.pipelineName} (${result.pipelineId}@${result.pipelineVersion}) — dry run, no agents called\n`));
+  
+  const rows = [];
+  const addRows = (entries, depth) => entries.forEach(entry => {
+    const runs = {
+      agent: () => `${entry.agent}.${entry.method}`,
+      forEach: () => `${entry.agent}.${entry.method} ×${entry.items ? entry.items.length : '?'}`,
+      pipeline: () => `pipeline ${entry.pipelineId || '?'}`,
+      exec: () => `$ ${entry.command || '?'}`,
+      run: () => 'local function'
+    }[entry.type]();
+    const denied = entry.policy.find(decision => !decision.allowed);
+    rows.push({
+      status: entry.status,
+      cells: [
+        `${'  '.repeat(depth)}${entry.stepId}`,
+        summarize(runs, 32),
+        entry.status,
+        entry.policy.length === 0 ? '-' : denied ? 'denied' : 'allowed',
+        entry.approvals.join(', ') || '-',
+        summarize(entry.status === 'skipped' ? entry.reason : entry.error || (entry.type === 'forEach' && entry.items ? entry.items.map(item => item.input) : entry.input), 48)
+      ]
+    });
+    if (entry.steps) {
+      addRows(entry.steps, depth + 1);
+    }
+  });
+  addRows(result.plan, 0);
+  
+  const header = ['Step', 'Runs', 'Status', 'Policy', 'Approval', 'Input / reason'];
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map(row => row.cells[i].length)));
+  const line = cells => cells.map((cell, i) => cell.padEnd(widths[i])).join('  ');
+  const colors = { planned: chalk.white, skipped: chalk.gray, blocked: chalk.red, failed: chalk.red };
+  
+  console.log(chalk.bold(`  ${line(header)}`));
+  console.log(chalk.gray(`  ${widths.map(width => '─'.repeat(width)).join('  ')}`));
+  rows.forEach(row => console.log(colors[row.status](`  ${line(row.cells)}`)));
+  console.log();
+  
+  if (result.policy && !result.policy.allowed) {
+    console.log(chalk.red(`🚫 Pipeline blocked by policy: ${result.policy.reason}`));
+  }
+  if (result.requiresApproval) {
+    console.log(chalk.yellow('✋ The pipeline asks for approval before it starts'));
+  }
+  console.log(result.success
+    ? chalk.green('✅ Every step resolved. Run without --dry-run to execute it.\n')
+    : chalk.red('❌ Some steps would be blocked or fail (see above; --format json has the details).\n'));
+  
+  if (!result.success) {
+    process.exit(1);
+  }
+}
+
 // Version and description
 program
   .name('schema-icu')
@@ -44,30 +391,19 @@ program
   .action(() => {
     console.log(chalk.bold.cyan('\n📋 Available Pipelines:\n'));
     
-    const pipelines = [
-      {
-        name: 'implement-feature',
-        steps: 6,
-        description: 'Complete feature implementation with planning, schema, code, and diffs'
-      },
-      {
-        name: 'fix-tests',
-        steps: 5,
-        description: 'Analyze failing tests and generate fixes'
-      },
-      {
-        name: 'new-service',
-        steps: 7,
-        description: 'Scaffold a complete microservice with boilerplate'
-      }
-    ];
+    const registry = new PipelineRegistry();
+    [improveAndDiff, implementFeature, fixTests, newService].forEach(p => registry.add(p));
     
-    pipelines.forEach(p => {
-      console.log(chalk.yellow(`  ${p.name}`) + chalk.gray(` (${p.steps} steps)`));
-      console.log(chalk.gray(`    ${p.description}\n`));
+    registry.list().forEach(({ definition: p, deprecated }) => {
+      console.log(chalk.yellow(`  ${p.id}`) + chalk.gray(`@${p.version} (${p.steps.length} steps)`));
+      console.log(chalk.gray(`    ${p.description}`));
+      if (deprecated) {
+        console.log(chalk.yellow(`    ⚠️  Deprecated: ${deprecated}`));
+      }
+      console.log();
     });
     
-    console.log(chalk.gray('Run a pipeline with:'), chalk.cyan('schema-icu pipeline-run <name>\n'));
+    console.log(chalk.gray('Run a pipeline with:'), chalk.cyan('schema-icu pipeline-run <name>[@<version range>]\n'));
   });
 
 // ===== PIPELINE RUN =====
@@ -75,13 +411,32 @@ program
   .command('pipeline-run')
   .alias('pr')
   .description('Run a pipeline interactively')
-  .argument('[name]', 'Pipeline name (implement-feature, fix-tests, new-service)')
+  .argument('[name]', 'Pipeline name, optionally pinned to a version range (implement-feature@^1.0)')
+  .option('-f, --file <file>', 'Run a declarative pipeline file (YAML or JSON)')
   .option('-p, --prompt <text>', 'User prompt/request')
   .option('-c, --context <file>', 'Context file (JSON)')
   .option('-o, --output <dir>', 'Output directory for results')
+  .option('--sign-key <file>', 'Private key (PEM) to sign the run manifest with')
+  .option('--record <dir>', 'Record every agent call and response to fixtures in <dir>')
+  .option('--replay <dir>', 'Serve agent calls from fixtures in <dir> (no API key needed)')
+  .option('--no-cache', 'Call agents even when a cached response exists')
   .option('--no-policy', 'Disable policy engine (dangerous!)')
+  .option('--dry-run', 'Show what each step would send, without calling agents or running commands')
+  .option('--format <format>', 'Dry-run output: table or json', 'table')
+  .option('--apply', 'Apply the collected actions (files, diffs, commands) to the current directory')
+  .option('-y, --yes', 'Approve local commands (and, with --apply, every action) without asking')
   .action(async (name, options) => {
     try {
+      if (!['table', 'json'].includes(options.format)) {
+        throw new Error(`Unknown format: ${options.format} (use table or json)`);
+      }
+      
+      // A pipeline file runs instead of a built-in unless a name is given
+      const definition = options.file ? new PipelineLoader().loadFile(path.resolve(options.file)) : null;
+      if (!name && definition) {
+        name = `${definition.id}@${definition.version}`;
+      }
+      
       // Interactive pipeline selection if not provided
       if (!name) {
         const answer = await inquirer.prompt([
@@ -119,85 +474,206 @@ program
         context = JSON.parse(fs.readFileSync(options.context, 'utf8'));
       }
       
-      // Initialize Schema.ICU client
-      const spinner = ora('Initializing Schema.ICU client...').start();
-      
-      if (!process.env.SCHEMA_ICU_API_KEY) {
-        spinner.fail(chalk.red('Missing SCHEMA_ICU_API_KEY environment variable'));
-        console.log(chalk.yellow('\nSet your API key:'));
-        console.log(chalk.gray('  export SCHEMA_ICU_API_KEY="your-key-here"'));
-        console.log(chalk.gray('  export SCHEMA_ICU_EMAIL="your-email"\n'));
-        process.exit(1);
+      const engine = createEngine(options);
+      if (definition) {
+        engine.registerPipeline(definition);
       }
       
-      const client = new SchemaICU();
-      spinner.succeed('Schema.ICU client initialized');
-      
-      // Initialize PipelineEngine
-      spinner.text = 'Setting up pipeline engine...';
-      spinner.start();
-      
-      const engine = new PipelineEngine(client, {
-        policyEngine: options.policy !== false ? new PolicyEngine({
-          requireApproval: false // CLI runs non-interactively
-        }) : null,
-        verbose: true
-      });
-      
-      // Register pipelines
-      engine.registerPipeline(implementFeature);
-      engine.registerPipeline(fixTests);
-      engine.registerPipeline(newService);
-      
-      spinner.succeed('Pipeline engine ready');
+      if (options.dryRun) {
+        reportPlan(await engine.runPipeline(name, { userPrompt, ...context }, { dryRun: true }), options);
+        return;
+      }
       
       // Run the pipeline
       console.log(chalk.bold.cyan(`\n🚀 Running pipeline: ${name}\n`));
       
-      const result = await engine.runPipeline(name, {
+      const result = await runInterruptible(signal => engine.runPipeline(name, {
         userPrompt,
         ...context
-      });
+      }, { signal }));
+      
+      reportResult(result, engine, options);
       
-      // Display results
-      console.log(chalk.bold.green('\n✅ Pipeline completed successfully!\n'));
+      if (options.apply) {
+        await applyActions(result, options);
+      }
       
-      result.steps.forEach((step, i) => {
-        console.log(chalk.cyan(`Step ${i + 1}: ${step.name}`));
-        console.log(chalk.gray(`  Status: ${step.status}`));
-        console.log(chalk.gray(`  Duration: ${step.duration}ms`));
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error running pipeline:'));
+      console.error(chalk.red(error.message));
+      console.error(chalk.gray(error.stack));
+      process.exit(1);
+    }
+  });
+
+// ===== RESUME =====
+program
+  .command('resume')
+  .description('Resume an interrupted or failed pipeline run from its last checkpoint')
+  .argument('[runId]', 'Run ID (omit to list resumable runs)')
+  .option('-o, --output <dir>', 'Output directory for results')
+  .option('--sign-key <file>', 'Private key (PEM) to sign the run manifest with')
+  .option('--no-cache', 'Call agents even when a cached response exists')
+  .option('--no-policy', 'Disable policy engine (dangerous!)')
+  .option('-y, --yes', 'Approve local commands without asking')
+  .action(async (runId, options) => {
+    try {
+      if (!runId) {
+        const checkpoints = await new FileCheckpointStore().list();
+        const resumable = checkpoints.filter(c => c.status !== 'completed');
         
-        if (step.data && Object.keys(step.data).length > 0) {
-          console.log(chalk.gray(`  Output keys: ${Object.keys(step.data).join(', ')}`));
+        if (resumable.length === 0) {
+          console.log(chalk.gray('\nNo resumable runs found.\n'));
+          return;
         }
-        console.log();
-      });
+        
+        console.log(chalk.bold.cyan('\n♻️  Resumable Runs:\n'));
+        resumable.forEach(c => {
+          console.log(chalk.yellow(`  ${c.runId}`) + chalk.gray(` (${c.status}, ${c.completedSteps} steps completed)`));
+          console.log(chalk.gray(`    Last update: ${c.updatedAt}\n`));
+        });
+        return;
+      }
+      
+      const engine = createEngine(options);
+      
+      console.log(chalk.bold.cyan(`\n♻️  Resuming run: ${runId}\n`));
       
-      // Save output if requested
-      if (options.output) {
-        const outputPath = path.resolve(options.output);
-        if (!fs.existsSync(outputPath)) {
-          fs.mkdirSync(outputPath, { recursive: true });
+      const result = await runInterruptible(signal => engine.resumeRun(runId, { signal }));
+      
+      reportResult(result, engine, options);
+      
+    } catch (error) {
+      console.error(chalk.red('\n❌ Error resuming run:'));
+      console.error(chalk.red(error.message));
+      process.exit(1);
+    }
+  });
+
+// ===== UNDO =====
+program
+  .command('undo')
+  .description('Restore the files changed by an applied pipeline run (pipeline-run --apply)')
+  .argument('[runId]', 'Run ID (default: the last applied run)')
+  .option('-l, --list', 'List runs that can be undone')
+  .option('--force', 'Undo even if the files were changed since the run was applied')
+  .action(async (runId, options) => {
+    try {
+      const snapshots = new SnapshotStore({ root: process.cwd() });
+      const applied = (await snapshots.list()).filter(s => s.status === 'applied');
+      
+      if (options.list) {
+        if (applied.length === 0) {
+          console.log(chalk.gray('\nNo applied runs to undo.\n'));
+          return;
         }
-        
-        const outputFile = path.join(outputPath, `${name}-${Date.now()}.json`);
-        fs.writeFileSync(outputFile, JSON.stringify(result, null, 2));
-        console.log(chalk.green(`💾 Results saved to: ${outputFile}\n`));
+        console.log(chalk.bold.cyan('\n↩️  Applied Runs:\n'));
+        applied.forEach(s => {
+          console.log(chalk.yellow(`  ${s.runId}`) + chalk.gray(` (${s.files} file(s), ${s.mode} snapshot)`));
+          console.log(chalk.gray(`    Applied: ${s.updatedAt}\n`));
+        });
+        return;
       }
       
-      // Summary
-      console.log(chalk.bold('📊 Summary:'));
-      console.log(chalk.gray(`  Pipeline: ${result.pipelineName}`));
-      console.log(chalk.gray(`  Status: ${result.status}`));
-      console.log(chalk.gray(`  Total Steps: ${result.totalSteps}`));
-      console.log(chalk.gray(`  Completed: ${result.completedSteps}`));
-      console.log(chalk.gray(`  Total Duration: ${result.totalDuration}ms`));
-      console.log();
+      if (!runId) {
+        if (applied.length === 0) {
+          console.log(chalk.gray('\nNo applied runs to undo.\n'));
+          return;
+        }
+        runId = applied[0].runId;
+      }
+      
+      console.log(chalk.bold.cyan(`\n↩️  Undoing run: ${runId}\n`));
+      
+      const result = await snapshots.rollback(runId, { force: options.force });
+      result.restored.forEach(file => console.log(chalk.green(`  ✅ Restored ${file}`)));
+      result.removed.forEach(file => console.log(chalk.green(`  🗑️  Removed ${file}`)));
+      console.log(chalk.gray('\nCommands, branches and commits made by the run are not undone.\n'));
       
     } catch (error) {
-      console.error(chalk.red('\n❌ Error running pipeline:'));
+      console.error(chalk.red('\n❌ Error undoing run:'));
       console.error(chalk.red(error.message));
-      console.error(chalk.gray(error.stack));
+      process.exit(1);
+    }
+  });
+
+// ===== CACHE =====
+const cacheCommand = program
+  .command('cache')
+  .description('Manage the agent response cache');
+
+cacheCommand
+  .command('clear')
+  .description('Remove all cached agent responses')
+  .action(async () => {
+    try {
+      const cache = new FileResponseCache();
+      const removed = await cache.clear();
+      console.log(chalk.green(`\n🧹 Removed ${removed} cached response${removed === 1 ? '' : 's'} from ${cache.directory}\n`));
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error clearing cache: ${error.message}\n`));
+      process.exit(1);
+    }
+  });
+
+// ===== VERIFY RUN =====
+program
+  .command('verify-run')
+  .description('Verify the hash chain and signatures of a saved run')
+  .argument('<file>', 'Result file saved by pipeline-run --output (or a bare manifest)')
+  .option('--public-key <files...>', 'Require the manifest to be signed by one of these public keys (PEM)')
+  .action((file, options) => {
+    try {
+      const saved = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+      const manifest = saved.manifest || saved;
+      const trustedKeys = process.env.SCHEMA_ICU_TRUSTED_KEYS
+        ? process.env.SCHEMA_ICU_TRUSTED_KEYS.split(',').map(key => key.trim()).filter(Boolean)
+        : undefined;
+      
+      const report = RunManifest.verify(manifest, {
+        publicKey: (options.publicKey || []).map(key => fs.readFileSync(path.resolve(key), 'utf8')),
+        trustedKeys,
+        result: saved.manifest ? saved : undefined
+      });
+      
+      console.log(chalk.bold.cyan(`\n🔏 Run ${manifest.runId || '(unknown)'}\n`));
+      console.log(chalk.gray(`  Entries: ${report.entries}`));
+      
+      if (report.firstTampered) {
+        const { index, type, stepId, reason } = report.firstTampered;
+        console.log(chalk.red(`  ✗ Chain broken at entry ${index}${type ? ` (${type}${stepId ? ` ${stepId}` : ''})` : ''}: ${reason}`));
+      } else {
+        console.log(chalk.green('  ✓ Hash chain intact'));
+      }
+      
+      const signatureColor = { valid: chalk.green, unsigned: chalk.yellow, untrusted: options.publicKey ? chalk.red : chalk.yellow }[report.signature] || chalk.red;
+      console.log(signatureColor(`  Manifest signature: ${report.signature}`));
+      
+      report.agentSignatures
+        .filter(check => check.status !== 'verified')
+        .forEach(check => {
+          const item = check.itemIndex !== undefined ? ` item ${check.itemIndex}` : '';
+          console.log(chalk.red(`  ✗ Agent signature for ${check.stepId}${item}: ${check.status} (${check.reason})`));
+        });
+      
+      report.outputs
+        .filter(check => !check.matches)
+        .forEach(check => console.log(chalk.red(`  ✗ Output of ${check.stepId} does not match the manifest`)));
+      
+      // A consistent chain proves nothing without a trusted signer: anyone can rebuild one
+      if (report.valid && report.signature === 'valid') {
+        console.log(chalk.bold.green('\n✅ Run verified\n'));
+      } else if (report.valid) {
+        const signer = report.signature === 'unsigned' ? 'is unsigned' : 'is signed by a key you did not pass with --public-key';
+        console.log(chalk.bold.yellow(`\n⚠️  Run not verified: the manifest ${signer}, so anyone could have rewritten it\n`));
+        process.exit(1);
+      } else {
+        console.log(chalk.bold.red('\n❌ Run failed verification\n'));
+        process.exit(1);
+      }
+      
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Error verifying run: ${error.message}\n`));
       process.exit(1);
     }
   });
@@ -207,7 +683,13 @@ program
   .command('pipeline-create')
   .alias('pc')
   .description('Create a custom pipeline interactively')
-  .action(async () => {
+  .option('--format <format>', 'File format: yaml or json', 'yaml')
+  .action(async (options) => {
+    if (!['yaml', 'json'].includes(options.format)) {
+      console.error(chalk.red(`\n❌ Unknown format: ${options.format} (use yaml or json)\n`));
+      process.exit(1);
+    }
+    
     console.log(chalk.bold.cyan('\n🎨 Pipeline Creator\n'));
     
     // Basic info
@@ -237,49 +719,65 @@ program
           { name: '🔧 Generate Diff - Create git diffs', value: 'diff' },
           { name: '🧪 Generate Tests - Create test cases', value: 'tests' },
           { name: '⚙️  Generate Terminal Commands - Setup commands', value: 'terminal' }
-        ]
+        ],
+        validate: input => input.length > 0 || 'Select at least one step'
       }
     ]);
     
-    // Generate pipeline definition
+    const stepMap = {
+      prompt: { id: 'improve-prompt', name: 'Improve Prompt', agent: 'promptImprover', method: 'improve' },
+      plan: { id: 'plan-tasks', name: 'Plan Tasks', agent: 'projectPlanner', method: 'plan' },
+      schema: { id: 'generate-schema', name: 'Generate Schema', agent: 'schemaGenerator', method: 'generate' },
+      code: { id: 'generate-code', name: 'Generate Code', agent: 'codeGenerator', method: 'generate' },
+      improve: { id: 'improve-code', name: 'Improve Code', agent: 'codeImprover', method: 'improve' },
+      diff: { id: 'generate-diff', name: 'Generate Diff', agent: 'diffImprover', method: 'improve' },
+      tests: {
+        id: 'generate-tests',
+        name: 'Generate Tests',
+        agent: 'codeGenerator',
+        method: 'generate',
+        query: 'Generate unit tests for this code'
+      },
+      terminal: { id: 'generate-commands', name: 'Generate Commands', agent: 'terminalAgent', method: 'generate' }
+    };
+    
+    // Each step reads the previous one's output; the first reads the prompt
     const pipeline = {
+      id: answers.name,
+      version: '1.0.0',
       name: answers.name,
       description: answers.description,
       steps: answers.steps.map((step, i) => {
-        const stepMap = {
-          prompt: { agent: 'promptImprover', method: 'improve', name: 'Improve Prompt' },
-          plan: { agent: 'projectPlanner', method: 'plan', name: 'Plan Tasks' },
-          schema: { agent: 'schemaGenerator', method: 'generate', name: 'Generate Schema' },
-          code: { agent: 'codeGenerator', method: 'generate', name: 'Generate Code' },
-          improve: { agent: 'codeImprover', method: 'improve', name: 'Improve Code' },
-          diff: { agent: 'diffImprover', method: 'generateDiff', name: 'Generate Diff' },
-          tests: { agent: 'codeGenerator', method: 'generateTests', name: 'Generate Tests' },
-          terminal: { agent: 'terminalAgent', method: 'generate', name: 'Generate Commands' }
-        };
-        
-        return {
-          step: i + 1,
-          ...stepMap[step],
-          inputFrom: i === 0 ? 'userPrompt' : `step${i}`
-        };
+        const previous = i > 0 ? stepMap[answers.steps[i - 1]].id : null;
+        const definition = { ...stepMap[step], inputFrom: previous ? 'previousStep' : 'user' };
+        if (step === 'tests' && previous) {
+          // The query replaces the previous output as input, so pass the code as context
+          definition.context = {
+            codeToTest: { $expr: `steps.${previous}.data.code ?? steps.${previous}.data.improvedCode` }
+          };
+        }
+        return definition;
       })
     };
     
-    // Save pipeline
-    const filename = `pipeline-${answers.name}.js`;
-    const pipelineCode = `// Auto-generated pipeline: ${answers.name}
-// Created: ${new Date().toISOString()}
-
-module.exports = ${JSON.stringify(pipeline, null, 2)};
-`;
-    
-    fs.writeFileSync(filename, pipelineCode);
+    const filename = `pipeline-${answers.name}.${options.format}`;
+    try {
+      const content = PipelineLoader.serialize(pipeline, options.format);
+      // Catch anything the engine would reject before writing the file
+      new PipelineEngine({}).registerPipeline(new PipelineLoader().load(content, { format: options.format, source: filename }));
+      const header = options.format === 'yaml'
+        ? `# Auto-generated pipeline: ${answers.name}\n# Created: ${new Date().toISOString()}\n\n`
+        : '';
+      fs.writeFileSync(filename, header + content);
+    } catch (error) {
+      console.error(chalk.red(`\n❌ Could not create pipeline: ${error.message}\n`));
+      process.exit(1);
+    }
     
     console.log(chalk.green(`\n✅ Pipeline created: ${filename}\n`));
     console.log(chalk.gray('To use this pipeline:'));
-    console.log(chalk.cyan(`  const myPipeline = require('./${filename}');`));
-    console.log(chalk.cyan(`  engine.registerPipeline(myPipeline);`));
-    console.log(chalk.cyan(`  engine.runPipeline('${answers.name}', { userPrompt: '...' });\n`));
+    console.log(chalk.cyan(`  schema-icu pipeline-validate ${filename}`));
+    console.log(chalk.cyan(`  schema-icu pipeline-run --file ${filename} -p '...'\n`));
   });
 
 // ===== PIPELINE VALIDATE =====
@@ -287,54 +785,85 @@ program
   .command('pipeline-validate')
   .alias('pv')
   .description('Validate a pipeline definition file')
-  .argument('<file>', 'Pipeline file to validate')
-  .action((file) => {
-    const spinner = ora('Validating pipeline...').start();
+  .argument('<file>', 'Pipeline file to validate (.yaml, .yml, .json or a JS module)')
+  .option('--format <format>', 'Output format: text or json', 'text')
+  .action((file, options) => {
+    if (!['text', 'json'].includes(options.format)) {
+      console.error(chalk.red(`Unknown format: ${options.format} (use text or json)`));
+      process.exit(1);
+    }
+    const json = options.format === 'json';
+    const spinner = json ? null : ora('Validating pipeline...').start();
     
+    let pipeline;
+    let result;
     try {
-      // Load and validate
-      const pipeline = require(path.resolve(file));
-      
-      // Check required fields
-      const required = ['name', 'description', 'steps'];
-      const missing = required.filter(f => !pipeline[f]);
-      
-      if (missing.length > 0) {
-        spinner.fail(chalk.red(`Missing required fields: ${missing.join(', ')}`));
-        process.exit(1);
-      }
-      
-      // Validate steps
-      if (!Array.isArray(pipeline.steps) || pipeline.steps.length === 0) {
-        spinner.fail(chalk.red('Pipeline must have at least one step'));
-        process.exit(1);
-      }
-      
-      pipeline.steps.forEach((step, i) => {
-        if (!step.agent || !step.method) {
-          throw new Error(`Step ${i + 1} missing agent or method`);
-        }
-      });
+      // Declarative files go through the loader; JS modules may hold functions
+      pipeline = PipelineLoader.formatOf(file)
+        ? new PipelineLoader().loadFile(path.resolve(file))
+        : require(path.resolve(file));
       
+      // Analyze next to the built-ins so sub-pipeline references resolve
+      const engine = new PipelineEngine({});
+      [improveAndDiff, implementFeature, fixTests, newService]
+        .filter(p => p.id !== pipeline.id)
+        .forEach(p => engine.registerPipeline(p));
+      result = engine.analyzePipeline(pipeline);
+    } catch (error) {
+      // Files that don't load or parse
+      result = { valid: false, diagnostics: [{ severity: 'error', code: 'load-error', message: error.message }] };
+    }
+    
+    if (json) {
+      console.log(JSON.stringify({
+        file,
+        pipeline: pipeline ? { id: pipeline.id, version: pipeline.version } : null,
+        valid: result.valid,
+        diagnostics: result.diagnostics
+      }, null, 2));
+      process.exit(result.valid ? 0 : 1);
+    }
+    
+    const errors = result.diagnostics.filter(d => d.severity === 'error');
+    const warnings = result.diagnostics.filter(d => d.severity === 'warning');
+    const where = d => (d.path ? chalk.gray(` (${d.path})`) : '');
+    
+    if (!result.valid) {
+      spinner.fail(chalk.red(`Validation failed: ${errors.length} error(s), ${warnings.length} warning(s)`));
+    } else if (warnings.length > 0) {
+      spinner.warn(chalk.yellow(`Pipeline is valid, with ${warnings.length} warning(s)`));
+    } else {
       spinner.succeed(chalk.green('Pipeline is valid!'));
-      
-      // Display info
-      console.log(chalk.bold('\n📊 Pipeline Info:\n'));
-      console.log(chalk.cyan(`  Name: ${pipeline.name}`));
-      console.log(chalk.gray(`  Description: ${pipeline.description}`));
-      console.log(chalk.gray(`  Steps: ${pipeline.steps.length}\n`));
-      
-      pipeline.steps.forEach((step, i) => {
-        console.log(chalk.yellow(`  ${i + 1}. ${step.name || step.agent}`));
-        console.log(chalk.gray(`     Agent: ${step.agent}, Method: ${step.method}`));
-      });
+    }
+    
+    if (result.diagnostics.length > 0) {
+      console.log();
+      errors.forEach(d => console.log(chalk.red(`  ✖ ${d.message}`) + chalk.gray(` [${d.code}]`) + where(d)));
+      warnings.forEach(d => console.log(chalk.yellow(`  ⚠ ${d.message}`) + chalk.gray(` [${d.code}]`) + where(d)));
+    }
+    
+    if (!result.valid) {
       console.log();
-      
-    } catch (error) {
-      spinner.fail(chalk.red('Validation failed'));
-      console.error(chalk.red(`Error: ${error.message}\n`));
       process.exit(1);
     }
+    
+    // Display info
+    console.log(chalk.bold('\n📊 Pipeline Info:\n'));
+    console.log(chalk.cyan(`  Name: ${pipeline.name} (${pipeline.id}@${pipeline.version})`));
+    console.log(chalk.gray(`  Description: ${pipeline.description}`));
+    console.log(chalk.gray(`  Steps: ${pipeline.steps.length}\n`));
+    
+    pipeline.steps.forEach((step, i) => {
+      console.log(chalk.yellow(`  ${i + 1}. ${step.name || step.id}`));
+      if (step.pipeline) {
+        console.log(chalk.gray(`     Pipeline: ${step.pipeline}`));
+      } else if (step.exec || step.run) {
+        console.log(chalk.gray(`     Local: ${step.exec ? 'command' : 'function'}`));
+      } else {
+        console.log(chalk.gray(`     Agent: ${step.agent}, Method: ${step.method}`));
+      }
+    });
+    console.log();
   });
 
 // ===== NEW PROJECT =====
@@ -0,0 +1,426 @@
+/**
+ * UnifiedDiff - Parse, apply and reverse unified diffs
+ *
+ * Parses single- and multi-file diffs (`diff --git`, `---` / `+++` headers,
+ * `/dev/null` for created and deleted files, `\ No newline at end of file`)
+ * into file patches:
+ *
+ * { oldPath: 'src/app.js', newPath: 'src/app.js', hunks: [{ oldStart, oldLines, newStart, newLines, lines }] }
+ *
+ * Paths lose their `a/` / `b/` prefixes and are null for `/dev/null`; a diff
+ * with hunks but no headers gives one patch without paths, for the caller
+ * to map onto a file. Renames (`rename from` / `rename to`, or different
+ * `---` / `+++` paths) have both paths set and may have no hunks.
+ * Hunk lines are `{ op: ' ' | '-' | '+', text }`. Hunk line counts are
+ * recomputed from the lines, since generated diffs often miscount them.
+ *
+ * Applying works like `patch`: a hunk that doesn't match where its header
+ * says is looked for nearby (offset, up to `maxOffset` lines away), then
+ * with up to `fuzz` context lines ignored at each end. Hunks that still
+ * don't match are reported as conflicts and the content is left untouched.
+ */
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+const NO_NEWLINE = '\\ No newline at end of file';
+
+class UnifiedDiff {
+  /**
+   * Parse a unified diff
+   * @param {string} text - Diff text
+   * @returns {Array<Object>} File patches: { oldPath, newPath, hunks }
+   * @throws {Error} On diffs without hunks and binary patches
+   */
+  static parse(text) {
+    if (typeof text !== 'string') {
+      throw new Error('Invalid diff: expected a string');
+    }
+
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    // The final newline ends the last line; it isn't a blank context line
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    const patches = [];
+    let patch = null;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+
+      if (line.startsWith('diff --git ')) {
+        const [, oldPath, newPath] = /^diff --git (?:"?a\/)?(.+?)"? (?:"?b\/)?(.+?)"?$/.exec(line) || [];
+        patch = { oldPath: oldPath || null, newPath: newPath || null, hunks: [], git: true };
+        patches.push(patch);
+      } else if (line.startsWith('--- ') && i + 1 < lines.length && lines[i + 1].startsWith('+++ ')) {
+        // A git header's paths are refined by ---/+++; otherwise this starts a file
+        if (!patch || !patch.git || patch.hunks.length > 0 || patch.headers) {
+          patch = { hunks: [] };
+          patches.push(patch);
+        }
+        patch.oldPath = parsePath(line.slice(4), 'a/');
+        patch.newPath = parsePath(lines[i + 1].slice(4), 'b/');
+        patch.headers = true;
+        i++;
+      } else if (line.startsWith('GIT binary patch') || line.startsWith('Binary files ')) {
+        throw new Error(`Invalid diff: binary patches are not supported (line ${i + 1})`);
+      } else if (HUNK_HEADER.test(line)) {
+        if (!patch) {
+          patch = { hunks: [] };
+          patches.push(patch);
+        }
+        const hunk = UnifiedDiff.parseHunk(lines, i);
+        patch.hunks.push(hunk);
+        i = hunk.end;
+        delete hunk.end;
+      } else if (line.startsWith('deleted file mode') && patch) {
+        patch.newPath = null;
+      } else if (line.startsWith('new file mode') && patch) {
+        patch.oldPath = null;
+      } else if (line.startsWith('rename from ') && patch) {
+        patch.oldPath = parsePath(line.slice(12), '');
+      } else if (line.startsWith('rename to ') && patch) {
+        patch.newPath = parsePath(line.slice(10), '');
+      }
+    }
+
+    patches.forEach(p => {
+      delete p.git;
+      delete p.headers;
+    });
+    const changes = patches.filter(p => p.hunks.length > 0 || UnifiedDiff.isRename(p));
+    if (changes.length === 0) {
+      throw new Error('Invalid diff: no hunks found');
+    }
+    return changes;
+  }
+
+  /**
+   * Whether a file patch moves a file
+   * @param {Object} patch - File patch
+   * @returns {boolean}
+   */
+  static isRename(patch) {
+    return Boolean(patch.oldPath && patch.newPath && patch.oldPath !== patch.newPath);
+  }
+
+  /**
+   * Parse the hunk starting at `lines[start]`
+   * @private
+   * @returns {Object} Hunk, with `end` = index of its last line
+   */
+  static parseHunk(lines, start) {
+    const [, oldStart, oldCount, newStart, newCount, section] = HUNK_HEADER.exec(lines[start]);
+    const expected = { old: oldCount === undefined ? 1 : Number(oldCount), new: newCount === undefined ? 1 : Number(newCount) };
+    const hunk = {
+      oldStart: Number(oldStart),
+      oldLines: 0,
+      newStart: Number(newStart),
+      newLines: 0,
+      section: section || '',
+      lines: [],
+      oldNoNewline: false,
+      newNoNewline: false
+    };
+
+    let i = start + 1;
+    for (; i < lines.length; i++) {
+      const line = lines[i];
+      const counted = hunk.oldLines >= expected.old && hunk.newLines >= expected.new;
+
+      if (line.startsWith('\\')) {
+        // Marks the line before it
+        const previous = hunk.lines[hunk.lines.length - 1];
+        if (previous && previous.op !== '+') {
+          hunk.oldNoNewline = true;
+        }
+        if (previous && previous.op !== '-') {
+          hunk.newNoNewline = true;
+        }
+        continue;
+      }
+      // A `--- ` line inside an unfinished hunk is a removed line, unless it opens a file
+      const fileHeader = line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ') &&
+        (counted || HUNK_HEADER.test(lines[i + 2] || ''));
+      if (HUNK_HEADER.test(line) || line.startsWith('diff --git ') || fileHeader) {
+        break;
+      }
+
+      let op;
+      if (line === '' && !counted) {
+        // Blank context lines often lose their leading space
+        op = ' ';
+      } else if (/^[ +-]/.test(line) && !(counted && line.startsWith(' '))) {
+        // Extra +/- lines past the header counts are kept: generated diffs miscount
+        op = line[0];
+      } else {
+        break;
+      }
+
+      hunk.lines.push({ op, text: line.slice(1) });
+      if (op !== '+') {
+        hunk.oldLines++;
+      }
+      if (op !== '-') {
+        hunk.newLines++;
+      }
+    }
+
+    hunk.end = i - 1;
+    return hunk;
+  }
+
+  /**
+   * Apply a file patch to content
+   * @param {string} content - Current file content ('' for new files)
+   * @param {Object} patch - File patch from `parse`
+   * @param {Object} [options]
+   * @param {number} [options.fuzz=2] - Context lines that may be ignored at each end of a hunk
+   * @param {number} [options.maxOffset=Infinity] - How many lines away a hunk may be found
+   * @returns {Object} { success, content, hunks: [{ index, status, offset?, fuzz? }], conflicts }
+   *   (content is unchanged when any hunk conflicts)
+   */
+  static apply(content, patch, options = {}) {
+    const fuzzLimit = options.fuzz === undefined ? 2 : options.fuzz;
+    const maxOffset = options.maxOffset === undefined ? Infinity : options.maxOffset;
+
+    const file = splitLines(content);
+    const lines = file.lines;
+    let endsWithNewline = file.endsWithNewline;
+    const crlf = lines.length > 0 && lines.filter(line => line.endsWith('\r')).length > lines.length / 2;
+
+    const hunks = [];
+    const conflicts = [];
+    // Lines added minus removed so far, and the offset the last hunk was found at
+    let delta = 0;
+    let lastOffset = 0;
+    // Hunks may not overlap earlier ones
+    let floor = 0;
+
+    patch.hunks.forEach((hunk, index) => {
+      const expected = (hunk.oldLines === 0 ? hunk.oldStart : hunk.oldStart - 1) + delta;
+      const match = findHunk(lines, hunk, expected + lastOffset, floor, fuzzLimit, maxOffset);
+
+      if (!match) {
+        const report = {
+          index,
+          status: 'conflict',
+          oldStart: hunk.oldStart,
+          reason: `Hunk ${index + 1} (line ${hunk.oldStart}) does not match the file`,
+          expected: hunk.lines.filter(line => line.op !== '+').map(line => line.text)
+        };
+        hunks.push(report);
+        conflicts.push(report);
+        return;
+      }
+
+      const { position, trimStart, trimEnd, fuzz } = match;
+      const body = hunk.lines.slice(trimStart, hunk.lines.length - trimEnd);
+      const removed = body.filter(line => line.op !== '+').length;
+      // Context lines keep the file's text (line endings, fuzzed differences)
+      let cursor = position;
+      const replacement = [];
+      body.forEach(line => {
+        if (line.op === ' ') {
+          replacement.push(lines[cursor++]);
+        } else if (line.op === '-') {
+          cursor++;
+        } else {
+          replacement.push(crlf ? `${line.text}\r` : line.text);
+        }
+      });
+
+      const atEnd = position + removed === lines.length;
+      lines.splice(position, removed, ...replacement);
+      if (atEnd && trimEnd === 0) {
+        if (hunk.newNoNewline) {
+          endsWithNewline = false;
+        } else if (hunk.oldNoNewline || !endsWithNewline) {
+          endsWithNewline = lines.length > 0;
+        }
+      }
+
+      const offset = position - trimStart - expected;
+      hunks.push({ index, status: 'applied', offset, fuzz });
+      lastOffset = offset;
+      delta += replacement.length - removed;
+      floor = position + replacement.length;
+    });
+
+    const success = conflicts.length === 0;
+    return {
+      success,
+      content: success ? joinLines(lines, endsWithNewline) : content,
+      hunks,
+      conflicts
+    };
+  }
+
+  /**
+   * Patch that undoes a file patch
+   * @param {Object} patch - File patch
+   * @returns {Object} Reversed file patch
+   */
+  static reverse(patch) {
+    return {
+      oldPath: patch.newPath,
+      newPath: patch.oldPath,
+      hunks: patch.hunks.map(hunk => {
+        const lines = [];
+        let removed = [];
+        let added = [];
+        const flush = () => {
+          lines.push(...removed, ...added);
+          removed = [];
+          added = [];
+        };
+        // Swap +/-, keeping removals before additions in each change block
+        hunk.lines.forEach(line => {
+          if (line.op === ' ') {
+            flush();
+            lines.push(line);
+          } else if (line.op === '+') {
+            removed.push({ op: '-', text: line.text });
+          } else {
+            added.push({ op: '+', text: line.text });
+          }
+        });
+        flush();
+
+        return {
+          oldStart: hunk.newStart,
+          oldLines: hunk.newLines,
+          newStart: hunk.oldStart,
+          newLines: hunk.oldLines,
+          section: hunk.section,
+          lines,
+          oldNoNewline: hunk.newNoNewline,
+          newNoNewline: hunk.oldNoNewline
+        };
+      })
+    };
+  }
+
+  /**
+   * Write file patches as a unified diff
+   * @param {Array<Object>|Object} patches - File patches
+   * @returns {string}
+   */
+  static format(patches) {
+    return [].concat(patches).map(patch => {
+      const header = (side, name) => `${side} ${name === null ? '/dev/null' : `${side === '---' ? 'a' : 'b'}/${name}`}`;
+      // Headerless patches stay headerless
+      const out = patch.oldPath === undefined && patch.newPath === undefined
+        ? []
+        : [header('---', patch.oldPath), header('+++', patch.newPath)];
+      // Renames without hunks need git's extended headers to survive a round trip
+      if (UnifiedDiff.isRename(patch)) {
+        out.unshift(`diff --git a/${patch.oldPath} b/${patch.newPath}`, `rename from ${patch.oldPath}`, `rename to ${patch.newPath}`);
+      }
+      patch.hunks.forEach(hunk => {
+        out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${hunk.section ? ` ${hunk.section}` : ''}`);
+        const lastOld = findLastIndex(hunk.lines, line => line.op !== '+');
+        const lastNew = findLastIndex(hunk.lines, line => line.op !== '-');
+        hunk.lines.forEach((line, i) => {
+          out.push(`${line.op}${line.text}`);
+          if ((hunk.oldNoNewline && i === lastOld) || (hunk.newNoNewline && i === lastNew)) {
+            out.push(NO_NEWLINE);
+          }
+        });
+      });
+      return out.join('\n');
+    }).join('\n') + '\n';
+  }
+}
+
+/**
+ * Header path without timestamp, quotes and the `a/` / `b/` prefix
+ * @private
+ */
+function parsePath(raw, prefix) {
+  let name = raw.split('\t')[0].trim();
+  if (name.startsWith('"') && name.endsWith('"')) {
+    name = name.slice(1, -1);
+  }
+  if (name === '/dev/null') {
+    return null;
+  }
+  return name.startsWith(prefix) ? name.slice(prefix.length) : name;
+}
+
+/**
+ * @private
+ */
+function splitLines(content) {
+  if (content === '') {
+    return { lines: [], endsWithNewline: false };
+  }
+  const lines = content.split('\n');
+  const endsWithNewline = lines[lines.length - 1] === '';
+  if (endsWithNewline) {
+    lines.pop();
+  }
+  return { lines, endsWithNewline };
+}
+
+/**
+ * @private
+ */
+function joinLines(lines, endsWithNewline) {
+  return lines.length === 0 ? '' : lines.join('\n') + (endsWithNewline ? '\n' : '');
+}
+
+/**
+ * @private
+ */
+function findLastIndex(array, predicate) {
+  for (let i = array.length - 1; i >= 0; i--) {
+    if (predicate(array[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find where a hunk applies: nearest position to `expected`, with the least fuzz
+ * @private
+ * @returns {Object|null} { position, trimStart, trimEnd, fuzz }
+ */
+function findHunk(lines, hunk, expected, floor, fuzzLimit, maxOffset) {
+  const leading = hunk.lines.findIndex(line => line.op !== ' ');
+  const trailing = hunk.lines.length - 1 - findLastIndex(hunk.lines, line => line.op !== ' ');
+  const same = (a, b) => a === b || a.replace(/\r$/, '') === b.replace(/\r$/, '');
+
+  for (let fuzz = 0; fuzz <= fuzzLimit; fuzz++) {
+    // Only context lines can be fuzzed away
+    const trimStart = Math.min(fuzz, leading === -1 ? 0 : leading);
+    const trimEnd = Math.min(fuzz, leading === -1 ? 0 : trailing);
+    if (fuzz > 0 && trimStart + trimEnd === 0) {
+      break;
+    }
+    const old = hunk.lines.slice(trimStart, hunk.lines.length - trimEnd)
+      .filter(line => line.op !== '+')
+      .map(line => line.text);
+    // Fuzzing away all context would let the hunk match anywhere
+    if (fuzz > 0 && old.length === 0) {
+      break;
+    }
+
+    const matchesAt = position => position >= floor &&
+      position + old.length <= lines.length &&
+      old.every((text, i) => same(lines[position + i], text));
+
+    const start = expected + trimStart;
+    const limit = Math.min(maxOffset, Math.max(lines.length, 1));
+    for (let distance = 0; distance <= limit; distance++) {
+      if (matchesAt(start + distance)) {
+        return { position: start + distance, trimStart, trimEnd, fuzz };
+      }
+      if (distance > 0 && matchesAt(start - distance)) {
+        return { position: start - distance, trimStart, trimEnd, fuzz };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { UnifiedDiff };
@@ -0,0 +1,187 @@
+/**
+ * ConditionEvaluator - Evaluates `when` / `unless` step conditions
+ *
+ * A condition is either a function `(results, context) => boolean` (same
+ * signature as `contextBuilder`) or a declarative object over dotted paths
+ * into `{ context, stepResults }`:
+ *
+ * - `{ path: 'context.changeType', equals: 'refactor' }`
+ * - `{ path: 'stepResults.plan-tasks.tasks', exists: true }`
+ * - `{ path: 'context.testResults.numFailedTests', gt: 0 }`
+ * - `{ path: 'context.preferences.language', in: ['JavaScript', 'TypeScript'] }`
+ * - `{ all: [...] }`, `{ any: [...] }`, `{ not: {...} }`
+ * - `{ $expr: 'steps.run-tests.data.exitCode != 0' }` - an ExpressionEvaluator
+ *   expression over `{ context, steps, item }`, tested for truthiness
+ *
+ * A declarative condition with only a `path` tests the value for truthiness.
+ */
+
+const { ExpressionEvaluator } = require('./ExpressionEvaluator');
+
+const COMPARISONS = {
+  equals: (value, expected) => value === expected,
+  notEquals: (value, expected) => value !== expected,
+  gt: (value, expected) => value > expected,
+  gte: (value, expected) => value >= expected,
+  lt: (value, expected) => value < expected,
+  lte: (value, expected) => value <= expected,
+  in: (value, expected) => Array.isArray(expected) && expected.includes(value),
+  exists: (value, expected) => (value !== undefined && value !== null) === expected
+};
+
+/**
+ * Read an own property (missing values and prototype members such as
+ * `constructor` or `__proto__` are undefined)
+ * @private
+ */
+function read(value, key) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const target = Object(value);
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+}
+
+class ConditionEvaluator {
+  /**
+   * @param {ExpressionEvaluator} [expressions] - Evaluator for `$expr` conditions
+   */
+  constructor(expressions = new ExpressionEvaluator()) {
+    this.expressions = expressions;
+  }
+
+  /**
+   * Evaluate a condition
+   * @param {Function|Object} condition - Function or declarative condition
+   * @param {Object} scope - { results, context, stepResults, steps }
+   * @returns {boolean}
+   */
+  evaluate(condition, scope) {
+    if (typeof condition === 'function') {
+      return Boolean(condition(scope.results, scope.context));
+    }
+
+    if (!condition || typeof condition !== 'object') {
+      throw new Error(`Invalid condition: ${JSON.stringify(condition)}`);
+    }
+
+    if (condition.all) {
+      return condition.all.every(c => this.evaluate(c, scope));
+    }
+    if (condition.any) {
+      return condition.any.some(c => this.evaluate(c, scope));
+    }
+    if (condition.not) {
+      return !this.evaluate(condition.not, scope);
+    }
+    if (typeof condition.$expr === 'string') {
+      const { context, steps = {} } = scope;
+      return Boolean(this.expressions.evaluate(condition.$expr, { context, steps, item: context && context.item }));
+    }
+
+    if (!condition.path) {
+      throw new Error(`Condition requires a path: ${JSON.stringify(condition)}`);
+    }
+
+    const value = this.resolvePath(scope, condition.path);
+    const operators = Object.keys(condition).filter(key => key !== 'path');
+
+    if (operators.length === 0) {
+      return Boolean(value);
+    }
+
+    return operators.every(operator => {
+      const compare = Object.prototype.hasOwnProperty.call(COMPARISONS, operator) ? COMPARISONS[operator] : null;
+      if (!compare) {
+        throw new Error(`Unknown condition operator: ${operator}`);
+      }
+      return compare(value, condition[operator]);
+    });
+  }
+
+  /**
+   * Check a condition's structure and operators without evaluating it, so
+   * typos like `{ path, equal: true }` fail at registration
+   * @param {Function|Object} condition - Function or declarative condition
+   * @throws {Error} On malformed conditions and unknown operators
+   */
+  validate(condition) {
+    if (typeof condition === 'function') {
+      return;
+    }
+    if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+      throw new Error(`Invalid condition: ${JSON.stringify(condition)}`);
+    }
+
+    const group = ['all', 'any'].find(key => condition[key]);
+    if (group) {
+      if (!Array.isArray(condition[group])) {
+        throw new Error(`Condition ${group} must be an array`);
+      }
+      condition[group].forEach(c => this.validate(c));
+      return;
+    }
+    if (condition.not) {
+      this.validate(condition.not);
+      return;
+    }
+    if (condition.$expr !== undefined) {
+      if (typeof condition.$expr !== 'string') {
+        throw new Error('Condition $expr must be a string');
+      }
+      return;
+    }
+
+    if (typeof condition.path !== 'string' || !condition.path) {
+      throw new Error(`Condition requires a path: ${JSON.stringify(condition)}`);
+    }
+    const unknown = Object.keys(condition)
+      .find(key => key !== 'path' && !Object.prototype.hasOwnProperty.call(COMPARISONS, key));
+    if (unknown) {
+      throw new Error(`Unknown condition operator: ${unknown} (use ${Object.keys(COMPARISONS).join(', ')})`);
+    }
+  }
+
+  /**
+   * Describe a condition for skip reasons and logs
+   * @param {Function|Object} condition - Function or declarative condition
+   * @returns {string}
+   */
+  describe(condition) {
+    if (typeof condition === 'function') {
+      return condition.name ? `${condition.name}()` : 'custom predicate';
+    }
+    if (condition.all) {
+      return `(${condition.all.map(c => this.describe(c)).join(' AND ')})`;
+    }
+    if (condition.any) {
+      return `(${condition.any.map(c => this.describe(c)).join(' OR ')})`;
+    }
+    if (condition.not) {
+      return `NOT ${this.describe(condition.not)}`;
+    }
+    if (typeof condition.$expr === 'string') {
+      return condition.$expr;
+    }
+
+    const operators = Object.keys(condition).filter(key => key !== 'path');
+    if (operators.length === 0) {
+      return condition.path;
+    }
+    return operators
+      .map(operator => `${condition.path} ${operator} ${JSON.stringify(condition[operator])}`)
+      .join(' AND ');
+  }
+
+  /**
+   * Resolve a dotted path against an object
+   * @param {Object} source - Object to read from
+   * @param {string} path - Dotted path, e.g. 'context.preferences.language'
+   * @returns {*} Value, or undefined when any segment is missing or inherited
+   */
+  resolvePath(source, path) {
+    return path.split('.').reduce(read, source);
+  }
+}
+
+module.exports = { ConditionEvaluator };
@@ -0,0 +1,415 @@
+/**
+ * ExpressionEvaluator - Safe expression language for declarative pipelines
+ *
+ * Expressions read the template scope ({ context, steps, item }) and can only
+ * call the functions in FUNCTIONS, so pipelines loaded from files or
+ * untrusted sources never run code:
+ *
+ * - paths: `steps.plan-tasks.data.tasks`, `item.title`, `context.files[0]`
+ * - literals: `'text'`, `42`, `true`, `null`, `['a', 'b']`
+ * - fallbacks: `context.preferences.language || 'JavaScript'`, `a ?? b`, `a && b`
+ * - comparisons: `==`, `!=` (strict), `<`, `<=`, `>`, `>=`, `!`
+ * - pipes: `steps.generate-code.data | pluck('code') | compact | join('\n\n')`
+ *
+ * Precedence from loosest to tightest: `??`, `||`, `&&`, comparisons, `!`,
+ * pipes. Step ids may contain hyphens, so there is no arithmetic. Missing
+ * path segments evaluate to undefined, and only own properties are read.
+ */
+
+const ROOTS = ['context', 'steps', 'item'];
+const LITERALS = { true: true, false: false, null: null };
+const COMPARISONS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const TOKEN_PATTERN = new RegExp([
+  '\\s+',
+  '(\\?\\?|\\|\\||&&|==|!=|<=|>=|[<>!|.,()[\\]])', // operators and punctuation
+  '(-?\\d+(?:\\.\\d+)?)', // numbers
+  '(\'(?:[^\'\\\\]|\\\\.)*\'|"(?:[^"\\\\]|\\\\.)*")', // strings
+  '([A-Za-z_$][\\w$-]*)' // names (step ids may contain hyphens)
+].join('|'), 'y');
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r' };
+
+/**
+ * Functions available after `|`; the piped value comes first
+ */
+const FUNCTIONS = {
+  default: (value, fallback) => (value === undefined || value === null ? fallback : value),
+  json: value => (value === undefined ? undefined : JSON.stringify(value, null, 2)),
+  string: value => (value === undefined || value === null ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value)),
+  truncate: (value, limit) => {
+    if (value === undefined || value === null) return value;
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > limit ? `${text.slice(0, limit)}...` : text;
+  },
+  pluck: (value, key) => (Array.isArray(value) ? value.map(entry => read(entry, key)) : undefined),
+  compact: value => (Array.isArray(value) ? value.filter(Boolean) : value),
+  join: (value, separator = ',') => (Array.isArray(value) ? value.join(separator) : value),
+  first: value => (Array.isArray(value) ? value[0] : undefined),
+  last: value => (Array.isArray(value) ? value[value.length - 1] : undefined),
+  length: value => (Array.isArray(value) || typeof value === 'string' ? value.length : undefined),
+  keys: value => (isObject(value) ? Object.keys(value) : undefined),
+  values: value => (isObject(value) ? Object.values(value) : undefined),
+  lower: value => (typeof value === 'string' ? value.toLowerCase() : value),
+  upper: value => (typeof value === 'string' ? value.toUpperCase() : value),
+  trim: value => (typeof value === 'string' ? value.trim() : value)
+};
+
+/**
+ * @private
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read an own property (missing values and prototype members are undefined)
+ * @private
+ */
+function read(value, key) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const target = Object(value);
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+}
+
+/**
+ * Split an expression into tokens
+ * @private
+ */
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(`unexpected character "${source[position]}" at position ${position}`);
+    }
+    const [, operator, number, string, name] = match;
+    if (operator) {
+      tokens.push({ type: 'op', value: operator, position });
+    } else if (number) {
+      tokens.push({ type: 'literal', value: Number(number), position });
+    } else if (string) {
+      const value = string.slice(1, -1).replace(/\\(.)/g, (_, char) => ESCAPES[char] || char);
+      tokens.push({ type: 'literal', value, position });
+    } else if (name) {
+      tokens.push({ type: 'name', value: name, position });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST
+ * @private
+ */
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  parse() {
+    const node = this.coalesce();
+    if (this.peek()) {
+      this.fail(`unexpected "${this.peek().value}"`);
+    }
+    return node;
+  }
+
+  coalesce() {
+    return this.binary(['??'], () => this.or());
+  }
+
+  or() {
+    return this.binary(['||'], () => this.and());
+  }
+
+  and() {
+    return this.binary(['&&'], () => this.comparison());
+  }
+
+  comparison() {
+    const left = this.unary();
+    const token = this.peek();
+    if (token && token.type === 'op' && COMPARISONS.includes(token.value)) {
+      this.index++;
+      return { type: 'binary', op: token.value, left, right: this.unary() };
+    }
+    return left;
+  }
+
+  unary() {
+    if (this.accept('!')) {
+      return { type: 'not', operand: this.unary() };
+    }
+    return this.pipe();
+  }
+
+  pipe() {
+    let node = this.primary();
+    while (this.accept('|')) {
+      const token = this.next('a function name');
+      if (token.type !== 'name' || !Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+        this.fail(`unknown function "${token.value}" (available: ${Object.keys(FUNCTIONS).join(', ')})`, token);
+      }
+      const args = this.accept('(') ? this.list(')') : [];
+      node = { type: 'call', name: token.value, args: [node, ...args] };
+    }
+    return node;
+  }
+
+  primary() {
+    const token = this.next('a value');
+
+    if (token.type === 'literal') {
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const node = this.coalesce();
+      this.expect(')');
+      return node;
+    }
+    if (token.type === 'op' && token.value === '[') {
+      return { type: 'array', items: this.list(']') };
+    }
+    if (token.type === 'name' && Object.prototype.hasOwnProperty.call(LITERALS, token.value)) {
+      return { type: 'literal', value: LITERALS[token.value] };
+    }
+    if (token.type === 'name' && ROOTS.includes(token.value)) {
+      return this.path(token.value);
+    }
+    if (token.type === 'name') {
+      this.fail(`unknown name "${token.value}" (paths start with ${ROOTS.join(', ')})`, token);
+    }
+    return this.fail(`unexpected "${token.value}"`, token);
+  }
+
+  path(root) {
+    const segments = [];
+    for (;;) {
+      if (this.accept('.')) {
+        const token = this.next('a property name');
+        if (token.type === 'op') {
+          this.fail(`unexpected "${token.value}" after "."`, token);
+        }
+        segments.push({ type: 'literal', value: String(token.value) });
+      } else if (this.accept('[')) {
+        segments.push(this.coalesce());
+        this.expect(']');
+      } else {
+        return { type: 'path', root, segments };
+      }
+    }
+  }
+
+  binary(operators, operand) {
+    let node = operand();
+    for (let token = this.peek(); token && token.type === 'op' && operators.includes(token.value); token = this.peek()) {
+      this.index++;
+      node = { type: 'binary', op: token.value, left: node, right: operand() };
+    }
+    return node;
+  }
+
+  list(closing) {
+    const items = [];
+    if (this.accept(closing)) {
+      return items;
+    }
+    do {
+      items.push(this.coalesce());
+    } while (this.accept(','));
+    this.expect(closing);
+    return items;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next(expected) {
+    const token = this.tokens[this.index++];
+    if (!token) {
+      this.fail(`expected ${expected} at the end`);
+    }
+    return token;
+  }
+
+  accept(op) {
+    const token = this.peek();
+    if (token && token.type === 'op' && token.value === op) {
+      this.index++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(op) {
+    if (!this.accept(op)) {
+      const token = this.peek();
+      this.fail(token ? `expected "${op}" but found "${token.value}"` : `expected "${op}" at the end`, token);
+    }
+  }
+
+  fail(message, token) {
+    throw new Error(token ? `${message} at position ${token.position}` : message);
+  }
+}
+
+class ExpressionEvaluator {
+  constructor() {
+    // Expressions are re-evaluated for every step and item
+    this.cache = new Map();
+  }
+
+  /**
+   * Parse an expression
+   * @param {string} source - Expression text
+   * @returns {Object} Syntax tree
+   * @throws {Error} On syntax errors and unknown names or functions
+   */
+  parse(source) {
+    if (this.cache.has(source)) {
+      return this.cache.get(source);
+    }
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error(`Invalid expression ${JSON.stringify(source)}: must be a non-empty string`);
+    }
+
+    let tree;
+    try {
+      tree = new Parser(source).parse();
+    } catch (error) {
+      throw new Error(`Invalid expression "${source}": ${error.message}`);
+    }
+    this.cache.set(source, tree);
+    return tree;
+  }
+
+  /**
+   * Evaluate an expression
+   * @param {string} source - Expression text
+   * @param {Object} scope - { context, steps, item }
+   * @returns {*} Value (undefined for missing paths)
+   */
+  evaluate(source, scope) {
+    return this.evaluateNode(this.parse(source), scope);
+  }
+
+  /**
+   * Paths an expression reads, for static checks
+   *
+   * A path is `optional` when a fallback covers it (left of `??` or `||`, or
+   * piped into `default`).
+   * @param {string} source - Expression text
+   * @returns {Array<Object>} { raw, path, root, optional }
+   */
+  references(source) {
+    const references = [];
+
+    const visit = (node, optional) => {
+      switch (node.type) {
+        case 'path': {
+          // Computed segments end the static part of the path
+          const staticSegments = [];
+          for (const segment of node.segments) {
+            if (segment.type !== 'literal') break;
+            staticSegments.push(segment.value);
+          }
+          const path = [node.root, ...staticSegments].join('.');
+          references.push({ raw: path, path, root: node.root, optional });
+          node.segments.filter(segment => segment.type !== 'literal').forEach(segment => visit(segment, optional));
+          break;
+        }
+        case 'binary':
+          visit(node.left, optional || node.op === '??' || node.op === '||');
+          visit(node.right, optional);
+          break;
+        case 'not':
+          visit(node.operand, optional);
+          break;
+        case 'call':
+          node.args.forEach((arg, index) => visit(arg, optional || (index === 0 && node.name === 'default')));
+          break;
+        case 'array':
+          node.items.forEach(item => visit(item, optional));
+          break;
+        default:
+          break;
+      }
+    };
+
+    visit(this.parse(source), false);
+    return references;
+  }
+
+  /**
+   * @private
+   */
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'array':
+        return node.items.map(item => this.evaluateNode(item, scope));
+      case 'path':
+        return node.segments.reduce(
+          (value, segment) => read(value, this.evaluateNode(segment, scope)),
+          read(scope, node.root)
+        );
+      case 'not':
+        return !this.evaluateNode(node.operand, scope);
+      case 'call':
+        return FUNCTIONS[node.name](...node.args.map(arg => this.evaluateNode(arg, scope)));
+      case 'binary':
+        return this.evaluateBinary(node, scope);
+      default:
+        throw new Error(`Unknown expression node: ${node.type}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  evaluateBinary(node, scope) {
+    const left = this.evaluateNode(node.left, scope);
+    // Short-circuit like JavaScript
+    switch (node.op) {
+      case '??':
+        return left !== undefined && left !== null ? left : this.evaluateNode(node.right, scope);
+      case '||':
+        return left || this.evaluateNode(node.right, scope);
+      case '&&':
+        return left && this.evaluateNode(node.right, scope);
+      default:
+        break;
+    }
+
+    const right = this.evaluateNode(node.right, scope);
+    switch (node.op) {
+      case '==':
+        return left === right;
+      case '!=':
+        return left !== right;
+      default:
+        // Ordering needs two numbers or two strings
+        if (typeof left !== typeof right || !['number', 'string'].includes(typeof left)) {
+          return false;
+        }
+        return {
+          '<': left < right,
+          '<=': left <= right,
+          '>': left > right,
+          '>=': left >= right
+        }[node.op];
+    }
+  }
+}
+
+module.exports = { ExpressionEvaluator, EXPRESSION_FUNCTIONS: FUNCTIONS };
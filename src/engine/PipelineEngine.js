@@ -1,4 +1,39 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { SchemaICU } = require('@smartledger/schema-icu-sdk');
+const { StepGraph } = require('./StepGraph');
+const { ConditionEvaluator } = require('./ConditionEvaluator');
+const { RetryPolicy } = require('./RetryPolicy');
+const { FileCheckpointStore } = require('../checkpoint/CheckpointStore');
+const { SchemaValidator } = require('../validation/SchemaValidator');
+const { TemplateResolver, TEMPLATE_ROOTS } = require('./TemplateResolver');
+const { ExpressionEvaluator } = require('./ExpressionEvaluator');
+const { CommandRunner } = require('../exec/CommandRunner');
+const { SignatureVerifier } = require('../verification/SignatureVerifier');
+const { RunManifest } = require('../verification/RunManifest');
+const { MemoryResponseCache, responseCacheKey } = require('../cache/ResponseCache');
+const { UsageMeter } = require('../usage/UsageMeter');
+const { AgentScheduler } = require('../scheduler/AgentScheduler');
+const { PipelineRegistry } = require('../registry/PipelineRegistry');
+const { PipelineAnalyzer } = require('../analysis/PipelineAnalyzer');
+const { ActionExtractorRegistry } = require('../actions/ActionExtractorRegistry');
+
+/**
+ * Events emitted by PipelineEngine; every payload carries `type`, `runId`,
+ * `pipelineId` and `timestamp`
+ */
+const PIPELINE_EVENTS = [
+  'run:start',
+  'approval:requested',
+  'policy:denied',
+  'step:start',
+  'step:retry',
+  'step:skipped',
+  'action:collected',
+  'step:complete',
+  'callback:error',
+  'run:complete'
+];
 
 /**
  * PipelineEngine - Core engine for executing Schema.ICU agent pipelines
@@ -8,260 +43,2226 @@ const { SchemaICU } = require('@smartledger/schema-icu-sdk');
  * 
  * Features:
  * - Register and execute multi-step pipelines
+ * - Several versions per pipeline, resolved by semver range (`id@^1.0`)
  * - Context propagation between steps
- * - Error handling and retries
- * - Action collection and approval flows
- * - BSV signature verification
+ * - Dependency graph execution with parallel branches
+ * - Conditional steps (when / unless)
+ * - Fan-out (forEach) steps over earlier results
+ * - Error handling and retries with exponential backoff
+ * - Action collection and approval flows, with pluggable action extractors
+ * - Cancellation via AbortSignal
+ * - Checkpointing and resume of interrupted runs
+ * - Progress events (EventEmitter) and async iterator streaming
+ * - Output validation against JSON Schema with repair retries
+ * - `{{ ... }}` templates in step queries and declarative contexts
+ * - Nested sub-pipeline steps
+ * - Local steps (JS functions and shell commands) under policy control
+ * - BSV signature verification against trusted keys
+ * - Hash-chained, optionally signed run manifests
+ * - Opt-in response cache for identical agent calls
+ * - Token, cost and call accounting with per-run budgets
+ * - Engine-wide concurrency caps, rate limits and run priorities for agent calls
  * 
  * @example
  * const engine = new PipelineEngine(schemaICU);
  * engine.registerPipeline(implementFeaturePipeline);
  * const result = await engine.runPipeline('implement-feature', context);
+ *
+ * @example
+ * engine.on('step:complete', ({ stepId, result }) => console.log(stepId, result.status));
+ * for await (const event of engine.streamPipeline('implement-feature', context)) {
+ *   console.log(event.type);
+ * }
  */
-class PipelineEngine {
+class PipelineEngine extends EventEmitter {
   /**
    * @param {SchemaICU} schemaICU - Schema.ICU SDK client instance
    * @param {Object} options - Configuration options
    */
   constructor(schemaICU, options = {}) {
+    super();
+
     if (!schemaICU) {
       throw new Error('PipelineEngine requires a SchemaICU client instance');
     }
 
     this.client = schemaICU;
-    this.pipelines = new Map();
+    this.registry = new PipelineRegistry();
+    this.expressions = new ExpressionEvaluator();
+    this.conditions = new ConditionEvaluator(this.expressions);
+    this.validator = new SchemaValidator();
+    this.templates = new TemplateResolver(this.expressions);
+    // Pass a registry to share custom extractors across engines
+    this.actionExtractors = options.actionExtractors instanceof ActionExtractorRegistry
+      ? options.actionExtractors
+      : new ActionExtractorRegistry();
+    this.commandRunner = options.commandRunner || new CommandRunner({ root: options.workspaceRoot });
+    this.verifier = options.verification ? new SignatureVerifier(options.verification) : null;
+    this.usageMeter = new UsageMeter({ pricing: options.pricing });
+    // Shared by every run on this engine; pass an instance to share it across engines
+    this.scheduler = options.scheduler instanceof AgentScheduler
+      ? options.scheduler
+      : new AgentScheduler(options.scheduler);
     this.policyEngine = options.policyEngine || null;
+    // `true` selects the default filesystem store
+    this.checkpointStore = options.checkpointStore === true
+      ? new FileCheckpointStore()
+      : options.checkpointStore || null;
+    // `true` selects an in-memory cache with default limits
+    this.cache = options.cache === true
+      ? new MemoryResponseCache()
+      : options.cache || null;
     this.options = {
       verbose: options.verbose || false,
       defaultTimeout: options.defaultTimeout || 60000, // 60s per step
+      maxParallelism: options.maxParallelism || 4, // concurrent independent steps
       autoApprove: options.autoApprove || false,
       onStepComplete: options.onStepComplete || null,
       onApprovalRequired: options.onApprovalRequired || null,
+      retry: options.retry || null, // engine-wide retry defaults
+      maxPipelineDepth: options.maxPipelineDepth || 5, // sub-pipeline nesting levels
       ...options
     };
 
+    if (this.options.retry) {
+      RetryPolicy.validate(this.options.retry, 'Engine');
+    }
+    this.analyzer = new PipelineAnalyzer({ defaultTimeout: this.options.defaultTimeout, retry: this.options.retry });
+
+    if (this.options.budget) {
+      UsageMeter.validateBudget(this.options.budget, 'Engine');
+    }
+
+    if (this.options.verification) {
+      this.options.verification = {
+        onFailure: 'step', // fail closed unless told otherwise
+        requireSignature: true,
+        ...this.options.verification
+      };
+      if (!['warn', 'step', 'pipeline'].includes(this.options.verification.onFailure)) {
+        throw new Error("verification.onFailure must be 'warn', 'step' or 'pipeline'");
+      }
+    }
+
     this.log('PipelineEngine initialized');
   }
 
   /**
    * Register a pipeline definition
-   * @param {Object} pipelineDefinition - Pipeline configuration
+   *
+   * Other versions of the same id stay registered; the same id and version
+   * is replaced.
+   * @param {Object} pipelineDefinition - Pipeline configuration (`version` must be semver)
    * @returns {PipelineEngine} this (for chaining)
    */
   registerPipeline(pipelineDefinition) {
-    if (!pipelineDefinition.id) {
-      throw new Error('Pipeline must have an id');
+    const { diagnostics } = this.analyzePipeline(pipelineDefinition);
+    const error = diagnostics.find(diagnostic => diagnostic.severity === 'error');
+    if (error) {
+      throw new Error(error.message);
     }
 
-    if (!pipelineDefinition.steps || !Array.isArray(pipelineDefinition.steps)) {
-      throw new Error('Pipeline must have a steps array');
-    }
+    const replaced = this.registry.add(pipelineDefinition);
+    this.log(`${replaced ? 'Replaced' : 'Registered'} pipeline: ${pipelineDefinition.id}@${pipelineDefinition.version} (${pipelineDefinition.name})`);
+    diagnostics.forEach(warning => this.log(`   ⚠️  ${warning.message}`));
+
+    return this;
+  }
 
-    // Validate pipeline definition
-    this.validatePipelineDefinition(pipelineDefinition);
+  /**
+   * Check a pipeline definition without registering it
+   *
+   * Combines the engine's validation (the first structural error, template
+   * references, sub-pipeline references) with PipelineAnalyzer's checks.
+   * `registerPipeline` throws the first error.
+   * @param {Object} pipelineDefinition - Pipeline configuration
+   * @returns {Object} { valid, diagnostics: [{ severity, code, message, stepId?, path? }] }
+   */
+  analyzePipeline(pipelineDefinition) {
+    const diagnostics = [];
+    const fail = (error, code = 'invalid-definition') => {
+      const stepMatch = /^(?:Pipeline \S+: )?Step (\S+) /.exec(error.message);
+      diagnostics.push({ severity: 'error', code, message: error.message, ...(stepMatch && { stepId: stepMatch[1] }) });
+    };
 
-    this.pipelines.set(pipelineDefinition.id, pipelineDefinition);
-    this.log(`Registered pipeline: ${pipelineDefinition.id} (${pipelineDefinition.name})`);
+    if (!pipelineDefinition || !pipelineDefinition.id) {
+      fail(new Error('Pipeline must have an id'));
+    } else if (!pipelineDefinition.steps || !Array.isArray(pipelineDefinition.steps)) {
+      fail(new Error('Pipeline must have a steps array'));
+    } else {
+      const analyzed = this.analyzer.analyze(pipelineDefinition);
+      // Duplicate ids make the dependency errors below misleading
+      diagnostics.push(...analyzed.filter(diagnostic => diagnostic.code === 'duplicate-step-id'));
 
-    return this;
+      try {
+        diagnostics.push(...this.validatePipelineDefinition(pipelineDefinition).diagnostics);
+        try {
+          diagnostics.push(...this.checkPipelineNesting(pipelineDefinition).map(message => ({
+            severity: 'warning',
+            code: 'unregistered-pipeline',
+            message,
+            stepId: /^Step (\S+) /.exec(message)[1]
+          })));
+        } catch (error) {
+          fail(error, 'pipeline-nesting');
+        }
+      } catch (error) {
+        fail(error);
+      }
+
+      // The rest of the analysis, without repeats
+      analyzed
+        .filter(diagnostic => !diagnostics.some(existing => existing.message === diagnostic.message))
+        .forEach(diagnostic => diagnostics.push(diagnostic));
+    }
+
+    diagnostics.sort((a, b) => (a.severity === b.severity ? 0 : a.severity === 'error' ? -1 : 1));
+    return { valid: !diagnostics.some(diagnostic => diagnostic.severity === 'error'), diagnostics };
   }
 
   /**
    * Validate a pipeline definition
    * @private
+   * @returns {Object} { valid, warnings, diagnostics } - warnings flag template
+   *   references that may not resolve at run time (diagnostics hold the same
+   *   as analyzer diagnostics)
+   * @throws {Error} On invalid definitions
    */
   validatePipelineDefinition(pipeline) {
+    if (pipeline.budget !== undefined) {
+      UsageMeter.validateBudget(pipeline.budget, `Pipeline ${pipeline.id}`);
+    }
+
     // Check all steps have required fields
     pipeline.steps.forEach((step, index) => {
       if (!step.id) {
         throw new Error(`Step ${index} missing id`);
       }
-      if (!step.agent) {
-        throw new Error(`Step ${step.id} missing agent`);
+      if (step.pipeline !== undefined) {
+        this.validateSubPipelineStep(step);
+      } else if (step.run !== undefined || step.exec !== undefined) {
+        this.validateLocalStep(step);
+      } else {
+        if (!step.agent) {
+          throw new Error(`Step ${step.id} missing agent`);
+        }
+        if (!step.method) {
+          throw new Error(`Step ${step.id} missing method`);
+        }
+        if (!step.inputFrom) {
+          throw new Error(`Step ${step.id} missing inputFrom`);
+        }
+      }
+      if (step.inputFrom === 'item' && !step.forEach) {
+        throw new Error(`Step ${step.id} uses inputFrom 'item' without forEach`);
+      }
+      if (step.forEach) {
+        const { items, concurrency } = step.forEach;
+        if (typeof items !== 'string' && typeof items !== 'function') {
+          throw new Error(`Step ${step.id} forEach.items must be a path or function`);
+        }
+        if (concurrency !== undefined && !(Number.isInteger(concurrency) && concurrency > 0)) {
+          throw new Error(`Step ${step.id} forEach.concurrency must be a positive integer`);
+        }
+      }
+      if (step.cache !== undefined && typeof step.cache !== 'boolean') {
+        throw new Error(`Step ${step.id} cache must be a boolean`);
+      }
+      if (step.validation) {
+        const { schema, repairAttempts } = this.getValidationConfig(step);
+        try {
+          this.validator.checkSchema(schema);
+        } catch (error) {
+          throw new Error(`Step ${step.id} validation: ${error.message}`);
+        }
+        if (!(Number.isInteger(repairAttempts) && repairAttempts >= 0)) {
+          throw new Error(`Step ${step.id} validation.repairAttempts must be a non-negative integer`);
+        }
+      }
+      if (step.context !== undefined) {
+        if (!step.context || typeof step.context !== 'object' || Array.isArray(step.context)) {
+          throw new Error(`Step ${step.id} context must be an object`);
+        }
+        if (step.contextBuilder) {
+          throw new Error(`Step ${step.id} cannot have both context and contextBuilder`);
+        }
       }
-      if (!step.method) {
-        throw new Error(`Step ${step.id} missing method`);
+      if (step.actions !== undefined) {
+        try {
+          this.actionExtractors.resolve(step);
+        } catch (error) {
+          throw new Error(`Step ${step.id} ${error.message}`);
+        }
       }
-      if (!step.inputFrom) {
-        throw new Error(`Step ${step.id} missing inputFrom`);
+      ['when', 'unless'].forEach(key => {
+        const condition = step[key];
+        if (condition !== undefined && typeof condition !== 'function' &&
+            (typeof condition !== 'object' || condition === null)) {
+          throw new Error(`Step ${step.id} ${key} must be a function or condition object`);
+        }
+        if (condition !== undefined) {
+          try {
+            this.conditions.validate(condition);
+          } catch (error) {
+            throw new Error(`Step ${step.id} ${key}: ${error.message}`);
+          }
+        }
+      });
+    });
+
+    // Build the dependency graph (rejects unknown ids and cycles)
+    let graph;
+    try {
+      graph = new StepGraph(pipeline.steps);
+    } catch (error) {
+      throw new Error(`Pipeline ${pipeline.id}: ${error.message}`);
+    }
+
+    const diagnostics = pipeline.steps.flatMap((step, index) => this.checkTemplates(step, index, graph));
+
+    return { valid: true, warnings: diagnostics.map(diagnostic => diagnostic.message), diagnostics };
+  }
+
+  /**
+   * Validate a sub-pipeline step (`{ pipeline, inputMap, outputMap }`)
+   * @private
+   */
+  validateSubPipelineStep(step) {
+    if (typeof step.pipeline !== 'string' || !step.pipeline) {
+      throw new Error(`Step ${step.id} pipeline must be a pipeline id`);
+    }
+    try {
+      PipelineRegistry.parseReference(step.pipeline);
+    } catch (error) {
+      throw new Error(`Step ${step.id} pipeline: ${error.message}`);
+    }
+
+    // Agent-call options have no meaning for a nested run
+    ['agent', 'forEach', 'retry', 'validation', 'context', 'contextBuilder', 'cache', 'actions'].forEach(key => {
+      if (step[key] !== undefined) {
+        throw new Error(`Step ${step.id} runs pipeline ${step.pipeline} and cannot have ${key}`);
       }
     });
 
-    return true;
+    if (step.inputMap !== undefined && typeof step.inputMap !== 'function' &&
+        (!step.inputMap || typeof step.inputMap !== 'object' || Array.isArray(step.inputMap))) {
+      throw new Error(`Step ${step.id} inputMap must be an object or function`);
+    }
+    if (step.outputMap !== undefined &&
+        (!step.outputMap || typeof step.outputMap !== 'object' || Array.isArray(step.outputMap))) {
+      throw new Error(`Step ${step.id} outputMap must be an object`);
+    }
+    try {
+      // outputMap reads the child run, so only its syntax can be checked here
+      this.templates.references(step.outputMap);
+    } catch (error) {
+      throw new Error(`Step ${step.id} outputMap: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate a local step (`{ run }` or `{ exec }`)
+   * @private
+   */
+  validateLocalStep(step) {
+    if (step.run !== undefined && step.exec !== undefined) {
+      throw new Error(`Step ${step.id} cannot have both run and exec`);
+    }
+    if (step.run !== undefined && typeof step.run !== 'function') {
+      throw new Error(`Step ${step.id} run must be a function`);
+    }
+    if (step.exec !== undefined && (typeof step.exec !== 'function' && (typeof step.exec !== 'string' || !step.exec))) {
+      throw new Error(`Step ${step.id} exec must be a command string or function`);
+    }
+
+    const kind = step.run !== undefined ? 'run' : 'exec';
+    ['agent', 'forEach', 'retry', 'validation', 'context', 'contextBuilder', 'cache', 'actions'].forEach(key => {
+      if (step[key] !== undefined) {
+        throw new Error(`Step ${step.id} is a local ${kind} step and cannot have ${key}`);
+      }
+    });
+
+    if (step.cwd !== undefined && typeof step.cwd !== 'string') {
+      throw new Error(`Step ${step.id} cwd must be a string`);
+    }
+    if (step.env !== undefined && (!step.env || typeof step.env !== 'object' || Array.isArray(step.env))) {
+      throw new Error(`Step ${step.id} env must be an object`);
+    }
+    if (step.successExitCodes !== undefined &&
+        !(Array.isArray(step.successExitCodes) && step.successExitCodes.every(Number.isInteger))) {
+      throw new Error(`Step ${step.id} successExitCodes must be an array of integers`);
+    }
+  }
+
+  /**
+   * Check sub-pipeline references across registered pipelines
+   *
+   * Cycles and nesting deeper than `maxPipelineDepth` are errors; references
+   * to pipelines that aren't registered yet are returned as warnings.
+   * @private
+   * @returns {string[]} Warnings
+   */
+  checkPipelineNesting(pipeline) {
+    const registry = this.registry.clone();
+    registry.add(pipeline);
+    const maxDepth = this.options.maxPipelineDepth;
+
+    // References resolve as they would at run time; cycles are by id
+    const depthOf = (current, trail) => {
+      const references = new Set(current.steps.filter(step => step.pipeline).map(step => step.pipeline));
+      let depth = 0;
+      references.forEach(reference => {
+        const child = registry.resolve(reference);
+        const childId = PipelineRegistry.parseReference(reference).id;
+        if (trail.includes(childId)) {
+          throw new Error(`Pipeline nesting cycle detected: ${[...trail, childId].join(' -> ')}`);
+        }
+        if (child) {
+          depth = Math.max(depth, 1 + depthOf(child, [...trail, childId]));
+        }
+      });
+      return depth;
+    };
+
+    registry.definitions().forEach(current => {
+      const depth = depthOf(current, [current.id]);
+      if (depth > maxDepth) {
+        throw new Error(`Pipeline ${current.id} nests sub-pipelines ${depth} levels deep (maxPipelineDepth is ${maxDepth})`);
+      }
+    });
+
+    return pipeline.steps
+      .filter(step => step.pipeline && !registry.resolve(step.pipeline))
+      .map(step => `Step ${step.id} runs pipeline "${step.pipeline}", which is not registered yet`);
+  }
+
+  /**
+   * Check a step's templates and `$expr` expressions: malformed ones throw,
+   * references that may not resolve at run time become warnings
+   * @private
+   */
+  checkTemplates(step, index, graph) {
+    const fields = { query: step.query, context: step.context, inputMap: step.inputMap, exec: step.exec, env: step.env };
+    // Declarative conditions may hold `$expr` expressions
+    ['when', 'unless'].forEach(key => {
+      if (step[key] && typeof step[key] === 'object') {
+        fields[key] = step[key];
+      }
+    });
+    const warnings = [];
+    const warn = (code, field, message) => {
+      warnings.push({ severity: 'warning', code, message: `Step ${step.id} ${field}: ${message}`, stepId: step.id, path: `/steps/${index}/${field}` });
+    };
+
+    Object.entries(fields).forEach(([field, value]) => {
+      let references;
+      try {
+        references = this.templates.references(value);
+      } catch (error) {
+        throw new Error(`Step ${step.id} ${field}: ${error.message}`);
+      }
+
+      references
+        .filter(ref => !ref.optional)
+        .forEach(ref => {
+          const [, stepId] = ref.path.split('.');
+          if (!TEMPLATE_ROOTS.includes(ref.root)) {
+            warn('invalid-reference-root', field, `${ref.raw} must start with ${TEMPLATE_ROOTS.join(', ')}`);
+          } else if (ref.root === 'item' && !step.forEach) {
+            warn('item-outside-foreach', field, `${ref.raw} is only available in forEach steps`);
+          } else if (ref.root === 'steps' && !graph.dependencies.has(stepId)) {
+            warn('unknown-step-reference', field, `${ref.raw} references unknown step "${stepId}"`);
+          } else if (ref.root === 'steps' && !graph.getAncestors(step.id).has(stepId)) {
+            warn('non-dependency-reference', field, `${ref.raw} references "${stepId}", which is not a dependency and may not have run`);
+          }
+        });
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Execute a registered pipeline
+   * @param {string} pipelineId - ID of the pipeline to run, optionally with a
+   *   semver range (`implement-feature@^1.0`); the latest version otherwise
+   * @param {Object} context - Execution context
+   * @param {Object} [runOptions] - Per-run options
+   * @param {AbortSignal} [runOptions.signal] - Cancels the run: no new steps are
+   *   scheduled, in-flight agent calls are aborted and a partial result is returned
+   * @param {string} [runOptions.runId] - Run ID used for checkpoints (generated if omitted)
+   * @param {string|number} [runOptions.priority='normal'] - Place of this run's agent
+   *   calls in the engine's queue: 'interactive', 'normal', 'batch' or a number
+   * @param {boolean} [runOptions.dryRun=false] - Plan the run instead (see planRun):
+   *   resolve every step without calling agents or running commands
+   * @param {Object} [runOptions.stubs] - Dry runs: step data by step id, as values
+   *   or `(input, context) => data`
+   * @returns {Promise<Object>} Pipeline result (a plan for dry runs)
+   */
+  async runPipeline(pipelineId, context = {}, runOptions = {}) {
+    const pipeline = this.registry.resolve(pipelineId);
+    
+    if (!pipeline) {
+      throw new Error(`Pipeline not found: ${pipelineId}`);
+    }
+
+    // Merge default context with provided context
+    const executionContext = {
+      ...pipeline.defaultContext,
+      ...context,
+      stepResults: {}
+    };
+
+    if (runOptions.dryRun) {
+      return this.planRun(pipeline, executionContext, runOptions);
+    }
+
+    return this.executeRun(pipeline, {
+      runId: runOptions.runId || this.generateRunId(pipeline.id),
+      executionContext,
+      stepResults: [],
+      actions: [],
+      completedStepIds: []
+    }, runOptions);
+  }
+
+  /**
+   * Resume an interrupted or failed run from its last checkpoint
+   *
+   * Steps that completed (or were skipped) are kept; failed, cancelled and
+   * never-started steps run again, along with everything that depends on them.
+   * @param {string} runId - Run ID from a previous result or checkpoint
+   * @param {Object} [runOptions] - Per-run options (see runPipeline)
+   * @returns {Promise<Object>} Pipeline result
+   */
+  async resumeRun(runId, runOptions = {}) {
+    if (!this.checkpointStore) {
+      throw new Error('Cannot resume runs without a checkpointStore');
+    }
+
+    const checkpoint = await this.checkpointStore.load(runId);
+    if (!checkpoint) {
+      throw new Error(`Checkpoint not found: ${runId}`);
+    }
+    if (checkpoint.status === 'completed') {
+      throw new Error(`Run ${runId} already completed`);
+    }
+
+    // Resume with the exact version the run started with
+    const versions = this.registry.versions(checkpoint.pipelineId);
+    if (versions.length === 0) {
+      throw new Error(`Pipeline not found: ${checkpoint.pipelineId}`);
+    }
+    const pipeline = versions.includes(checkpoint.pipelineVersion)
+      ? this.registry.resolve(`${checkpoint.pipelineId}@${checkpoint.pipelineVersion}`)
+      : null;
+    if (!pipeline) {
+      throw new Error(
+        `Run ${runId} used ${checkpoint.pipelineId}@${checkpoint.pipelineVersion}, ` +
+        `but only ${versions.map(version => `${checkpoint.pipelineId}@${version}`).join(', ')} ${versions.length === 1 ? 'is' : 'are'} registered`
+      );
+    }
+
+    // Keep finished steps whose dependencies were all kept too
+    const graph = new StepGraph(pipeline.steps);
+    const finished = new Map(
+      checkpoint.stepResults
+        .filter(r => r.status === 'completed' || r.status === 'skipped')
+        .map(r => [r.stepId, r])
+    );
+    const kept = new Set();
+    graph.order.forEach(step => {
+      if (finished.has(step.id) && graph.getDependencies(step.id).every(depId => kept.has(depId))) {
+        kept.add(step.id);
+      }
+    });
+
+    const stepResults = checkpoint.stepResults.filter(r => kept.has(r.stepId));
+    const executionContext = {
+      ...checkpoint.executionContext,
+      stepResults: Object.fromEntries(
+        Object.entries(checkpoint.executionContext.stepResults || {})
+          .filter(([stepId]) => kept.has(stepId))
+      )
+    };
+
+    this.log(`\n♻️  Resuming run ${runId} (${kept.size}/${pipeline.steps.length} steps kept)`);
+
+    return this.executeRun(pipeline, {
+      runId,
+      executionContext,
+      stepResults,
+      actions: stepResults.flatMap(r => r.actions || []),
+      completedStepIds: Array.from(kept),
+      resumed: true
+    }, runOptions);
+  }
+
+  /**
+   * Run a pipeline and stream its events as an async iterator
+   *
+   * Yields every event of this run (see PIPELINE_EVENTS) in order, ending
+   * after `run:complete`. Errors thrown by the run are rethrown from the
+   * iterator. Leaving the loop early does not cancel the run; pass a
+   * `signal` in runOptions for that.
+   * @param {string} pipelineId - ID of the pipeline to run
+   * @param {Object} context - Execution context
+   * @param {Object} [runOptions] - Per-run options (see runPipeline)
+   * @returns {AsyncGenerator<Object>} Pipeline events
+   */
+  async *streamPipeline(pipelineId, context = {}, runOptions = {}) {
+    const runId = runOptions.runId || this.generateRunId(PipelineRegistry.parseReference(pipelineId).id);
+    const queue = [];
+    let wake = null;
+    let finished = false;
+    let failure = null;
+
+    const listener = event => {
+      if (event.runId === runId) {
+        queue.push(event);
+        if (wake) {
+          wake();
+        }
+      }
+    };
+    PIPELINE_EVENTS.forEach(type => this.on(type, listener));
+
+    this.runPipeline(pipelineId, context, { ...runOptions, runId })
+      .catch(error => {
+        failure = error;
+      })
+      .finally(() => {
+        finished = true;
+        if (wake) {
+          wake();
+        }
+      });
+
+    try {
+      while (true) {
+        if (queue.length > 0) {
+          yield queue.shift();
+        } else if (finished) {
+          break;
+        } else {
+          await new Promise(resolve => {
+            wake = resolve;
+          });
+          wake = null;
+        }
+      }
+
+      if (failure) {
+        throw failure;
+      }
+    } finally {
+      PIPELINE_EVENTS.forEach(type => this.off(type, listener));
+    }
+  }
+
+  /**
+   * Run a pipeline from a (possibly partially completed) run state
+   * @private
+   */
+  async executeRun(pipeline, run, runOptions = {}) {
+    const { signal } = runOptions;
+    const { runId, executionContext, stepResults, actions } = run;
+    const priority = AgentScheduler.resolvePriority(runOptions.priority);
+
+    const deprecated = this.registry.getDeprecation(pipeline.id, pipeline.version);
+
+    this.log(`\n🚀 Starting pipeline: ${pipeline.name}`);
+    this.log(`   ID: ${pipeline.id}@${pipeline.version}`);
+    this.log(`   Run: ${runId}`);
+    this.log(`   Steps: ${pipeline.steps.length}`);
+    if (deprecated) {
+      this.log(`   ⚠️  ${pipeline.id}@${pipeline.version} is deprecated: ${deprecated}`);
+    }
+
+    const startTime = Date.now();
+    const startedAt = new Date().toISOString();
+
+    let pipelineSuccess = true;
+    let pipelineError = null;
+    let budgetExceeded = false;
+
+    const state = {
+      pipeline,
+      runId,
+      startedAt,
+      stepResults,
+      actions,
+      executionContext,
+      signal,
+      priority,
+      // Sub-pipeline runs are checkpointed through their parent step
+      depth: runOptions.depth || 0,
+      parentRunId: runOptions.parentRunId || null,
+      manifest: new RunManifest({ runId, pipelineId: pipeline.id, pipelineVersion: pipeline.version }),
+      // Per-step inputs and decisions, written to the manifest when the step ends
+      audit: new Map(),
+      // Kept steps of a resumed run count against the budget
+      usage: UsageMeter.add(...stepResults.map(r => r.usage)),
+      // Sub-pipelines are also bound by every ancestor's budget (see parentState)
+      budget: UsageMeter.mergeBudgets(runOptions.depth ? null : this.options.budget, pipeline.budget),
+      parentState: runOptions.parentState || null
+    };
+
+    this.emitEvent('run:start', state, {
+      pipelineName: pipeline.name,
+      pipelineVersion: pipeline.version,
+      deprecated,
+      totalSteps: pipeline.steps.length,
+      resumed: Boolean(run.resumed),
+      parentRunId: state.parentRunId
+    });
+
+    state.manifest.append('run:start', {
+      pipelineId: pipeline.id,
+      pipelineVersion: pipeline.version,
+      runId,
+      parentRunId: state.parentRunId,
+      resumed: Boolean(run.resumed),
+      context: { ...executionContext, stepResults: undefined }
+    });
+    // Steps kept from a checkpoint are recorded as restored, without inputs
+    stepResults.forEach(result => this.recordManifestStep(state, result, { restored: true }));
+
+    // Check pipeline-level policy
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkPipeline(pipeline, executionContext);
+      state.manifest.append('policy', { level: 'pipeline', allowed: policyCheck.allowed, reason: policyCheck.reason });
+      if (!policyCheck.allowed) {
+        this.emitEvent('policy:denied', state, { level: 'pipeline', reason: policyCheck.reason });
+        throw new Error(`Pipeline blocked by policy: ${policyCheck.reason}`);
+      }
+    }
+
+    // Request approval if needed
+    if (pipeline.requiresApproval && !this.options.autoApprove) {
+      const approved = await this.requestApproval({
+        type: 'pipeline',
+        pipeline: pipeline.name,
+        description: pipeline.description
+      }, state);
+      state.manifest.append('approval', { type: 'pipeline', approved: Boolean(approved) });
+      
+      if (!approved) {
+        throw new Error('Pipeline execution rejected by user');
+      }
+    }
+
+    // Execute steps in dependency order, running independent steps concurrently
+    const graph = new StepGraph(pipeline.steps);
+    const maxParallelism = Math.max(1, pipeline.maxParallelism || this.options.maxParallelism);
+    const completed = new Set(run.completedStepIds);
+    const started = new Set(run.completedStepIds);
+    const running = new Map();
+
+    while (true) {
+      if (pipelineSuccess && !(signal && signal.aborted)) {
+        const ready = graph.getReadySteps(completed, started);
+        ready.slice(0, maxParallelism - running.size).forEach(step => {
+          started.add(step.id);
+          const promise = this.runScheduledStep(step, state)
+            .then(outcome => {
+              completed.add(step.id);
+              if (outcome.failed && pipelineSuccess) {
+                pipelineSuccess = false;
+                pipelineError = outcome.error;
+              }
+              if (outcome.budgetExceeded) {
+                budgetExceeded = true;
+              }
+              return this.saveCheckpoint(state, 'running');
+            })
+            .finally(() => running.delete(step.id));
+          running.set(step.id, promise);
+        });
+      }
+
+      if (running.size === 0) {
+        break;
+      }
+
+      await Promise.race(running.values());
+    }
+
+    const cancelled = Boolean(signal && signal.aborted);
+    if (cancelled) {
+      pipelineSuccess = false;
+      pipelineError = 'Pipeline cancelled';
+    }
+
+    const status = cancelled ? 'cancelled' : budgetExceeded ? 'budget_exceeded' : (pipelineSuccess ? 'completed' : 'failed');
+    await this.saveCheckpoint(state, status);
+
+    const totalDuration = Date.now() - startTime;
+    const completedAt = new Date().toISOString();
+
+    state.manifest.append('run:complete', {
+      status,
+      success: pipelineSuccess,
+      error: pipelineError,
+      steps: stepResults.map(r => r.stepId),
+      actionsHash: SignatureVerifier.hashPayload(actions)
+    });
+    if (this.options.manifestKey) {
+      state.manifest.sign(this.options.manifestKey);
+    }
+
+    const result = {
+      runId,
+      pipelineId: pipeline.id,
+      pipelineName: pipeline.name,
+      pipelineVersion: pipeline.version,
+      deprecated,
+      success: pipelineSuccess,
+      status,
+      cancelled,
+      resumed: Boolean(run.resumed),
+      steps: stepResults,
+      totalDuration,
+      startedAt,
+      completedAt,
+      actions,
+      error: pipelineError,
+      context: executionContext,
+      usage: state.usage,
+      budget: state.budget,
+      manifest: state.manifest.toJSON()
+    };
+
+    this.log(`\n✨ Pipeline ${cancelled ? 'cancelled' : budgetExceeded ? 'stopped: budget exceeded' : (pipelineSuccess ? 'completed successfully' : 'failed')}`);
+    this.log(`   Duration: ${totalDuration}ms`);
+    this.log(`   Usage: ${state.usage.totalTokens} tokens, $${state.usage.cost}, ${state.usage.agentCalls} agent calls`);
+    this.log(`   Steps executed: ${stepResults.length}/${pipeline.steps.length}`);
+    this.log(`   Actions collected: ${actions.length}`);
+
+    this.emitEvent('run:complete', state, { status, result });
+
+    return result;
+  }
+
+  /**
+   * Walk a pipeline without calling agents or running commands (dry run)
+   *
+   * Steps are planned one at a time in dependency order. Each plan entry
+   * shows what the step would send (input, agent context, command), the
+   * policy decisions and the approvals that would be requested. Instead of
+   * calling the agent, the step's data becomes a stub so later steps still
+   * resolve: `runOptions.stubs[stepId]` when given (a value, or
+   * `(input, context) => data` called per call), else a sample of the step's
+   * `validation` schema, else a `<agent.method output of step>` marker.
+   *
+   * Unlike a real run, planning continues past denied and failing steps so
+   * the whole pipeline is shown; they make the plan's `success` false.
+   * Nothing is checkpointed, cached, scheduled or emitted.
+   * @private
+   */
+  async planRun(pipeline, executionContext, runOptions = {}) {
+    const runId = runOptions.runId || this.generateRunId(pipeline.id);
+    const options = { stubs: runOptions.stubs || {}, depth: runOptions.depth || 0, runId };
+
+    this.log(`\n📝 Planning pipeline: ${pipeline.name} (dry run)`);
+
+    let policy = null;
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkPipeline(pipeline, executionContext);
+      policy = { allowed: policyCheck.allowed, reason: policyCheck.reason };
+    }
+
+    const graph = new StepGraph(pipeline.steps);
+    const stepResults = [];
+    const plan = [];
+    for (const step of graph.order) {
+      const entry = await this.planStep(step, stepResults, executionContext, options);
+      entry.dependsOn = graph.getDependencies(step.id);
+      plan.push(entry);
+
+      const ran = entry.status === 'planned';
+      stepResults.push({
+        stepId: step.id,
+        stepName: step.name,
+        success: entry.status !== 'failed' && entry.status !== 'blocked',
+        status: ran ? 'completed' : entry.status,
+        data: entry.output,
+        // Lets templates read fields the placeholder doesn't have (see TemplateResolver)
+        stub: ran
+      });
+      if (ran) {
+        executionContext.stepResults[step.id] = entry.output;
+      }
+      this.log(`   ${{ planned: '✓', skipped: '⏭️ ', blocked: '🚫', failed: '❌' }[entry.status]} ${step.name || step.id}${entry.error ? `: ${entry.error}` : ''}`);
+    }
+
+    return {
+      runId,
+      pipelineId: pipeline.id,
+      pipelineName: pipeline.name,
+      pipelineVersion: pipeline.version,
+      deprecated: this.registry.getDeprecation(pipeline.id, pipeline.version),
+      dryRun: true,
+      success: (!policy || policy.allowed) && plan.every(entry => entry.status === 'planned' || entry.status === 'skipped'),
+      status: 'planned',
+      policy,
+      requiresApproval: Boolean(pipeline.requiresApproval && !this.options.autoApprove),
+      plan,
+      steps: stepResults,
+      context: executionContext
+    };
+  }
+
+  /**
+   * Plan one step of a dry run
+   * @private
+   * @returns {Promise<Object>} Plan entry
+   */
+  async planStep(step, previousResults, context, options) {
+    const type = step.pipeline ? 'pipeline' : step.exec ? 'exec' : step.run ? 'run' : step.forEach ? 'forEach' : 'agent';
+    const entry = {
+      stepId: step.id,
+      stepName: step.name,
+      type,
+      ...((type === 'agent' || type === 'forEach') && { agent: step.agent, method: step.method }),
+      status: 'planned',
+      policy: [],
+      approvals: [],
+      output: null
+    };
+
+    const authorize = async () => {
+      if (this.policyEngine) {
+        const policyCheck = await this.policyEngine.checkStep(step, context);
+        entry.policy.push({ level: 'step', allowed: policyCheck.allowed, reason: policyCheck.reason });
+        if (!policyCheck.allowed) {
+          entry.status = 'blocked';
+          entry.error = `Step blocked by policy: ${policyCheck.reason}`;
+        }
+      }
+      if (step.requiresApproval && !this.options.autoApprove) {
+        entry.approvals.push('step');
+      }
+    };
+
+    try {
+      const skipReason = this.getSkipReason(step, previousResults, context);
+      if (skipReason) {
+        return { ...entry, status: 'skipped', reason: skipReason };
+      }
+
+      if (type === 'pipeline') {
+        await this.planSubPipelineStep(step, previousResults, context, options, entry);
+      } else if (type === 'exec') {
+        entry.command = typeof step.exec === 'function'
+          ? step.exec(previousResults, context)
+          : this.resolveTemplates(step, 'exec', previousResults, context);
+        await authorize();
+        await this.planCommand(step, entry.command, context, entry);
+        if (entry.status === 'planned') {
+          entry.output = this.stubOutput(step, entry.command, context, options.stubs, () => ({
+            command: entry.command, cwd: step.cwd || '.', exitCode: 0, signal: null,
+            stdout: '', stderr: '', truncated: false, timedOut: false, duration: 0
+          }));
+        }
+      } else if (type === 'run') {
+        await authorize();
+        if (entry.status === 'planned') {
+          entry.output = this.stubOutput(step, null, context, options.stubs, () => `<output of ${step.id}>`);
+        }
+      } else if (type === 'forEach') {
+        const { as = 'item' } = step.forEach;
+        const items = this.resolveForEachItems(step, previousResults, context);
+        await authorize();
+        entry.items = items.map((item, index) => {
+          const itemContext = { ...context, item, itemIndex: index, [as]: item };
+          return {
+            item,
+            input: this.buildStepInput(step, previousResults, itemContext),
+            context: this.buildAgentContext(step, previousResults, itemContext)
+          };
+        });
+        if (entry.status === 'planned') {
+          entry.output = entry.items.map((planned, index) =>
+            this.stubOutput(step, planned.input, planned.context, options.stubs, () => this.sampleOutput(step, `${step.id}[${index}]`)));
+        }
+      } else {
+        entry.input = this.buildStepInput(step, previousResults, context);
+        entry.context = this.buildAgentContext(step, previousResults, context);
+        await authorize();
+        if (entry.status === 'planned') {
+          entry.output = this.stubOutput(step, entry.input, entry.context, options.stubs, () => this.sampleOutput(step, step.id));
+        }
+      }
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+      entry.output = null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Plan a sub-pipeline step: the child pipeline is planned with the same stubs
+   * @private
+   */
+  async planSubPipelineStep(step, previousResults, context, options, entry) {
+    const child = this.registry.resolve(step.pipeline);
+    if (!child) {
+      throw new Error(`Step ${step.id} references unknown pipeline: ${step.pipeline}`);
+    }
+
+    const depth = options.depth + 1;
+    if (depth > this.options.maxPipelineDepth) {
+      throw new Error(`Step ${step.id}: sub-pipeline nesting exceeds maxPipelineDepth (${this.options.maxPipelineDepth})`);
+    }
+
+    const inputs = typeof step.inputMap === 'function'
+      ? step.inputMap(previousResults, context)
+      : this.resolveTemplates(step, 'inputMap', previousResults, context);
+    const { stepResults, ...inherited } = context;
+
+    entry.pipelineId = child.id;
+    entry.pipelineVersion = child.version;
+    entry.input = inputs;
+
+    const childPlan = await this.planRun(child, { ...child.defaultContext, ...inherited, ...inputs, stepResults: {} }, {
+      ...options,
+      depth,
+      runId: `${options.runId}.${step.id}`
+    });
+    entry.steps = childPlan.plan;
+    if (childPlan.policy) {
+      entry.policy.push({ level: 'pipeline', ...childPlan.policy });
+    }
+    if (childPlan.requiresApproval) {
+      entry.approvals.push('pipeline');
+    }
+
+    if (childPlan.policy && !childPlan.policy.allowed) {
+      entry.status = 'blocked';
+      entry.error = `Pipeline blocked by policy: ${childPlan.policy.reason}`;
+    } else if (!childPlan.success) {
+      entry.status = 'failed';
+      entry.error = `Sub-pipeline ${child.id} has blocked or failing steps`;
+    } else {
+      entry.output = this.stubOutput(step, inputs, context, options.stubs, () => (step.outputMap
+        ? this.templates.resolve(step.outputMap, this.templates.createScope(childPlan.steps, childPlan.context))
+        : childPlan.context.stepResults));
+    }
+  }
+
+  /**
+   * Policy decision and approval of a local command in a dry run
+   * @private
+   */
+  async planCommand(step, command, context, entry) {
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error(`Step ${step.id} exec did not produce a command`);
+    }
+
+    let requiresApproval = true;
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkAction(this.buildCommandAction(step, command, step.cwd), context);
+      entry.policy.push({ level: 'command', command, allowed: policyCheck.allowed, reason: policyCheck.reason });
+      if (!policyCheck.allowed && entry.status === 'planned') {
+        entry.status = 'blocked';
+        entry.error = `Command blocked by policy: ${policyCheck.reason}`;
+      }
+      requiresApproval = policyCheck.requiresApproval;
+    }
+    if (requiresApproval && !this.options.autoApprove) {
+      entry.approvals.push('command');
+    }
+  }
+
+  /**
+   * Data a dry-run step stands in with: its stub, else the fallback
+   * @private
+   */
+  stubOutput(step, input, context, stubs, fallback) {
+    if (!Object.prototype.hasOwnProperty.call(stubs, step.id)) {
+      return fallback();
+    }
+    const stub = stubs[step.id];
+    return typeof stub === 'function' ? stub(input, context) : stub;
+  }
+
+  /**
+   * Placeholder agent output: a sample of the step's validation schema, or a marker
+   * @private
+   */
+  sampleOutput(step, label) {
+    const validation = this.getValidationConfig(step);
+    return validation
+      ? this.validator.sample(validation.schema, label)
+      : `<${step.agent}.${step.method} output of ${label}>`;
+  }
+
+  /**
+   * Persist the current run state to the checkpoint store
+   *
+   * Saves are chained per run so concurrent steps never write out of order.
+   * @private
+   */
+  saveCheckpoint(state, status) {
+    if (!this.checkpointStore || state.depth > 0) {
+      return Promise.resolve();
+    }
+
+    // Snapshot synchronously; later steps keep mutating the run state
+    const checkpoint = JSON.parse(JSON.stringify({
+      runId: state.runId,
+      pipelineId: state.pipeline.id,
+      pipelineVersion: state.pipeline.version,
+      status,
+      startedAt: state.startedAt,
+      updatedAt: new Date().toISOString(),
+      executionContext: state.executionContext,
+      stepResults: state.stepResults,
+      actions: state.actions
+    }));
+
+    state.checkpointQueue = (state.checkpointQueue || Promise.resolve())
+      .then(() => this.checkpointStore.save(state.runId, checkpoint))
+      .catch(error => this.log(`   ⚠️  Failed to save checkpoint: ${error.message}`));
+
+    return state.checkpointQueue;
+  }
+
+  /**
+   * Note a step's inputs and decisions for its manifest entry; arrays are
+   * appended, item maps merged and other fields set
+   * @private
+   */
+  recordAudit(run, stepId, fields) {
+    if (!run.audit) {
+      return;
+    }
+    const audit = run.audit.get(stepId) || { policy: [], approvals: [], commands: [], items: {} };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (Array.isArray(audit[key])) {
+        audit[key].push(...value);
+      } else if (key === 'items') {
+        Object.assign(audit.items, value);
+      } else {
+        audit[key] = value;
+      }
+    });
+    run.audit.set(stepId, audit);
+  }
+
+  /**
+   * Append a finished step to the run manifest
+   * @private
+   */
+  recordManifestStep(state, result, extra = {}) {
+    const audit = state.audit.get(result.stepId) || { policy: [], approvals: [], commands: [], items: {} };
+    const hashOf = (data) => SignatureVerifier.hashPayload(data === undefined ? null : data);
+
+    state.manifest.append('step', {
+      stepId: result.stepId,
+      stepName: result.stepName,
+      status: result.status,
+      success: result.success,
+      error: result.error,
+      reason: result.reason,
+      input: audit.input,
+      context: audit.context,
+      commands: audit.commands.length > 0 ? audit.commands : undefined,
+      outputHash: hashOf(result.data),
+      signature: result.signature,
+      verification: result.verification && result.verification.status,
+      cacheHit: result.cacheHit,
+      usage: result.usage,
+      items: result.items && result.items.map(item => ({
+        itemIndex: item.index,
+        ...audit.items[item.index],
+        outputHash: hashOf(item.data),
+        signature: item.signature,
+        cacheHit: item.cacheHit
+      })),
+      childRunId: result.runId,
+      childManifestHead: audit.manifestHead,
+      policy: audit.policy,
+      approvals: audit.approvals,
+      ...extra
+    });
+  }
+
+  /**
+   * Emit a pipeline event with the common run fields
+   *
+   * Listeners are called one at a time so a throwing listener neither skips
+   * the others nor fails the step that emitted the event: the error is logged
+   * and emitted as `callback:error` instead.
+   * @private
+   */
+  emitEvent(type, run, payload = {}) {
+    const event = {
+      type,
+      runId: run.runId,
+      pipelineId: run.pipeline && run.pipeline.id,
+      timestamp: new Date().toISOString(),
+      ...payload
+    };
+
+    for (const listener of this.rawListeners(type)) {
+      try {
+        listener.call(this, event);
+      } catch (error) {
+        this.log(`   ⚠️  ${type} listener failed: ${error.message}`);
+        if (type !== 'callback:error') {
+          this.emitEvent('callback:error', run, {
+            callback: 'listener',
+            event: type,
+            ...(payload.stepId ? { stepId: payload.stepId } : {}),
+            error: error.message
+          });
+        }
+      }
+    }
+  }
+
+  /**
+   * Generate a unique run ID
+   * @private
+   */
+  generateRunId(pipelineId) {
+    return `${pipelineId}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Run a step scheduled by runPipeline and record its outcome
+   * @private
+   * @returns {Promise<Object>} {failed: boolean, error?: string}
+   */
+  async runScheduledStep(step, state) {
+    const { pipeline, stepResults, actions, executionContext } = state;
+    const stepIndex = pipeline.steps.indexOf(step);
+    const startedAt = new Date().toISOString();
+
+    try {
+      this.log(`\n📍 Step ${stepIndex + 1}/${pipeline.steps.length}: ${step.name}`);
+      this.emitEvent('step:start', state, {
+        stepId: step.id,
+        stepName: step.name,
+        agent: step.agent,
+        method: step.method,
+        index: stepIndex
+      });
+
+      // Evaluate when/unless conditions
+      const skipReason = this.getSkipReason(step, stepResults, executionContext);
+      if (skipReason) {
+        const skippedResult = {
+          stepId: step.id,
+          stepName: step.name,
+          success: true,
+          status: 'skipped',
+          reason: skipReason,
+          data: null,
+          duration: 0,
+          timestamp: new Date().toISOString(),
+          startedAt,
+          completedAt: new Date().toISOString()
+        };
+
+        stepResults.push(skippedResult);
+        this.recordManifestStep(state, skippedResult);
+        this.log(`   ⏭️  Skipped: ${skipReason}`);
+        this.emitEvent('step:skipped', state, { stepId: step.id, reason: skipReason, result: skippedResult });
+
+        await this.notifyStepComplete(state, skippedResult);
+
+        return { failed: false };
+      }
+
+      // Stop before the step once any budget is used up
+      const exhausted = this.checkBudgets(state);
+      if (exhausted) {
+        throw this.createBudgetError(exhausted);
+      }
+
+      const stepResult = await this.executeStep(step, stepResults, executionContext, state);
+
+      stepResults.push(stepResult);
+      this.recordManifestStep(state, stepResult);
+
+      // Store result in context for future steps
+      executionContext.stepResults[step.id] = stepResult.data;
+
+      // Collect actions
+      if (stepResult.actions) {
+        actions.push(...stepResult.actions);
+        stepResult.actions.forEach(action => {
+          this.emitEvent('action:collected', state, { stepId: step.id, action });
+        });
+      }
+
+      this.emitEvent('step:complete', state, {
+        stepId: step.id,
+        result: stepResult,
+        completed: stepResults.length,
+        total: pipeline.steps.length
+      });
+
+      await this.notifyStepComplete(state, stepResult);
+
+      if (stepResult.status === 'budget_exceeded') {
+        // A sub-pipeline ran out of budget
+        this.log(`   💸 ${stepResult.error}`);
+        return { failed: true, error: stepResult.error, budgetExceeded: true };
+      }
+
+      if ((!stepResult.success && !step.continueOnError) || this.haltsPipeline(stepResult)) {
+        this.log(`   ❌ Step failed, stopping pipeline`);
+        return { failed: true, error: stepResult.error || 'Signature verification failed' };
+      }
+
+    } catch (error) {
+      const budgetExceeded = error.code === 'BUDGET_EXCEEDED';
+      const stepResult = {
+        stepId: step.id,
+        stepName: step.name,
+        success: false,
+        status: error.code === 'ABORT_ERR' ? 'cancelled' : budgetExceeded ? 'budget_exceeded' : 'failed',
+        data: null,
+        error: error.message,
+        duration: Date.now() - new Date(startedAt).getTime(),
+        timestamp: new Date().toISOString(),
+        startedAt,
+        completedAt: new Date().toISOString(),
+        attempts: error.attempts,
+        queueTime: this.sumQueueTime(error.attempts)
+      };
+
+      stepResults.push(stepResult);
+      this.recordManifestStep(state, stepResult);
+      this.emitEvent('step:complete', state, {
+        stepId: step.id,
+        result: stepResult,
+        completed: stepResults.length,
+        total: pipeline.steps.length
+      });
+
+      if (budgetExceeded) {
+        // Budgets stop the run even for continueOnError steps
+        this.log(`   💸 ${error.message}`);
+        return { failed: true, error: error.message, budgetExceeded: true };
+      }
+
+      if (!step.continueOnError) {
+        this.log(`   ❌ Step error: ${error.message}`);
+        return { failed: true, error: error.message };
+      }
+    }
+
+    return { failed: false };
+  }
+
+  /**
+   * Call `onStepComplete` for a recorded result
+   *
+   * The step has finished by then, so a throwing callback can't fail it:
+   * the error is logged and emitted as `callback:error` instead.
+   * @private
+   */
+  async notifyStepComplete(state, stepResult) {
+    if (!this.options.onStepComplete) {
+      return;
+    }
+    try {
+      await this.options.onStepComplete(stepResult, state.stepResults.length, state.pipeline.steps.length);
+    } catch (error) {
+      this.log(`   ⚠️  onStepComplete failed for ${stepResult.stepId}: ${error.message}`);
+      this.emitEvent('callback:error', state, { callback: 'onStepComplete', stepId: stepResult.stepId, error: error.message });
+    }
+  }
+
+  /**
+   * Check a step's `when` / `unless` conditions
+   * @private
+   * @returns {string|null} Reason the step should be skipped, or null to run it
+   */
+  getSkipReason(step, previousResults, context) {
+    const scope = {
+      results: previousResults,
+      context,
+      stepResults: context.stepResults,
+      steps: this.templates.createScope(previousResults, context).steps
+    };
+
+    if (step.when !== undefined && !this.conditions.evaluate(step.when, scope)) {
+      return `when condition not met: ${this.conditions.describe(step.when)}`;
+    }
+
+    if (step.unless !== undefined && this.conditions.evaluate(step.unless, scope)) {
+      return `unless condition met: ${this.conditions.describe(step.unless)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Execute a single pipeline step
+   * @private
+   */
+  async executeStep(step, previousResults, context, run = {}) {
+    if (step.pipeline) {
+      return this.executeSubPipelineStep(step, previousResults, context, run);
+    }
+
+    if (step.run || step.exec) {
+      return this.executeLocalStep(step, previousResults, context, run);
+    }
+
+    if (step.forEach) {
+      return this.executeForEachStep(step, previousResults, context, run);
+    }
+
+    const startTime = Date.now();
+
+    // Build input for this step
+    const input = this.buildStepInput(step, previousResults, context);
+    
+    // Build context for agent call
+    const agentContext = this.buildAgentContext(step, previousResults, context);
+
+    this.log(`   Agent: ${step.agent}.${step.method}`);
+    if (step.query) {
+      this.log(`   Query: ${step.query.substring(0, 80)}${step.query.length > 80 ? '...' : ''}`);
+    }
+
+    this.recordAudit(run, step.id, { input, context: agentContext });
+    await this.authorizeStep(step, context, input, run);
+
+    const output = await this.produceStepOutput(step, input, agentContext, context, run);
+    const { agentResult, data: transformedData, attempts } = output;
+
+    const duration = Date.now() - startTime;
+    const success = this.isOutputAccepted(output);
+
+    // Extract actions if present
+    const actions = this.extractActions(step, transformedData, context);
+
+    const result = {
+      stepId: step.id,
+      stepName: step.name,
+      success,
+      status: success ? 'completed' : 'failed',
+      data: transformedData,
+      duration,
+      timestamp: new Date().toISOString(),
+      startedAt: new Date(startTime).toISOString(),
+      completedAt: new Date().toISOString(),
+      signature: agentResult.signature,
+      attempts,
+      queueTime: this.sumQueueTime(attempts),
+      cacheHit: output.cacheHit,
+      usage: output.usage,
+      actions
+    };
+
+    this.applyOutputChecks(result, output);
+    if (result.error) {
+      this.log(`   ❌ ${result.error}`);
+    }
+
+    this.log(`   ✅ Completed in ${duration}ms`);
+    this.logSignature(agentResult, output.verification);
+
+    return result;
+  }
+
+  /**
+   * Execute a fan-out step: one agent call per item of a collection
+   * @private
+   */
+  async executeForEachStep(step, previousResults, context, run = {}) {
+    const startTime = Date.now();
+    const { as = 'item', concurrency, continueOnItemError = false } = step.forEach;
+    const items = this.resolveForEachItems(step, previousResults, context);
+
+    this.log(`   Agent: ${step.agent}.${step.method} (forEach: ${items.length} items)`);
+
+    await this.authorizeStep(step, context, `${items.length} items from ${step.id}`, run);
+
+    let stopped = false;
+    let budgetError = null;
+    const itemResults = await this.runWithConcurrency(
+      items,
+      concurrency || this.options.maxParallelism,
+      async (item, index) => {
+        const itemStart = Date.now();
+        const itemContext = { ...context, item, itemIndex: index, [as]: item };
+
+        try {
+          const input = this.buildStepInput(step, previousResults, itemContext);
+          const agentContext = this.buildAgentContext(step, previousResults, itemContext);
+          this.recordAudit(run, step.id, { items: { [index]: { input, context: agentContext } } });
+
+          const output = await this.produceStepOutput(step, input, agentContext, itemContext, run);
+          const { agentResult, data, attempts } = output;
+          const success = this.isOutputAccepted(output);
+
+          if (!success && (!continueOnItemError || this.haltsPipeline(output))) {
+            stopped = true;
+          }
+
+          const itemResult = {
+            index,
+            success,
+            data,
+            duration: Date.now() - itemStart,
+            signature: agentResult.signature,
+            attempts,
+            queueTime: this.sumQueueTime(attempts),
+            cacheHit: output.cacheHit,
+            usage: output.usage
+          };
+
+          this.applyOutputChecks(itemResult, output);
+
+          return itemResult;
+        } catch (error) {
+          if (error.code === 'BUDGET_EXCEEDED') {
+            budgetError = budgetError || error;
+            stopped = true;
+          }
+          if (!continueOnItemError) {
+            stopped = true;
+          }
+          this.log(`   ⚠️  Item ${index + 1}/${items.length} failed: ${error.message}`);
+
+          return {
+            index,
+            success: false,
+            data: null,
+            error: error.message,
+            duration: Date.now() - itemStart,
+            attempts: error.attempts,
+            queueTime: this.sumQueueTime(error.attempts)
+          };
+        }
+      },
+      () => stopped || Boolean(run.signal && run.signal.aborted)
+    );
+
+    if (run.signal && run.signal.aborted) {
+      throw this.createAbortError();
+    }
+    if (budgetError) {
+      throw budgetError;
+    }
+
+    const failedItems = itemResults.filter(r => !r.success);
+    const success = failedItems.length === 0 || continueOnItemError;
+    const data = itemResults.map(r => r.data);
+    const duration = Date.now() - startTime;
+
+    const result = {
+      stepId: step.id,
+      stepName: step.name,
+      success,
+      status: success ? 'completed' : 'failed',
+      data,
+      items: itemResults,
+      queueTime: this.sumQueueTime(itemResults),
+      usage: UsageMeter.add(...itemResults.map(r => r.usage)),
+      duration,
+      timestamp: new Date().toISOString(),
+      startedAt: new Date(startTime).toISOString(),
+      completedAt: new Date().toISOString(),
+      actions: this.extractActions(step, data, context)
+    };
+
+    if (failedItems.length > 0) {
+      result.error = `${failedItems.length}/${items.length} items failed: ` +
+        (failedItems[0].error || 'agent reported failure');
+    }
+
+    this.log(`   ✅ Completed ${itemResults.length - failedItems.length}/${items.length} items in ${duration}ms`);
+
+    return result;
+  }
+
+  /**
+   * Run another registered pipeline as a step
+   *
+   * The child run starts from the parent's context (minus step results)
+   * overlaid with `inputMap`. Its step results nest under `steps`, its
+   * actions bubble up to the parent, and `outputMap` (templates over the
+   * child run) becomes the step's data; without one, data is the child's
+   * `stepResults` map.
+   * @private
+   */
+  async executeSubPipelineStep(step, previousResults, context, run = {}) {
+    const startTime = Date.now();
+    const child = this.registry.resolve(step.pipeline);
+    if (!child) {
+      throw new Error(`Step ${step.id} references unknown pipeline: ${step.pipeline}`);
+    }
+
+    const depth = (run.depth || 0) + 1;
+    if (depth > this.options.maxPipelineDepth) {
+      throw new Error(`Step ${step.id}: sub-pipeline nesting exceeds maxPipelineDepth (${this.options.maxPipelineDepth})`);
+    }
+
+    const inputs = typeof step.inputMap === 'function'
+      ? step.inputMap(previousResults, context)
+      : this.resolveTemplates(step, 'inputMap', previousResults, context);
+    const { stepResults, ...inherited } = context;
+
+    this.log(`   Pipeline: ${child.id}`);
+
+    const childResult = await this.executeRun(child, {
+      runId: run.runId ? `${run.runId}.${step.id}` : this.generateRunId(child.id),
+      executionContext: { ...child.defaultContext, ...inherited, ...inputs, stepResults: {} },
+      stepResults: [],
+      actions: [],
+      completedStepIds: []
+    }, {
+      signal: run.signal,
+      priority: run.priority,
+      depth,
+      parentRunId: run.runId || null,
+      parentState: run.usage ? run : null
+    });
+    // Chain the child's manifest into this step's entry
+    this.recordAudit(run, step.id, { input: inputs, manifestHead: childResult.manifest.head });
+
+    let data = null;
+    let error = childResult.error;
+    if (childResult.success) {
+      try {
+        data = step.outputMap
+          ? this.templates.resolve(step.outputMap, this.templates.createScope(childResult.steps, childResult.context))
+          : childResult.context.stepResults;
+      } catch (outputError) {
+        error = `Step ${step.id} outputMap: ${outputError.message}`;
+      }
+    }
+
+    const success = childResult.success && !error;
+
+    const result = {
+      stepId: step.id,
+      stepName: step.name,
+      success,
+      status: childResult.cancelled ? 'cancelled' : childResult.status === 'budget_exceeded' ? 'budget_exceeded' : (success ? 'completed' : 'failed'),
+      data,
+      duration: Date.now() - startTime,
+      timestamp: new Date().toISOString(),
+      startedAt: new Date(startTime).toISOString(),
+      completedAt: new Date().toISOString(),
+      pipelineId: child.id,
+      runId: childResult.runId,
+      steps: childResult.steps,
+      queueTime: this.sumQueueTime(childResult.steps),
+      usage: childResult.usage,
+      actions: childResult.actions
+    };
+
+    if (error) {
+      result.error = error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Execute a local step: a shell command (`exec`) or a JS function (`run`)
+   *
+   * `exec` commands run through the CommandRunner sandbox; their data is
+   * `{ command, cwd, exitCode, signal, stdout, stderr, truncated, timedOut,
+   * duration }` and the step succeeds when the exit code is in
+   * `successExitCodes` (default [0]). `run` functions execute in-process and
+   * receive `{ context, results, steps, signal, exec }`; their return value is
+   * the step's data. Every command is authorized like a RUN_COMMAND action.
+   *
+   * `run` functions are trusted code with the engine's privileges: their
+   * step authorization only sees the label `run <id>`, and only commands
+   * started through `exec` are checked. PipelineLoader rejects `run`, so
+   * they can only come from pipelines written in JavaScript.
+   * @private
+   */
+  async executeLocalStep(step, previousResults, context, run = {}) {
+    const startTime = Date.now();
+    const timeout = step.timeout || this.options.defaultTimeout;
+    const commandOptions = { cwd: step.cwd, env: step.env, inheritEnv: step.inheritEnv };
+
+    let data;
+    let success = true;
+    let error;
+
+    if (step.exec) {
+      const command = typeof step.exec === 'function'
+        ? step.exec(previousResults, context)
+        : this.resolveTemplates(step, 'exec', previousResults, context);
+
+      this.recordAudit(run, step.id, { input: command });
+      await this.authorizeStep(step, context, command, run);
+
+      data = await this.execCommand(step, command, {
+        ...commandOptions,
+        env: this.resolveTemplates(step, 'env', previousResults, context)
+      }, context, run);
+
+      const successExitCodes = step.successExitCodes || [0];
+      success = !data.timedOut && successExitCodes.includes(data.exitCode);
+      if (!success) {
+        error = data.timedOut
+          ? `Command timed out after ${timeout}ms`
+          : `Command exited with code ${data.exitCode}${data.signal ? ` (${data.signal})` : ''}`;
+      }
+    } else {
+      await this.authorizeStep(step, context, `run ${step.id}`, run);
+      this.log(`   Run: local function`);
+
+      const ctx = {
+        context,
+        results: previousResults,
+        steps: this.templates.createScope(previousResults, context).steps,
+        signal: run.signal,
+        exec: (command, options = {}) =>
+          this.execCommand(step, command, { ...commandOptions, ...options }, context, run)
+      };
+      data = await this.executeWithTimeout(Promise.resolve().then(() => step.run(ctx)), timeout);
+    }
+
+    const duration = Date.now() - startTime;
+    this.log(success ? `   ✅ Completed in ${duration}ms` : `   ❌ ${error}`);
+
+    const result = {
+      stepId: step.id,
+      stepName: step.name,
+      success,
+      status: success ? 'completed' : 'failed',
+      data: data === undefined ? null : data,
+      duration,
+      timestamp: new Date().toISOString(),
+      startedAt: new Date(startTime).toISOString(),
+      completedAt: new Date().toISOString(),
+      actions: []
+    };
+
+    if (error) {
+      result.error = error;
+    }
+
+    return result;
+  }
+
+  /**
+   * Authorize and run a local command
+   *
+   * Commands are checked against the policy engine as RUN_COMMAND actions;
+   * without a policy engine they require approval, like the default policy.
+   * @private
+   */
+  async execCommand(step, command, options, context, run = {}) {
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error(`Step ${step.id} exec did not produce a command`);
+    }
+
+    const action = this.buildCommandAction(step, command, options.cwd);
+
+    let requiresApproval = true;
+    if (this.policyEngine) {
+      const policyCheck = await this.policyEngine.checkAction(action, context);
+      this.recordAudit(run, step.id, {
+        policy: [{ level: 'command', command, allowed: policyCheck.allowed, reason: policyCheck.reason }]
+      });
+      if (!policyCheck.allowed) {
+        this.emitEvent('policy:denied', run, { level: 'command', stepId: step.id, reason: policyCheck.reason });
+        throw new Error(`Command blocked by policy: ${policyCheck.reason}`);
+      }
+      requiresApproval = policyCheck.requiresApproval;
+    }
+
+    if (requiresApproval && !this.options.autoApprove) {
+      const approved = await this.requestApproval({
+        type: 'command',
+        step: step.name,
+        command,
+        cwd: action.payload.cwd
+      }, run);
+      this.recordAudit(run, step.id, { approvals: [{ type: 'command', command, approved: Boolean(approved) }] });
+
+      if (!approved) {
+        throw new Error('Command execution rejected by user');
+      }
+    }
+
+    this.recordAudit(run, step.id, { commands: [{ command, cwd: action.payload.cwd }] });
+    this.log(`   $ ${command}`);
+
+    return this.commandRunner.run(command, {
+      ...options,
+      timeout: step.timeout || this.options.defaultTimeout,
+      signal: run.signal
+    });
+  }
+
+  /**
+   * RUN_COMMAND action a local command is authorized as
+   * @private
+   */
+  buildCommandAction(step, command, cwd) {
+    return {
+      type: 'RUN_COMMAND',
+      targets: [],
+      payload: { command, cwd: cwd || '.' },
+      reasoning: `Local command from step ${step.id}`,
+      requiresApproval: true
+    };
+  }
+
+  /**
+   * Call the agent, transform its output and enforce the step's `validation`
+   * schema, re-querying with the violations as feedback when repairs are
+   * configured
+   * @private
+   * @returns {Promise<Object>} {agentResult, data, attempts, usage, validation?, verification?, cacheHit?}
+   */
+  async produceStepOutput(step, input, agentContext, context, run = {}) {
+    const validation = this.getValidationConfig(step);
+    const attempts = [];
+    let usage = UsageMeter.empty();
+    let query = input;
+    let queryContext = agentContext;
+
+    for (let repair = 0; ; repair++) {
+      const call = await this.callAgentMetered(step, query, queryContext, run);
+      attempts.push(...call.attempts);
+      usage = UsageMeter.add(usage, call.usage);
+      const { cacheHit } = call;
+
+      // Signatures cover the raw agent payload, before any transform
+      const verification = call.agentResult.success ? this.verifyResponse(call.agentResult) : undefined;
+      if (this.rejectsVerification(verification)) {
+        // Unverified output never reaches later steps
+        return { agentResult: call.agentResult, data: null, attempts, verification, cacheHit, usage };
+      }
+
+      // Transform result if transformer provided
+      let data = call.agentResult.data;
+      if (step.resultTransform) {
+        data = step.resultTransform(call.agentResult.data, context);
+      }
+
+      if (!validation || !call.agentResult.success) {
+        await this.storeCachedResponse(call);
+        return { agentResult: call.agentResult, data, attempts, verification, cacheHit, usage };
+      }
+
+      const violations = this.validator.validate(data, validation.schema);
+      if (violations.length === 0) {
+        await this.storeCachedResponse(call);
+        return {
+          agentResult: call.agentResult,
+          data,
+          attempts,
+          validation: { valid: true, violations: [], repairs: repair },
+          verification,
+          cacheHit,
+          usage
+        };
+      }
+
+      if (repair >= validation.repairAttempts) {
+        // Malformed output never reaches later steps
+        return {
+          agentResult: call.agentResult,
+          data: null,
+          attempts,
+          validation: { valid: false, violations, repairs: repair, rejectedOutput: data },
+          verification,
+          cacheHit,
+          usage
+        };
+      }
+
+      this.log(`   🔧 Output failed validation (${violations.length} violations), asking agent to repair (${repair + 1}/${validation.repairAttempts})`);
+      query = this.buildRepairQuery(input, violations);
+      queryContext = { ...agentContext, validationErrors: violations };
+    }
+  }
+
+  /**
+   * Check whether a produced output may be used: the agent succeeded, the
+   * output matched its schema and its signature passed verification
+   * @private
+   */
+  isOutputAccepted({ agentResult, validation, verification }) {
+    return Boolean(agentResult.success) &&
+      (!validation || validation.valid) &&
+      !this.rejectsVerification(verification);
+  }
+
+  /**
+   * Copy validation / verification outcomes onto a step or item result,
+   * with an error describing the first failed check
+   * @private
+   */
+  applyOutputChecks(result, { validation, verification }) {
+    if (verification) {
+      result.verification = verification;
+      if (this.rejectsVerification(verification)) {
+        result.error = `Signature verification failed (${verification.status}): ${verification.reason}`;
+        return;
+      }
+    }
+
+    if (validation) {
+      result.validation = validation;
+      if (!validation.valid) {
+        result.error = this.describeViolations(validation.violations);
+      }
+    }
+  }
+
+  /**
+   * Verify an agent response's signature, when verification is configured
+   * @private
+   * @returns {Object|undefined} { status, publicKey?, reason? }
+   */
+  verifyResponse(agentResult) {
+    if (!this.verifier) {
+      return undefined;
+    }
+    return this.verifier.verify(agentResult.data, agentResult.signature);
+  }
+
+  /**
+   * Check whether a verification outcome must fail the step
+   * @private
+   */
+  rejectsVerification(verification) {
+    if (!verification || verification.status === 'verified') {
+      return false;
+    }
+
+    const { onFailure, requireSignature } = this.options.verification;
+    if (onFailure === 'warn') {
+      return false;
+    }
+    return verification.status === 'invalid' || requireSignature;
+  }
+
+  /**
+   * Check whether a result must stop the whole pipeline because of a failed
+   * signature check (`verification.onFailure: 'pipeline'`), including
+   * forEach items and sub-pipeline steps
+   * @private
+   */
+  haltsPipeline(result) {
+    if (!this.options.verification || this.options.verification.onFailure !== 'pipeline') {
+      return false;
+    }
+
+    return this.rejectsVerification(result.verification) ||
+      (result.items || []).some(item => this.haltsPipeline(item)) ||
+      (result.steps || []).some(step => this.haltsPipeline(step));
+  }
+
+  /**
+   * Log the signature status of an agent response
+   * @private
+   */
+  logSignature(agentResult, verification) {
+    if (verification && verification.status === 'verified') {
+      this.log(`   🔐 Signature verified`);
+    } else if (verification) {
+      this.log(`   ⚠️  Signature ${verification.status}: ${verification.reason}`);
+    } else if (agentResult.signature) {
+      this.log(`   🔐 Signed (not verified)`);
+    }
+  }
+
+  /**
+   * Normalize a step's `validation` into {schema, repairAttempts}
+   *
+   * `validation` is either a JSON Schema or `{ schema, repairAttempts }`.
+   * @private
+   */
+  getValidationConfig(step) {
+    if (!step.validation) {
+      return null;
+    }
+
+    const isConfig = step.validation.schema && typeof step.validation.schema === 'object';
+    return {
+      schema: isConfig ? step.validation.schema : step.validation,
+      repairAttempts: isConfig ? step.validation.repairAttempts || 0 : 0
+    };
   }
 
   /**
-   * Execute a registered pipeline
-   * @param {string} pipelineId - ID of the pipeline to run
-   * @param {Object} context - Execution context
-   * @returns {Promise<Object>} Pipeline result
+   * Append schema violations to the original query as repair feedback
+   * @private
    */
-  async runPipeline(pipelineId, context = {}) {
-    const pipeline = this.pipelines.get(pipelineId);
-    
-    if (!pipeline) {
-      throw new Error(`Pipeline not found: ${pipelineId}`);
-    }
+  buildRepairQuery(input, violations) {
+    const feedback = violations.map(v => `- ${v.path}: ${v.message}`).join('\n');
+    const original = typeof input === 'string' ? input : JSON.stringify(input, null, 2);
+    return `${original}\n\nYour previous response did not match the required output schema:\n${feedback}\n` +
+      'Return a corrected response that satisfies the schema.';
+  }
 
-    this.log(`\n🚀 Starting pipeline: ${pipeline.name}`);
-    this.log(`   ID: ${pipelineId}`);
-    this.log(`   Steps: ${pipeline.steps.length}`);
+  /**
+   * Summarize schema violations for step errors
+   * @private
+   */
+  describeViolations(violations) {
+    const first = violations[0];
+    return `Output failed validation (${violations.length} violation${violations.length === 1 ? '' : 's'}): ` +
+      `${first.path} ${first.message}`;
+  }
 
-    const startTime = Date.now();
-    const startedAt = new Date().toISOString();
+  /**
+   * Resolve the collection a forEach step iterates over
+   * @private
+   */
+  resolveForEachItems(step, previousResults, context) {
+    const { items } = step.forEach;
+    const collection = typeof items === 'function'
+      ? items(previousResults, context)
+      : this.conditions.resolvePath({ context, stepResults: context.stepResults }, items);
 
-    // Merge default context with provided context
-    const executionContext = {
-      ...pipeline.defaultContext,
-      ...context,
-      stepResults: {}
-    };
+    if (!Array.isArray(collection)) {
+      const source = typeof items === 'function' ? 'items function' : items;
+      throw new Error(`Step ${step.id} forEach expected an array from ${source}`);
+    }
 
-    const stepResults = [];
-    const actions = [];
-    let pipelineSuccess = true;
-    let pipelineError = null;
+    return collection;
+  }
 
-    // Check pipeline-level policy
+  /**
+   * Check step-level policy and request approval if the step needs it
+   * @private
+   */
+  async authorizeStep(step, context, input, run = {}) {
+    // Check step-level policy
     if (this.policyEngine) {
-      const policyCheck = await this.policyEngine.checkPipeline(pipeline, executionContext);
+      const policyCheck = await this.policyEngine.checkStep(step, context);
+      this.recordAudit(run, step.id, {
+        policy: [{ level: 'step', allowed: policyCheck.allowed, reason: policyCheck.reason }]
+      });
       if (!policyCheck.allowed) {
-        throw new Error(`Pipeline blocked by policy: ${policyCheck.reason}`);
+        this.emitEvent('policy:denied', run, { level: 'step', stepId: step.id, reason: policyCheck.reason });
+        throw new Error(`Step blocked by policy: ${policyCheck.reason}`);
       }
     }
 
     // Request approval if needed
-    if (pipeline.requiresApproval && !this.options.autoApprove) {
+    if (step.requiresApproval && !this.options.autoApprove) {
       const approved = await this.requestApproval({
-        type: 'pipeline',
-        pipeline: pipeline.name,
-        description: pipeline.description
-      });
+        type: 'step',
+        step: step.name,
+        agent: step.agent,
+        query: input
+      }, run);
+      this.recordAudit(run, step.id, { approvals: [{ type: 'step', approved: Boolean(approved) }] });
       
       if (!approved) {
-        throw new Error('Pipeline execution rejected by user');
+        throw new Error('Step execution rejected by user');
       }
     }
+  }
 
-    // Execute each step
-    for (let i = 0; i < pipeline.steps.length; i++) {
-      const step = pipeline.steps[i];
-      
-      try {
-        this.log(`\n📍 Step ${i + 1}/${pipeline.steps.length}: ${step.name}`);
-        
-        const stepResult = await this.executeStep(step, stepResults, executionContext);
-        
-        stepResults.push(stepResult);
-        
-        // Store result in context for future steps
-        executionContext.stepResults[step.id] = stepResult.data;
-        
-        // Collect actions
-        if (stepResult.actions) {
-          actions.push(...stepResult.actions);
-        }
+  /**
+   * Call the agent through the response cache (when one is configured and
+   * the step doesn't opt out with `cache: false`), checking budgets before
+   * the call and accounting its usage to the run
+   * @private
+   * @returns {Promise<Object>} {agentResult, attempts, usage, cacheHit?, cacheKey?}
+   */
+  async callAgentMetered(step, input, agentContext, run = {}) {
+    const useCache = Boolean(this.cache) && step.cache !== false;
+    const cacheKey = useCache
+      ? responseCacheKey({ agent: step.agent, method: step.method, input, context: agentContext })
+      : undefined;
 
-        // Callback
-        if (this.options.onStepComplete) {
-          await this.options.onStepComplete(stepResult, i + 1, pipeline.steps.length);
-        }
+    if (useCache) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        this.log(`   💾 Cache hit`);
+        return { agentResult: cached, attempts: [], usage: UsageMeter.empty(), cacheHit: true, cacheKey };
+      }
+    }
 
-        if (!stepResult.success && !step.continueOnError) {
-          pipelineSuccess = false;
-          pipelineError = stepResult.error;
-          this.log(`   ❌ Step failed, stopping pipeline`);
-          break;
-        }
+    const exceeded = this.checkBudgets(run, this.usageMeter.project(step, input, agentContext));
+    if (exceeded) {
+      throw this.createBudgetError(exceeded);
+    }
 
-      } catch (error) {
-        const stepResult = {
-          stepId: step.id,
-          stepName: step.name,
-          success: false,
-          data: null,
-          error: error.message,
-          duration: 0,
-          timestamp: new Date().toISOString()
-        };
+    let call;
+    try {
+      call = await this.callAgent(step, input, agentContext, run);
+    } catch (error) {
+      // Failed attempts still count as calls
+      this.addUsage(run, this.usageMeter.measure(step, input, agentContext, null, error.attempts ? error.attempts.length : 1));
+      throw error;
+    }
 
-        stepResults.push(stepResult);
+    const usage = this.usageMeter.measure(step, input, agentContext, call.agentResult, call.attempts.length);
+    this.addUsage(run, usage);
 
-        if (!step.continueOnError) {
-          pipelineSuccess = false;
-          pipelineError = error.message;
-          this.log(`   ❌ Step error: ${error.message}`);
-          break;
-        }
-      }
+    return useCache ? { ...call, usage, cacheHit: false, cacheKey } : { ...call, usage };
+  }
+
+  /**
+   * Add usage to a run and every parent run
+   * @private
+   */
+  addUsage(run, usage) {
+    for (let state = run; state && state.usage; state = state.parentState) {
+      state.usage = UsageMeter.add(state.usage, usage);
     }
+  }
 
-    const totalDuration = Date.now() - startTime;
-    const completedAt = new Date().toISOString();
+  /**
+   * Check a run's budget and those of its parent runs
+   * @private
+   * @param {Object} run - Run state
+   * @param {Object} [projected] - Usage of the call about to be made
+   * @returns {string|null} Why a budget is exceeded, or null
+   */
+  checkBudgets(run, projected) {
+    for (let state = run; state && state.usage; state = state.parentState) {
+      const reason = UsageMeter.checkBudget(state.budget, state.usage, projected);
+      if (reason) {
+        return state === run ? reason : `${reason} in pipeline ${state.pipeline.id}`;
+      }
+    }
+    return null;
+  }
 
-    const result = {
-      pipelineId: pipeline.id,
-      pipelineName: pipeline.name,
-      success: pipelineSuccess,
-      steps: stepResults,
-      totalDuration,
-      startedAt,
-      completedAt,
-      actions,
-      error: pipelineError,
-      context: executionContext
-    };
+  /**
+   * @private
+   */
+  createBudgetError(reason) {
+    const error = new Error(`Budget exceeded: ${reason}`);
+    error.code = 'BUDGET_EXCEEDED';
+    return error;
+  }
 
-    this.log(`\n✨ Pipeline ${pipelineSuccess ? 'completed successfully' : 'failed'}`);
-    this.log(`   Duration: ${totalDuration}ms`);
-    this.log(`   Steps executed: ${stepResults.length}/${pipeline.steps.length}`);
-    this.log(`   Actions collected: ${actions.length}`);
+  /**
+   * Total time spent waiting for scheduler slots
+   * @private
+   * @param {Object[]} [records] - Attempts, item results or step results
+   * @returns {number} Milliseconds
+   */
+  sumQueueTime(records = []) {
+    return records.reduce((total, record) => total + (record.queueTime || 0), 0);
+  }
 
-    return result;
+  /**
+   * Cache a fresh response once its output has been accepted
+   * @private
+   */
+  async storeCachedResponse(call) {
+    if (!call.cacheKey || call.cacheHit || !call.agentResult.success) {
+      return;
+    }
+    try {
+      await this.cache.set(call.cacheKey, call.agentResult);
+    } catch (error) {
+      this.log(`   ⚠️  Failed to cache response: ${error.message}`);
+    }
   }
 
   /**
-   * Execute a single pipeline step
+   * Call the agent for a step, retrying according to its retry policy
    * @private
+   * @returns {Promise<Object>} {agentResult, attempts}
    */
-  async executeStep(step, previousResults, context) {
-    const startTime = Date.now();
+  async callAgent(step, input, agentContext, run = {}) {
+    const { signal } = run;
+    const policy = new RetryPolicy(this.options.retry, step.retry);
+    const attempts = [];
 
-    // Build input for this step
-    const input = this.buildStepInput(step, previousResults, context);
-    
-    // Build context for agent call
-    const agentContext = step.contextBuilder 
-      ? step.contextBuilder(previousResults, context)
-      : this.buildDefaultContext(step, context);
+    for (let attempt = 1; ; attempt++) {
+      // Queue wait is reported apart from the call and doesn't count towards the timeout
+      let slot;
+      try {
+        slot = await this.scheduler.acquire(step.agent, { priority: run.priority, signal });
+      } catch (abortError) {
+        abortError.attempts = attempts;
+        throw abortError;
+      }
+      if (slot.queueTime > 0) {
+        this.log(`   ⏳ Waited ${slot.queueTime}ms for ${step.agent}`);
+      }
 
-    this.log(`   Agent: ${step.agent}.${step.method}`);
-    if (step.query) {
-      this.log(`   Query: ${step.query.substring(0, 80)}${step.query.length > 80 ? '...' : ''}`);
-    }
+      const attemptStart = Date.now();
+      let agentResult = null;
+      let error = null;
 
-    // Check step-level policy
-    if (this.policyEngine) {
-      const policyCheck = await this.policyEngine.checkStep(step, context);
-      if (!policyCheck.allowed) {
-        throw new Error(`Step blocked by policy: ${policyCheck.reason}`);
+      try {
+        agentResult = await this.invokeAgent(step, input, agentContext, signal);
+      } catch (err) {
+        error = err;
+      } finally {
+        slot.release();
       }
-    }
 
-    // Request approval if needed
-    if (step.requiresApproval && !this.options.autoApprove) {
-      const approved = await this.requestApproval({
-        type: 'step',
-        step: step.name,
-        agent: step.agent,
-        query: input
+      const record = {
+        attempt,
+        startedAt: new Date(attemptStart).toISOString(),
+        duration: Date.now() - attemptStart,
+        queueTime: slot.queueTime,
+        success: !error && Boolean(agentResult && agentResult.success)
+      };
+      attempts.push(record);
+
+      if (record.success) {
+        return { agentResult, attempts };
+      }
+
+      record.reason = policy.classify(error);
+      record.error = error ? error.message : (agentResult.error || 'Agent reported failure');
+
+      // Cancelled runs are never retried
+      if (signal && signal.aborted) {
+        const abortError = error && error.code === 'ABORT_ERR' ? error : this.createAbortError();
+        abortError.attempts = attempts;
+        throw abortError;
+      }
+
+      if (!policy.shouldRetry(attempt, error, agentResult)) {
+        if (error) {
+          error.attempts = attempts;
+          throw error;
+        }
+        return { agentResult, attempts };
+      }
+
+      record.delay = policy.getDelay(attempt);
+      this.log(`   🔁 Attempt ${attempt}/${policy.maxAttempts} failed (${record.reason}), retrying in ${record.delay}ms`);
+      this.emitEvent('step:retry', run, {
+        stepId: step.id,
+        attempt,
+        maxAttempts: policy.maxAttempts,
+        reason: record.reason,
+        error: record.error,
+        delay: record.delay
       });
-      
-      if (!approved) {
-        throw new Error('Step execution rejected by user');
+      try {
+        await this.sleep(record.delay, signal);
+      } catch (abortError) {
+        abortError.attempts = attempts;
+        throw abortError;
       }
     }
+  }
 
+  /**
+   * Invoke the agent method for a step (single attempt)
+   * @private
+   */
+  async invokeAgent(step, input, agentContext, signal) {
     // Execute agent method
     const agent = this.client[step.agent];
     if (!agent) {
@@ -273,41 +2274,59 @@ class PipelineEngine {
       throw new Error(`Method not found: ${step.agent}.${step.method}`);
     }
 
-    // Call the agent (with timeout)
+    // Call the agent (with timeout). The call gets its own signal so a timed
+    // out or cancelled request is aborted instead of running in the background.
+    // Runtimes without AbortController (Node 14) call the agent without one.
     const timeout = step.timeout || this.options.defaultTimeout;
-    const agentResult = await this.executeWithTimeout(
-      method.bind(agent)(input, agentContext),
-      timeout
-    );
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const onAbort = () => controller.abort();
 
-    const duration = Date.now() - startTime;
+    if (signal) {
+      if (signal.aborted) {
+        throw this.createAbortError();
+      }
+      if (controller) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
 
-    // Transform result if transformer provided
-    let transformedData = agentResult.data;
-    if (step.resultTransform) {
-      transformedData = step.resultTransform(agentResult.data, context);
+    try {
+      return await this.executeWithTimeout(
+        method.bind(agent)(input, agentContext, controller ? { signal: controller.signal } : {}),
+        timeout,
+        controller || undefined
+      );
+    } finally {
+      if (signal && controller) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
+  }
 
-    // Extract actions if present
-    const actions = this.extractActions(step, transformedData);
+  /**
+   * Map over items with at most `limit` calls in flight
+   * @private
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} iteratee - async (item, index) => result
+   * @param {Function} [shouldStop] - Stops launching new items when it returns true
+   * @returns {Promise<Array>} Results of the items that ran, in item order
+   */
+  async runWithConcurrency(items, limit, iteratee, shouldStop = () => false) {
+    const results = new Array(items.length);
+    let next = 0;
 
-    const result = {
-      stepId: step.id,
-      stepName: step.name,
-      success: agentResult.success,
-      data: transformedData,
-      duration,
-      timestamp: new Date().toISOString(),
-      signature: agentResult.signature,
-      actions
+    const worker = async () => {
+      while (next < items.length && !shouldStop()) {
+        const index = next++;
+        results[index] = await iteratee(items[index], index);
+      }
     };
 
-    this.log(`   ✅ Completed in ${duration}ms`);
-    if (agentResult.signature) {
-      this.log(`   🔐 Cryptographically signed`);
-    }
+    const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+    await Promise.all(workers);
 
-    return result;
+    return results.filter(r => r !== undefined);
   }
 
   /**
@@ -315,32 +2334,100 @@ class PipelineEngine {
    * @private
    */
   buildStepInput(step, previousResults, context) {
+    const query = this.resolveTemplates(step, 'query', previousResults, context);
+
     switch (step.inputFrom) {
       case 'user':
-        return step.query || context.userPrompt || '';
+        return query || context.userPrompt || '';
       
       case 'context':
-        return step.query || '';
+        return query || '';
       
       case 'previousStep':
-        if (previousResults.length === 0) {
+        const lastResult = this.getPreviousResult(step, previousResults);
+        if (!lastResult) {
           throw new Error(`Step ${step.id} requires previous step but none exists`);
         }
-        const lastResult = previousResults[previousResults.length - 1];
-        return step.query || lastResult.data.code || lastResult.data.improvedCode || JSON.stringify(lastResult.data);
+        return query || lastResult.data.code || lastResult.data.improvedCode || JSON.stringify(lastResult.data);
       
       case 'file':
-        return step.query || '';
+        return query || '';
       
       case 'selection':
-        return context.selection?.content || step.query || '';
+        return context.selection?.content || query || '';
       
       case 'tests':
-        return step.query || JSON.stringify(context.testResults || {});
+        return query || JSON.stringify(context.testResults || {});
+      
+      case 'item':
+        if (typeof context.item === 'string') {
+          return query ? `${query}\n\n${context.item}` : context.item;
+        }
+        return query
+          ? `${query}\n\n${JSON.stringify(context.item)}`
+          : JSON.stringify(context.item);
       
       default:
-        return step.query || '';
+        return query || '';
+    }
+  }
+
+  /**
+   * Resolve `{{ ... }}` templates in a step field
+   * @private
+   */
+  resolveTemplates(step, field, previousResults, context) {
+    const value = step[field];
+    if (!this.templates.hasReferences(value)) {
+      return value;
+    }
+
+    try {
+      const scope = this.templates.createScope(previousResults, context);
+      return field === 'query'
+        ? this.templates.render(value, scope)
+        : this.templates.resolve(value, scope);
+    } catch (error) {
+      throw new Error(`Step ${step.id} ${field}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the agent context: `contextBuilder` output, or the defaults for
+   * the agent overlaid with the step's declarative `context`
+   * @private
+   */
+  buildAgentContext(step, previousResults, context) {
+    if (step.contextBuilder) {
+      return step.contextBuilder(previousResults, context);
+    }
+
+    return {
+      ...this.buildDefaultContext(step, context),
+      ...this.resolveTemplates(step, 'context', previousResults, context)
+    };
+  }
+
+  /**
+   * Get the result a `previousStep` input reads from: the last declared
+   * dependency with data, or the most recent step that produced data
+   * @private
+   */
+  getPreviousResult(step, previousResults) {
+    // Skipped and errored steps produce no data to read from
+    const candidates = previousResults.filter(r => r.data !== null && r.data !== undefined);
+
+    if (step.dependsOn && step.dependsOn.length > 0) {
+      const depIds = [...step.dependsOn].reverse();
+      for (const depId of depIds) {
+        const result = candidates.find(r => r.stepId === depId);
+        if (result) {
+          return result;
+        }
+      }
+      return undefined;
     }
+    return candidates[candidates.length - 1];
   }
 
   /**
@@ -372,92 +2459,99 @@ class PipelineEngine {
    * Extract actions from agent result
    * @private
    */
-  extractActions(step, data) {
-    const actions = [];
+  extractActions(step, data, context) {
+    return this.actionExtractors.extract(step, data, context);
+  }
 
-    // Code-related agents might produce file changes
-    if (step.agent === 'codeGenerator' && data.code) {
-      actions.push({
-        type: 'CREATE_FILE',
-        targets: [`generated-${step.id}.${this.getFileExtension(data.language)}`],
-        payload: { content: data.code },
-        reasoning: data.reasoning || 'Generated by code generator',
-        requiresApproval: true
-      });
-    }
+  /**
+   * Execute a promise with timeout
+   *
+   * Rejects on timeout or when the controller's signal aborts, aborting the
+   * controller on timeout. The timer is always cleared.
+   * @private
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} timeoutMs - Timeout in ms
+   * @param {AbortController} [controller] - Aborted on timeout; its signal cancels the wait
+   */
+  async executeWithTimeout(promise, timeoutMs, controller) {
+    const signal = controller && controller.signal;
+    let timer;
+    let onAbort;
 
-    if (step.agent === 'diffImprover' && data.diff) {
-      actions.push({
-        type: 'APPLY_DIFF',
-        targets: ['current-file'],
-        payload: { diff: data.diff },
-        reasoning: data.explanation || 'Code improvement',
-        requiresApproval: true
-      });
-    }
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Step timeout after ${timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        reject(error);
+        if (controller) {
+          controller.abort();
+        }
+      }, timeoutMs);
 
-    if (step.agent === 'terminalAgent' && data.code) {
-      actions.push({
-        type: 'RUN_COMMAND',
-        targets: [],
-        payload: { command: data.code },
-        reasoning: data.reasoning || 'Terminal command',
-        requiresApproval: true
-      });
-    }
+      if (signal) {
+        onAbort = () => reject(this.createAbortError());
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
 
-    if (step.agent === 'githubAgent' && data.githubCommands) {
-      data.githubCommands.forEach(cmd => {
-        actions.push({
-          type: 'RUN_COMMAND',
-          targets: [],
-          payload: { command: cmd.command },
-          reasoning: cmd.description || 'GitHub CLI command',
-          requiresApproval: true
-        });
-      });
+    try {
+      return await Promise.race([promise, timeout]);
+    } finally {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
     }
-
-    return actions;
   }
 
   /**
-   * Get file extension for a language
+   * Wait for a number of milliseconds
    * @private
+   * @param {number} ms - Delay in ms
+   * @param {AbortSignal} [signal] - Rejects early when aborted
    */
-  getFileExtension(language) {
-    const extensions = {
-      'javascript': 'js',
-      'typescript': 'ts',
-      'python': 'py',
-      'java': 'java',
-      'c++': 'cpp',
-      'c#': 'cs',
-      'ruby': 'rb',
-      'go': 'go',
-      'rust': 'rs'
-    };
-    return extensions[language?.toLowerCase()] || 'txt';
+  sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(this.createAbortError());
+      };
+      const timer = setTimeout(() => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve();
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
   }
 
   /**
-   * Execute a promise with timeout
+   * Create the error used for cancelled runs
    * @private
    */
-  async executeWithTimeout(promise, timeoutMs) {
-    return Promise.race([
-      promise,
-      new Promise((_, reject) => 
-        setTimeout(() => reject(new Error(`Step timeout after ${timeoutMs}ms`)), timeoutMs)
-      )
-    ]);
+  createAbortError() {
+    const error = new Error('Pipeline cancelled');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
   }
 
   /**
    * Request approval from user (override this in IDE integrations)
    * @private
    */
-  async requestApproval(request) {
+  async requestApproval(request, run = {}) {
+    this.emitEvent('approval:requested', run, { request });
+
     if (this.options.onApprovalRequired) {
       return await this.options.onApprovalRequired(request);
     }
@@ -468,30 +2562,60 @@ class PipelineEngine {
   }
 
   /**
-   * Get list of registered pipelines
+   * Get list of registered pipelines (every version, newest first)
    */
   listPipelines() {
-    return Array.from(this.pipelines.values()).map(p => ({
+    return this.registry.list().map(({ definition: p, deprecated, latest }) => ({
       id: p.id,
       name: p.name,
       description: p.description,
       steps: p.steps.length,
-      version: p.version
+      version: p.version,
+      deprecated,
+      latest
     }));
   }
 
   /**
    * Get a specific pipeline definition
+   * @param {string} pipelineId - `id` (latest version) or `id@range`
    */
   getPipeline(pipelineId) {
-    return this.pipelines.get(pipelineId);
+    return this.registry.resolve(pipelineId);
   }
 
   /**
    * Remove a pipeline
+   * @param {string} pipelineId - `id` (every version) or `id@range`
    */
   unregisterPipeline(pipelineId) {
-    return this.pipelines.delete(pipelineId);
+    return this.registry.remove(pipelineId);
+  }
+
+  /**
+   * Deprecate pipeline versions; runs of them log a warning and carry the
+   * message in `result.deprecated`, and ranges prefer other versions
+   * @param {string} pipelineId - `id` (every version) or `id@range`
+   * @param {string} message - Why, and what to use instead
+   * @returns {PipelineEngine} this (for chaining)
+   */
+  deprecatePipeline(pipelineId, message) {
+    const versions = this.registry.deprecate(pipelineId, message);
+    const { id } = PipelineRegistry.parseReference(pipelineId);
+    this.log(`Deprecated pipeline: ${versions.map(version => `${id}@${version}`).join(', ')}`);
+    return this;
+  }
+
+  /**
+   * Add or replace an action extractor (see ActionExtractorRegistry); register
+   * names that steps refer to in `actions` before their pipelines
+   * @param {string} name - Agent, `agent.method`, or a name for `step.actions`
+   * @param {Function} extractor - `(data, { step, itemIndex, suffix }) => actions`
+   * @returns {PipelineEngine} this (for chaining)
+   */
+  registerActionExtractor(name, extractor) {
+    this.actionExtractors.register(name, extractor);
+    return this;
   }
 
   /**
@@ -505,4 +2629,4 @@ class PipelineEngine {
   }
 }
 
-module.exports = { PipelineEngine };
+module.exports = { PipelineEngine, PIPELINE_EVENTS };
@@ -0,0 +1,142 @@
+/**
+ * RetryPolicy - Decides whether and when a failed agent call is retried
+ *
+ * Policies are built from the engine-wide `retry` option merged with a
+ * step's own `retry` block:
+ *
+ * {
+ *   maxAttempts: 3,                       // total attempts, 1 = no retries
+ *   backoff: { initialDelay: 1000, multiplier: 2, maxDelay: 30000 },
+ *   jitter: 0.2,                          // +/- fraction applied to each delay
+ *   retryOn: ['timeout', 'error', 'unsuccessful']
+ * }
+ *
+ * `retryOn` entries: 'timeout' (step timeout), 'error' (any other thrown
+ * error), 'unsuccessful' (agent returned `success: false`). A function
+ * `(error, result, attempt) => boolean` may be given instead.
+ */
+
+const DEFAULT_RETRY = {
+  maxAttempts: 1,
+  backoff: {
+    initialDelay: 1000,
+    multiplier: 2,
+    maxDelay: 30000
+  },
+  jitter: 0.2,
+  retryOn: ['timeout', 'error']
+};
+
+const RETRY_REASONS = ['timeout', 'error', 'unsuccessful'];
+
+class RetryPolicy {
+  /**
+   * @param {...Object} configs - Retry configs, later ones override earlier ones
+   * @throws {Error} On invalid values (see `validate`)
+   */
+  constructor(...configs) {
+    configs.filter(Boolean).forEach(config => RetryPolicy.validate(config));
+    const merged = configs.filter(Boolean).reduce((policy, config) => ({
+      ...policy,
+      ...config,
+      backoff: typeof config.backoff === 'number'
+        ? { ...policy.backoff, initialDelay: config.backoff }
+        : { ...policy.backoff, ...config.backoff }
+    }), DEFAULT_RETRY);
+
+    this.maxAttempts = merged.maxAttempts;
+    this.backoff = merged.backoff;
+    this.jitter = merged.jitter || 0;
+    this.retryOn = merged.retryOn;
+  }
+
+  /**
+   * Validate a retry config from a pipeline definition or engine options
+   * @param {Object} config - Retry config
+   * @param {string} [owner='RetryPolicy'] - Used in error messages
+   * @throws {Error} On invalid values
+   */
+  static validate(config, owner = 'RetryPolicy') {
+    if (config.maxAttempts !== undefined &&
+        !(Number.isInteger(config.maxAttempts) && config.maxAttempts > 0)) {
+      throw new Error(`${owner} retry.maxAttempts must be a positive integer`);
+    }
+
+    // A number is the initial delay; delays must come out as finite, non-negative ms
+    const { backoff } = config;
+    if (typeof backoff === 'number') {
+      if (!Number.isFinite(backoff) || backoff < 0) {
+        throw new Error(`${owner} retry.backoff must be a non-negative number of ms`);
+      }
+    } else if (backoff !== undefined) {
+      if (!backoff || typeof backoff !== 'object' || Array.isArray(backoff)) {
+        throw new Error(`${owner} retry.backoff must be a number of ms or { initialDelay, multiplier, maxDelay }`);
+      }
+      [['initialDelay', 0], ['multiplier', 1], ['maxDelay', 0]].forEach(([key, min]) => {
+        const value = backoff[key];
+        if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < min)) {
+          throw new Error(`${owner} retry.backoff.${key} must be a number >= ${min}`);
+        }
+      });
+    }
+
+    if (config.jitter !== undefined && (typeof config.jitter !== 'number' || config.jitter < 0 || config.jitter > 1)) {
+      throw new Error(`${owner} retry.jitter must be a number between 0 and 1`);
+    }
+
+    if (Array.isArray(config.retryOn)) {
+      const unknown = config.retryOn.filter(reason => !RETRY_REASONS.includes(reason));
+      if (unknown.length > 0) {
+        throw new Error(`${owner} retry.retryOn has unknown values: ${unknown.join(', ')}`);
+      }
+    } else if (config.retryOn !== undefined && typeof config.retryOn !== 'function') {
+      throw new Error(`${owner} retry.retryOn must be an array or function`);
+    }
+  }
+
+  /**
+   * Classify a failed attempt
+   * @param {Error|null} error - Thrown error, if any
+   * @returns {string} 'timeout' | 'error' | 'unsuccessful'
+   */
+  classify(error) {
+    if (!error) {
+      return 'unsuccessful';
+    }
+    return error.code === 'ETIMEDOUT' ? 'timeout' : 'error';
+  }
+
+  /**
+   * Check whether another attempt should be made
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @param {Error|null} error - Thrown error, if any
+   * @param {Object|null} result - Agent result, if the call returned
+   * @returns {boolean}
+   */
+  shouldRetry(attempt, error, result) {
+    if (attempt >= this.maxAttempts) {
+      return false;
+    }
+
+    if (typeof this.retryOn === 'function') {
+      return Boolean(this.retryOn(error, result, attempt));
+    }
+
+    return this.retryOn.includes(this.classify(error));
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  getDelay(attempt) {
+    const { initialDelay, multiplier, maxDelay } = this.backoff;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(multiplier, attempt - 1));
+    const spread = base * this.jitter * (Math.random() * 2 - 1);
+
+    return Math.max(0, Math.round(base + spread));
+  }
+}
+
+module.exports = { RetryPolicy, DEFAULT_RETRY };
@@ -0,0 +1,123 @@
+/**
+ * StepGraph - Dependency graph for pipeline steps
+ *
+ * Steps declare their dependencies with `dependsOn: [stepIds]`. A step
+ * without `dependsOn` implicitly depends on the step before it, so pipelines
+ * written as a plain list keep running in array order. `dependsOn: []`
+ * marks a step that can start as soon as the pipeline starts.
+ *
+ * @example
+ * const graph = new StepGraph(pipeline.steps);
+ * const ready = graph.getReadySteps(completed, started);
+ */
+class StepGraph {
+  /**
+   * @param {Array<Object>} steps - Pipeline step definitions
+   * @throws {Error} On unknown dependencies or dependency cycles
+   */
+  constructor(steps) {
+    this.steps = steps;
+    this.stepsById = new Map(steps.map(step => [step.id, step]));
+    this.dependencies = new Map();
+
+    steps.forEach((step, index) => {
+      this.dependencies.set(step.id, this.resolveDependencies(step, index));
+    });
+
+    this.order = this.topologicalSort();
+  }
+
+  /**
+   * Resolve the dependency list of a step
+   * @private
+   */
+  resolveDependencies(step, index) {
+    if (step.dependsOn === undefined) {
+      return index > 0 ? [this.steps[index - 1].id] : [];
+    }
+
+    if (!Array.isArray(step.dependsOn)) {
+      throw new Error(`Step ${step.id} dependsOn must be an array of step ids`);
+    }
+
+    step.dependsOn.forEach(depId => {
+      if (!this.stepsById.has(depId)) {
+        throw new Error(`Step ${step.id} depends on unknown step: ${depId}`);
+      }
+      if (depId === step.id) {
+        throw new Error(`Step ${step.id} cannot depend on itself`);
+      }
+    });
+
+    return [...step.dependsOn];
+  }
+
+  /**
+   * Order steps so every step comes after its dependencies
+   * @private
+   */
+  topologicalSort() {
+    const order = [];
+    const state = new Map(); // stepId -> 'visiting' | 'done'
+
+    const visit = (stepId, path) => {
+      if (state.get(stepId) === 'done') {
+        return;
+      }
+      if (state.get(stepId) === 'visiting') {
+        const cycle = [...path.slice(path.indexOf(stepId)), stepId];
+        throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')}`);
+      }
+
+      state.set(stepId, 'visiting');
+      this.dependencies.get(stepId).forEach(depId => visit(depId, [...path, stepId]));
+      state.set(stepId, 'done');
+      order.push(this.stepsById.get(stepId));
+    };
+
+    this.steps.forEach(step => visit(step.id, []));
+
+    return order;
+  }
+
+  /**
+   * Get the ids a step depends on
+   * @param {string} stepId - Step ID
+   * @returns {string[]}
+   */
+  getDependencies(stepId) {
+    return this.dependencies.get(stepId) || [];
+  }
+
+  /**
+   * Get every step a step depends on, directly or transitively
+   * @param {string} stepId - Step ID
+   * @returns {Set<string>}
+   */
+  getAncestors(stepId) {
+    const ancestors = new Set();
+    const visit = (id) => this.getDependencies(id).forEach(depId => {
+      if (!ancestors.has(depId)) {
+        ancestors.add(depId);
+        visit(depId);
+      }
+    });
+    visit(stepId);
+    return ancestors;
+  }
+
+  /**
+   * Get steps whose dependencies are all complete and that have not started
+   * @param {Set<string>} completed - IDs of finished steps
+   * @param {Set<string>} started - IDs of steps already started
+   * @returns {Array<Object>} Steps in topological order
+   */
+  getReadySteps(completed, started) {
+    return this.order.filter(step =>
+      !started.has(step.id) &&
+      this.getDependencies(step.id).every(depId => completed.has(depId))
+    );
+  }
+}
+
+module.exports = { StepGraph };
@@ -0,0 +1,259 @@
+/**
+ * TemplateResolver - Interpolates `{{ ... }}` references in step queries and
+ * declarative step contexts
+ *
+ * References are dotted paths into the run scope:
+ * - `{{context.preferences.language}}` - the execution context
+ * - `{{steps.plan-tasks.data.projectName}}` - an earlier step's result
+ *   (`data`, `success`, `status`, `error`)
+ * - `{{item.title}}` - the current item of a forEach step
+ *
+ * Filters are applied left to right:
+ * - `{{steps.design.data | json}}` - pretty-printed JSON
+ * - `{{context.selection.content | truncate:2000}}` - cap the length
+ * - `{{context.preferences.framework | default:Node.js}}` - fallback for
+ *   missing values (`default:` falls back to an empty string)
+ *
+ * A reference that resolves to `undefined` and has no `default` is an error,
+ * except under a dry-run step result (`stub: true`), whose data is only a
+ * placeholder: those resolve to a `<steps.plan.data.tasks>` marker.
+ * A string consisting of a single reference keeps the referenced value's type,
+ * so `{ plan: '{{steps.plan-tasks.data}}' }` passes the object through.
+ *
+ * Values can also be `{ $expr: '...' }` objects, evaluated with
+ * ExpressionEvaluator over the same scope
+ * (`{ $expr: "context.preferences.language || 'JavaScript'" }`). Those never
+ * throw on missing values; they resolve to `undefined`.
+ */
+
+const { ExpressionEvaluator } = require('./ExpressionEvaluator');
+
+const EXPRESSION = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const ROOTS = ['context', 'steps', 'item'];
+
+const FILTERS = {
+  json: (value) => (value === undefined ? undefined : JSON.stringify(value, null, 2)),
+  truncate: (value, arg) => {
+    const limit = Number(arg);
+    if (value === undefined) return undefined;
+    const text = stringify(value);
+    return text.length > limit ? `${text.slice(0, limit)}...` : text;
+  },
+  default: (value, arg) => (value === undefined || value === null ? arg : value)
+};
+
+/**
+ * Convert a resolved value to text for interpolation
+ * @private
+ */
+function stringify(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Read an own property (missing values and prototype members such as
+ * `constructor` or `__proto__` are undefined)
+ * @private
+ */
+function read(value, key) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  const target = Object(value);
+  return Object.prototype.hasOwnProperty.call(target, key) ? target[key] : undefined;
+}
+
+class TemplateResolver {
+  /**
+   * @param {ExpressionEvaluator} [expressions] - Evaluator for `$expr` values
+   */
+  constructor(expressions = new ExpressionEvaluator()) {
+    this.expressions = expressions;
+  }
+
+  /**
+   * Check whether a value is an `{ $expr }` object
+   * @param {*} value - Any value
+   * @returns {boolean}
+   */
+  static isExpression(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).length === 1 && typeof value.$expr === 'string';
+  }
+
+  /**
+   * Parse the references in a template string
+   * @param {string} template - Template string
+   * @returns {Array<Object>} { raw, path, root, filters: [{ name, arg }], optional }
+   * @throws {Error} On unknown filters or invalid filter arguments
+   */
+  parse(template) {
+    if (typeof template !== 'string') {
+      return [];
+    }
+
+    return Array.from(template.matchAll(EXPRESSION), ([raw, body]) => {
+      const [path, ...filterParts] = body.split('|').map(part => part.trim());
+      const filters = filterParts.map(part => {
+        const separator = part.indexOf(':');
+        const name = separator === -1 ? part : part.slice(0, separator).trim();
+        const arg = separator === -1 ? undefined : part.slice(separator + 1).trim().replace(/^(['"])(.*)\1$/, '$2');
+
+        if (!Object.prototype.hasOwnProperty.call(FILTERS, name)) {
+          throw new Error(`Unknown template filter "${name}" in ${raw}`);
+        }
+        if (name === 'truncate' && !(Number.isInteger(Number(arg)) && Number(arg) > 0)) {
+          throw new Error(`Template filter truncate needs a positive length in ${raw}`);
+        }
+        return { name, arg };
+      });
+
+      const optional = filters.some(filter => filter.name === 'default');
+      return { raw, path, root: path.split('.')[0], filters, optional };
+    });
+  }
+
+  /**
+   * Collect every reference in a string or (nested) object of strings
+   * @param {*} value - Template string or object
+   * @returns {Array<Object>} Parsed references (`$expr` paths have no filters)
+   * @throws {Error} On malformed templates or expressions
+   */
+  references(value) {
+    if (typeof value === 'string') {
+      return this.parse(value);
+    }
+    if (TemplateResolver.isExpression(value)) {
+      return this.expressions.references(value.$expr).map(ref => ({ ...ref, filters: [] }));
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).flatMap(child => this.references(child));
+    }
+    return [];
+  }
+
+  /**
+   * Check whether a value contains any template references
+   * @param {*} value - Template string or object
+   * @returns {boolean}
+   */
+  hasReferences(value) {
+    if (TemplateResolver.isExpression(value)) {
+      return true;
+    }
+    if (value && typeof value === 'object') {
+      return Object.values(value).some(child => this.hasReferences(child));
+    }
+    return this.parse(value).length > 0;
+  }
+
+  /**
+   * Resolve templates in a string or (nested) object of strings
+   * @param {*} value - Template string or object
+   * @param {Object} scope - { context, steps, item }
+   * @returns {*} Resolved value
+   * @throws {Error} On unresolved references
+   */
+  resolve(value, scope) {
+    if (typeof value === 'string') {
+      return this.resolveString(value, scope);
+    }
+    if (TemplateResolver.isExpression(value)) {
+      return this.expressions.evaluate(value.$expr, scope);
+    }
+    if (Array.isArray(value)) {
+      return value.map(child => this.resolve(child, scope));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, child]) => [key, this.resolve(child, scope)])
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Resolve templates in a string (or `$expr` object) to text
+   * @param {string|Object} template - Template string or `$expr` object
+   * @param {Object} scope - { context, steps, item }
+   * @returns {string}
+   */
+  render(template, scope) {
+    return stringify(this.resolve(template, scope));
+  }
+
+  /**
+   * Build the template scope for a step
+   * @param {Array<Object>} previousResults - Results of steps run so far
+   * @param {Object} context - Execution context
+   * @returns {Object} { context, steps, item, stubs? }
+   */
+  createScope(previousResults, context) {
+    const steps = {};
+    const stubs = previousResults.filter(result => result.stub).map(result => result.stepId);
+    previousResults.forEach(result => {
+      steps[result.stepId] = {
+        data: result.data,
+        success: result.success,
+        status: result.status,
+        error: result.error
+      };
+    });
+
+    return { context, steps, item: context.item, ...(stubs.length > 0 && { stubs }) };
+  }
+
+  /**
+   * @private
+   */
+  resolveString(template, scope) {
+    const expressions = this.parse(template);
+    if (expressions.length === 0) {
+      return template;
+    }
+
+    // A lone reference keeps its type (objects, numbers, ...)
+    if (expressions.length === 1 && expressions[0].raw === template.trim()) {
+      return this.evaluate(expressions[0], scope);
+    }
+
+    let index = 0;
+    return template.replace(EXPRESSION, () => stringify(this.evaluate(expressions[index++], scope)));
+  }
+
+  /**
+   * @private
+   */
+  evaluate(expression, scope) {
+    const value = expression.filters.reduce(
+      (current, filter) => FILTERS[filter.name](current, filter.arg === undefined ? '' : filter.arg),
+      this.lookup(scope, expression.path)
+    );
+
+    if (value === undefined) {
+      const [root, stepId] = expression.path.split('.');
+      if (root === 'steps' && scope.stubs && scope.stubs.includes(stepId)) {
+        return `<${expression.path}>`;
+      }
+      throw new Error(`Unresolved template reference ${expression.raw}`);
+    }
+    return value;
+  }
+
+  /**
+   * @private
+   */
+  lookup(scope, path) {
+    const [root, ...keys] = path.split('.');
+    if (!ROOTS.includes(root)) {
+      return undefined;
+    }
+
+    return keys.reduce(read, scope[root]);
+  }
+}
+
+module.exports = { TemplateResolver, TEMPLATE_ROOTS: ROOTS };
@@ -0,0 +1,200 @@
+/**
+ * CommandRunner - Runs shell commands for local pipeline steps
+ *
+ * Commands run in a child process with:
+ * - a working directory confined to the workspace root
+ * - a minimal environment (PATH, HOME, locale, ...) plus explicit `env`
+ *   entries, unless `inheritEnv` is set
+ * - no stdin, a timeout and cancellation via AbortSignal
+ * - stdout/stderr captured up to `maxOutput` bytes each
+ *
+ * The runner does not apply policy; PipelineEngine authorizes every command
+ * before it gets here.
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+const SAFE_ENV_KEYS = [
+  'PATH', 'HOME', 'USER', 'SHELL', 'LANG', 'LC_ALL', 'TERM', 'TMPDIR',
+  // Needed for cmd.exe on Windows
+  'SystemRoot', 'ComSpec', 'PATHEXT'
+];
+
+const DEFAULT_MAX_OUTPUT = 1024 * 1024;
+const KILL_GRACE_PERIOD = 2000;
+
+class CommandRunner {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root] - Workspace root commands are confined to
+   * @param {number} [options.maxOutput] - Max bytes captured per stream
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.maxOutput = options.maxOutput || DEFAULT_MAX_OUTPUT;
+  }
+
+  /**
+   * Resolve a working directory inside the workspace root
+   * @param {string} [cwd] - Directory, relative to the root
+   * @returns {string} Absolute path
+   * @throws {Error} When the directory escapes the root
+   */
+  resolveCwd(cwd) {
+    const resolved = path.resolve(this.root, cwd || '.');
+    const relative = path.relative(this.root, resolved);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Working directory ${cwd} is outside the workspace root ${this.root}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Build the child environment
+   * @param {Object} [env] - Extra variables
+   * @param {boolean} [inheritEnv] - Pass the full parent environment
+   * @returns {Object}
+   */
+  buildEnv(env = {}, inheritEnv = false) {
+    const base = inheritEnv
+      ? { ...process.env }
+      : Object.fromEntries(SAFE_ENV_KEYS.filter(key => process.env[key] !== undefined)
+        .map(key => [key, process.env[key]]));
+    return { ...base, ...env };
+  }
+
+  /**
+   * Run a command
+   * @param {string} command - Shell command
+   * @param {Object} [options]
+   * @param {string} [options.cwd] - Working directory, relative to the root
+   * @param {Object} [options.env] - Extra environment variables
+   * @param {boolean} [options.inheritEnv] - Pass the full parent environment
+   * @param {number} [options.timeout] - Kill the command after this many ms
+   * @param {AbortSignal} [options.signal] - Kills the command when aborted
+   * @returns {Promise<Object>} { command, cwd, exitCode, signal, stdout, stderr,
+   *   truncated, timedOut, duration }
+   */
+  run(command, options = {}) {
+    const cwd = this.resolveCwd(options.cwd);
+    const env = this.buildEnv(options.env, options.inheritEnv);
+    const startTime = Date.now();
+
+    return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(this.createAbortError());
+        return;
+      }
+
+      // Own process group (POSIX) so the whole command tree can be killed
+      const child = spawn(command, {
+        cwd,
+        env,
+        shell: true,
+        detached: process.platform !== 'win32',
+        stdio: ['ignore', 'pipe', 'pipe']
+      });
+      const output = { stdout: '', stderr: '' };
+      let truncated = false;
+      let timedOut = false;
+      let aborted = false;
+      let killTimer = null;
+
+      const capture = (stream) => (chunk) => {
+        const room = this.maxOutput - Buffer.byteLength(output[stream]);
+        if (room <= 0) {
+          truncated = true;
+          return;
+        }
+        const text = chunk.toString();
+        if (Buffer.byteLength(text) > room) {
+          truncated = true;
+          output[stream] += Buffer.from(text).subarray(0, room).toString();
+        } else {
+          output[stream] += text;
+        }
+      };
+      child.stdout.on('data', capture('stdout'));
+      child.stderr.on('data', capture('stderr'));
+
+      const terminate = () => {
+        this.kill(child, 'SIGTERM');
+        killTimer = setTimeout(() => this.kill(child, 'SIGKILL'), KILL_GRACE_PERIOD);
+      };
+
+      const timer = options.timeout ? setTimeout(() => {
+        timedOut = true;
+        terminate();
+      }, options.timeout) : null;
+
+      const onAbort = () => {
+        aborted = true;
+        terminate();
+      };
+      if (options.signal) {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      const cleanup = () => {
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        if (options.signal) {
+          options.signal.removeEventListener('abort', onAbort);
+        }
+      };
+
+      child.on('error', (error) => {
+        cleanup();
+        reject(error);
+      });
+
+      child.on('close', (exitCode, exitSignal) => {
+        cleanup();
+        if (aborted) {
+          reject(this.createAbortError());
+          return;
+        }
+        resolve({
+          command,
+          cwd,
+          exitCode,
+          signal: exitSignal,
+          stdout: output.stdout,
+          stderr: output.stderr,
+          truncated,
+          timedOut,
+          duration: Date.now() - startTime
+        });
+      });
+    });
+  }
+
+  /**
+   * Signal a command and everything it started
+   * @private
+   */
+  kill(child, signal) {
+    try {
+      if (process.platform !== 'win32') {
+        process.kill(-child.pid, signal);
+      } else {
+        child.kill(signal);
+      }
+    } catch (error) {
+      // Already exited
+    }
+  }
+
+  /**
+   * @private
+   */
+  createAbortError() {
+    const error = new Error('Command aborted');
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+  }
+}
+
+module.exports = { CommandRunner };
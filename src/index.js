@@ -5,14 +5,83 @@
  * @module @smartledger/schema-icu-ide-core
  */
 
-const { PipelineEngine } = require('./engine/PipelineEngine');
+const { PipelineEngine, PIPELINE_EVENTS } = require('./engine/PipelineEngine');
 const { PolicyEngine } = require('./policy/PolicyEngine');
+const { FileCheckpointStore, MemoryCheckpointStore } = require('./checkpoint/CheckpointStore');
+const { FileResponseCache, MemoryResponseCache, responseCacheKey } = require('./cache/ResponseCache');
+const { SignatureVerifier } = require('./verification/SignatureVerifier');
+const { RunManifest } = require('./verification/RunManifest');
+const { AgentScheduler, PRIORITIES } = require('./scheduler/AgentScheduler');
+const { PipelineRegistry } = require('./registry/PipelineRegistry');
+const { SemVer } = require('./registry/SemVer');
+const { PipelineLoader } = require('./loader/PipelineLoader');
+const { ExpressionEvaluator, EXPRESSION_FUNCTIONS } = require('./engine/ExpressionEvaluator');
+const { PipelineAnalyzer, AGENT_METHODS, INPUT_SOURCES } = require('./analysis/PipelineAnalyzer');
+const { ActionExecutor, ACTION_TYPES } = require('./actions/ActionExecutor');
+const { ActionExtractorRegistry, BUILT_IN_EXTRACTORS } = require('./actions/ActionExtractorRegistry');
+const { UnifiedDiff } = require('./diff/UnifiedDiff');
+const { SnapshotStore, SNAPSHOT_MODES } = require('./workspace/SnapshotStore');
+const { FixtureStore } = require('./replay/FixtureStore');
+const { RecordingClient } = require('./replay/RecordingClient');
+const { ReplayClient } = require('./replay/ReplayClient');
 const pipelines = require('./pipelines');
 
 module.exports = {
   // Core classes
   PipelineEngine,
   PolicyEngine,
+  PIPELINE_EVENTS,
+  
+  // Versioned pipeline registry
+  PipelineRegistry,
+  SemVer,
+  
+  // Declarative (YAML/JSON) pipelines
+  PipelineLoader,
+  ExpressionEvaluator,
+  EXPRESSION_FUNCTIONS,
+  
+  // Static analysis
+  PipelineAnalyzer,
+  AGENT_METHODS,
+  INPUT_SOURCES,
+  
+  // Applying collected actions
+  ActionExecutor,
+  ACTION_TYPES,
+  
+  // Turning agent output into actions
+  ActionExtractorRegistry,
+  BUILT_IN_EXTRACTORS,
+  
+  // Unified diffs
+  UnifiedDiff,
+  
+  // Workspace snapshots and rollback
+  SnapshotStore,
+  SNAPSHOT_MODES,
+  
+  // Checkpoint stores
+  FileCheckpointStore,
+  MemoryCheckpointStore,
+  
+  // Agent call scheduling
+  AgentScheduler,
+  PRIORITIES,
+  
+  // Response caches
+  FileResponseCache,
+  MemoryResponseCache,
+  responseCacheKey,
+  
+  // Response signature verification and run manifests
+  SignatureVerifier,
+  RunManifest,
+  
+  // Record-and-replay agent clients
+  FixtureStore,
+  RecordingClient,
+  ReplayClient,
   
   // Built-in pipelines
   pipelines,
@@ -20,5 +89,6 @@ module.exports = {
   // Convenience exports
   implementFeature: pipelines.implementFeature,
   fixTests: pipelines.fixTests,
-  newService: pipelines.newService
+  newService: pipelines.newService,
+  improveAndDiff: pipelines.improveAndDiff
 };
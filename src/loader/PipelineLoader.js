@@ -0,0 +1,243 @@
+/**
+ * PipelineLoader - Declarative pipelines from YAML or JSON
+ *
+ * A declarative pipeline is a plain-data pipeline definition: no
+ * `contextBuilder`, `resultTransform`, `run` or other functions, so it can be
+ * shared, stored and loaded from untrusted sources. Data flows through
+ * templates and `$expr` expressions (see TemplateResolver and
+ * ExpressionEvaluator):
+ *
+ *   id: summarize
+ *   version: 1.0.0
+ *   name: Summarize
+ *   steps:
+ *     - id: plan
+ *       agent: projectPlanner
+ *       method: plan
+ *       inputFrom: user
+ *     - id: generate
+ *       agent: codeGenerator
+ *       method: generate
+ *       inputFrom: context
+ *       query: 'Implement {{steps.plan.data.projectName}}'
+ *       context:
+ *         language: { $expr: "context.preferences.language || 'JavaScript'" }
+ *       when: { $expr: 'steps.plan.data.tasks | length > 0' }
+ *
+ * YAML is read with the core schema (no custom tags). Loading checks field
+ * names and expression syntax and reports errors with the source and step;
+ * the engine validates the rest on `registerPipeline`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { ExpressionEvaluator } = require('../engine/ExpressionEvaluator');
+const { TemplateResolver } = require('../engine/TemplateResolver');
+
+const PIPELINE_FIELDS = [
+  'id', 'version', 'name', 'description', 'author', 'tags', 'requiredTier', 'deprecated',
+  'steps', 'defaultContext', 'requiresApproval', 'timeout', 'maxParallelism', 'budget'
+];
+
+const STEP_FIELDS = [
+  'id', 'name', 'description', 'agent', 'method', 'inputFrom', 'query', 'context',
+  'validation', 'requiresApproval', 'timeout', 'continueOnError', 'dependsOn', 'when', 'unless',
+  'forEach', 'retry', 'cache', 'pipeline', 'inputMap', 'outputMap', 'exec', 'cwd', 'env',
+  'inheritEnv', 'successExitCodes', 'actions'
+];
+
+// Fields that only exist as JavaScript functions, with their declarative replacement
+const FUNCTION_FIELDS = {
+  contextBuilder: 'use `context` with templates or { $expr } values',
+  resultTransform: 'reshape the data where it is used, with templates or { $expr } values',
+  run: 'use `exec` for local commands'
+};
+
+const FORMATS = {
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.json': 'json'
+};
+
+class PipelineLoader {
+  /**
+   * @param {Object} [options]
+   * @param {ExpressionEvaluator} [options.expressions] - Evaluator used to check `$expr` syntax
+   */
+  constructor(options = {}) {
+    this.expressions = options.expressions || new ExpressionEvaluator();
+  }
+
+  /**
+   * Format of a pipeline file from its extension
+   * @param {string} filePath - File path
+   * @returns {string|null} 'yaml', 'json' or null
+   */
+  static formatOf(filePath) {
+    return FORMATS[path.extname(filePath).toLowerCase()] || null;
+  }
+
+  /**
+   * Serialize a definition as YAML or JSON
+   * @param {Object} definition - Pipeline definition
+   * @param {string} [format='yaml'] - 'yaml' or 'json'
+   * @returns {string}
+   * @throws {Error} When the definition holds functions
+   */
+  static serialize(definition, format = 'yaml') {
+    const findFunction = (value, trail) => {
+      if (typeof value === 'function') {
+        return trail;
+      }
+      if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+          const found = findFunction(child, Array.isArray(value) ? `${trail}[${key}]` : `${trail}.${key}`);
+          if (found) {
+            return found;
+          }
+        }
+      }
+      return null;
+    };
+    const functionPath = findFunction(definition, definition.id || 'pipeline');
+    if (functionPath) {
+      throw new Error(`Cannot serialize ${functionPath}: functions have no declarative form`);
+    }
+
+    if (format === 'json') {
+      return `${JSON.stringify(definition, null, 2)}\n`;
+    }
+    if (format === 'yaml') {
+      return yaml.dump(definition, { schema: yaml.CORE_SCHEMA, lineWidth: 100, noRefs: true });
+    }
+    throw new Error(`Unknown pipeline format: ${format} (use yaml or json)`);
+  }
+
+  /**
+   * Parse and compile pipeline text
+   * @param {string} text - YAML or JSON
+   * @param {Object} [options]
+   * @param {string} [options.format='yaml'] - 'yaml' or 'json' (YAML also reads JSON)
+   * @param {string} [options.source='<inline>'] - Name used in error messages
+   * @returns {Object} Pipeline definition
+   * @throws {Error} On syntax errors and invalid definitions
+   */
+  load(text, options = {}) {
+    const { format = 'yaml', source = '<inline>' } = options;
+
+    let document;
+    try {
+      if (format === 'json') {
+        document = JSON.parse(text);
+      } else if (format === 'yaml') {
+        document = yaml.load(text, { schema: yaml.CORE_SCHEMA, filename: source });
+      } else {
+        throw new Error(`Unknown pipeline format: ${format} (use yaml or json)`);
+      }
+    } catch (error) {
+      throw new Error(`${source}: ${error.message}`);
+    }
+
+    return this.compile(document, source);
+  }
+
+  /**
+   * Load a pipeline file (`.yaml`, `.yml` or `.json`)
+   * @param {string} filePath - File path
+   * @returns {Object} Pipeline definition
+   * @throws {Error} On unknown extensions, read errors and invalid definitions
+   */
+  loadFile(filePath) {
+    const format = PipelineLoader.formatOf(filePath);
+    if (!format) {
+      throw new Error(`${filePath}: pipeline files must end in ${Object.keys(FORMATS).join(', ')}`);
+    }
+    return this.load(fs.readFileSync(filePath, 'utf-8'), { format, source: filePath });
+  }
+
+  /**
+   * Check a parsed document and turn it into a runtime definition
+   * @param {*} document - Parsed YAML or JSON
+   * @param {string} [source='<inline>'] - Name used in error messages
+   * @returns {Object} Pipeline definition
+   * @throws {Error} On invalid definitions
+   */
+  compile(document, source = '<inline>') {
+    const fail = message => {
+      throw new Error(`${source}: ${message}`);
+    };
+
+    if (!isPlainObject(document)) {
+      fail('a pipeline must be an object');
+    }
+    this.checkFields(document, PIPELINE_FIELDS, 'pipeline', fail);
+
+    ['id', 'name'].forEach(key => {
+      if (typeof document[key] !== 'string' || !document[key]) {
+        fail(`pipeline ${key} must be a non-empty string`);
+      }
+    });
+    if (typeof document.version !== 'string') {
+      // YAML reads `version: 1.0` as a number
+      fail(`pipeline version must be a string like "1.0.0"${document.version === undefined ? '' : ' (quote it in YAML)'}`);
+    }
+    if (!Array.isArray(document.steps) || document.steps.length === 0) {
+      fail('pipeline steps must be a non-empty list');
+    }
+
+    const steps = document.steps.map((step, index) => {
+      if (!isPlainObject(step)) {
+        fail(`step ${index} must be an object`);
+      }
+      const label = `step ${step.id || index}`;
+      this.checkFields(step, STEP_FIELDS, label, fail);
+      this.checkExpressions(step, label, fail);
+      return { ...step };
+    });
+
+    return { ...document, steps };
+  }
+
+  /**
+   * Reject unknown and function-only fields
+   * @private
+   */
+  checkFields(object, allowed, label, fail) {
+    Object.keys(object).forEach(key => {
+      if (FUNCTION_FIELDS[key]) {
+        fail(`${label}: ${key} needs JavaScript and isn't supported in declarative pipelines; ${FUNCTION_FIELDS[key]}`);
+      }
+      if (!allowed.includes(key)) {
+        fail(`${label}: unknown field "${key}"`);
+      }
+    });
+  }
+
+  /**
+   * Parse every `$expr` in a step so syntax errors point at the file
+   * @private
+   */
+  checkExpressions(value, label, fail) {
+    if (TemplateResolver.isExpression(value)) {
+      try {
+        this.expressions.parse(value.$expr);
+      } catch (error) {
+        fail(`${label}: ${error.message}`);
+      }
+    } else if (isPlainObject(value) && Object.prototype.hasOwnProperty.call(value, '$expr')) {
+      fail(`${label}: { $expr } must have a single string value`);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(child => this.checkExpressions(child, label, fail));
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { PipelineLoader };
@@ -0,0 +1,12 @@
+/**
+ * Improve and Diff Pipeline
+ *
+ * Declared in improve-and-diff.yaml (see PipelineLoader).
+ */
+
+const path = require('path');
+const { PipelineLoader } = require('../loader/PipelineLoader');
+
+const improveAndDiff = new PipelineLoader().loadFile(path.join(__dirname, 'improve-and-diff.yaml'));
+
+module.exports = improveAndDiff;
@@ -6,14 +6,17 @@
 const implementFeature = require('./implement-feature');
 const fixTests = require('./fix-tests');
 const newService = require('./new-service');
+const improveAndDiff = require('./improve-and-diff');
 
 module.exports = {
   implementFeature,
   fixTests,
   newService,
+  improveAndDiff,
   
-  // Array of all pipelines for easy iteration
+  // Array of all pipelines for easy iteration (sub-pipelines first)
   all: [
+    improveAndDiff,
     implementFeature,
     fixTests,
     newService
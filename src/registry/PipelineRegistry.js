@@ -0,0 +1,210 @@
+/**
+ * PipelineRegistry - Pipeline definitions kept per id and semver version
+ *
+ * Pipelines are referenced as `id` (latest version) or `id@range`
+ * (`implement-feature@^1.0`, `fix-tests@1.2.3`, see SemVer). Registering a
+ * new version keeps the older ones; registering the same version again
+ * replaces it.
+ *
+ * Versions can be deprecated, with a message, through `deprecate()` or a
+ * `deprecated` field on the definition. Deprecated versions are only picked
+ * when no other version matches the reference.
+ */
+
+const { SemVer } = require('./SemVer');
+
+class PipelineRegistry {
+  constructor() {
+    // id -> Map(version -> { definition, deprecated })
+    this.pipelines = new Map();
+  }
+
+  /**
+   * Split a pipeline reference
+   * @param {string} reference - `id` or `id@range`
+   * @returns {Object} { id, range } (range is null without `@`)
+   * @throws {Error} On invalid ranges
+   */
+  static parseReference(reference) {
+    if (typeof reference !== 'string' || !reference) {
+      throw new Error(`Invalid pipeline reference: ${reference}`);
+    }
+
+    const at = reference.indexOf('@', 1);
+    if (at === -1) {
+      return { id: reference, range: null };
+    }
+
+    const id = reference.slice(0, at);
+    const range = reference.slice(at + 1).trim();
+    if (!range || !SemVer.validRange(range)) {
+      throw new Error(`Invalid version range in pipeline reference: ${reference}`);
+    }
+    return { id, range };
+  }
+
+  /**
+   * Add a definition (replaces the same id and version)
+   * @param {Object} definition - Pipeline definition with `id` and `version`
+   * @returns {boolean} Whether an existing version was replaced
+   * @throws {Error} When the version isn't valid semver
+   */
+  add(definition) {
+    if (!SemVer.valid(definition.version)) {
+      throw new Error(
+        `Pipeline ${definition.id} version must be a semver version (e.g. 1.0.0), got: ${definition.version}`
+      );
+    }
+    if (definition.deprecated !== undefined && typeof definition.deprecated !== 'string') {
+      throw new Error(`Pipeline ${definition.id} deprecated must be a message string`);
+    }
+
+    if (!this.pipelines.has(definition.id)) {
+      this.pipelines.set(definition.id, new Map());
+    }
+    const versions = this.pipelines.get(definition.id);
+    const replaced = versions.has(definition.version);
+    versions.set(definition.version, { definition, deprecated: definition.deprecated || null });
+    return replaced;
+  }
+
+  /**
+   * Remove versions
+   * @param {string} reference - `id` (every version) or `id@range`
+   * @returns {boolean} Whether anything was removed
+   */
+  remove(reference) {
+    const { id, range } = PipelineRegistry.parseReference(reference);
+    const versions = this.pipelines.get(id);
+    if (!versions) {
+      return false;
+    }
+
+    const matching = this.matchVersions(id, range);
+    matching.forEach(version => versions.delete(version));
+    if (versions.size === 0) {
+      this.pipelines.delete(id);
+    }
+    return matching.length > 0;
+  }
+
+  /**
+   * Resolve a reference to a definition
+   *
+   * Picks the highest matching version that isn't deprecated, else the
+   * highest deprecated one. A bare id prefers stable versions over
+   * prereleases.
+   * @param {string} reference - `id` or `id@range`
+   * @returns {Object|undefined} Pipeline definition
+   */
+  resolve(reference) {
+    const { id, range } = PipelineRegistry.parseReference(reference);
+    const versions = this.pipelines.get(id);
+    if (!versions) {
+      return undefined;
+    }
+
+    const rank = version => [
+      versions.get(version).deprecated ? 0 : 1,
+      range || SemVer.parse(version).prerelease.length > 0 ? 0 : 1
+    ];
+    const [best] = this.matchVersions(id, range).sort((a, b) => {
+      const [deprecatedA, stableA] = rank(a);
+      const [deprecatedB, stableB] = rank(b);
+      return (deprecatedB - deprecatedA) || (stableB - stableA) || SemVer.compare(b, a);
+    });
+    return best === undefined ? undefined : versions.get(best).definition;
+  }
+
+  /**
+   * Deprecate versions
+   * @param {string} reference - `id` (every version) or `id@range`
+   * @param {string} message - Shown whenever a deprecated version runs
+   * @returns {string[]} Versions deprecated
+   * @throws {Error} When nothing matches
+   */
+  deprecate(reference, message) {
+    if (typeof message !== 'string' || !message) {
+      throw new Error('A deprecation message is required');
+    }
+    const { id, range } = PipelineRegistry.parseReference(reference);
+    const matching = this.matchVersions(id, range);
+    if (matching.length === 0) {
+      throw new Error(`Pipeline not found: ${reference}`);
+    }
+    matching.forEach(version => {
+      this.pipelines.get(id).get(version).deprecated = message;
+    });
+    return matching;
+  }
+
+  /**
+   * Deprecation message of a version
+   * @param {string} id - Pipeline id
+   * @param {string} version - Exact version
+   * @returns {string|null}
+   */
+  getDeprecation(id, version) {
+    const entry = this.pipelines.has(id) && this.pipelines.get(id).get(version);
+    return entry ? entry.deprecated : null;
+  }
+
+  /**
+   * Registered versions of a pipeline, newest first
+   * @param {string} id - Pipeline id
+   * @returns {string[]}
+   */
+  versions(id) {
+    return this.matchVersions(id, null).sort((a, b) => SemVer.compare(b, a));
+  }
+
+  /**
+   * Every registered version, by id then newest first
+   * @returns {Object[]} { definition, deprecated, latest }
+   */
+  list() {
+    return Array.from(this.pipelines.keys()).sort().flatMap(id => {
+      const latest = this.resolve(id);
+      return this.versions(id).map(version => ({
+        ...this.pipelines.get(id).get(version),
+        latest: this.pipelines.get(id).get(version).definition === latest
+      }));
+    });
+  }
+
+  /**
+   * Every registered definition (all versions)
+   * @returns {Object[]}
+   */
+  definitions() {
+    return Array.from(this.pipelines.values()).flatMap(versions =>
+      Array.from(versions.values()).map(entry => entry.definition));
+  }
+
+  /**
+   * Copy of the registry (definitions are shared)
+   * @returns {PipelineRegistry}
+   */
+  clone() {
+    const copy = new PipelineRegistry();
+    this.pipelines.forEach((versions, id) => {
+      copy.pipelines.set(id, new Map(Array.from(versions, ([version, entry]) => [version, { ...entry }])));
+    });
+    return copy;
+  }
+
+  /**
+   * Versions of a pipeline in a range (all of them without one)
+   * @private
+   */
+  matchVersions(id, range) {
+    const versions = this.pipelines.get(id);
+    if (!versions) {
+      return [];
+    }
+    const all = Array.from(versions.keys());
+    return range ? all.filter(version => SemVer.satisfies(version, range)) : all;
+  }
+}
+
+module.exports = { PipelineRegistry };
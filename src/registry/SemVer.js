@@ -0,0 +1,242 @@
+/**
+ * SemVer - Semantic version parsing, ordering and range matching
+ *
+ * Covers the npm range syntax teams use to pin pipelines:
+ * - exact and partial versions: `1.2.3`, `1.2`, `1`, `1.x`, `*`
+ * - caret and tilde: `^1.2.0`, `^0.3`, `~1.2`
+ * - comparators: `>=1.2.0 <2.0.0` (space = and)
+ * - alternatives: `^1.0 || ^2.0`
+ *
+ * As in npm, a prerelease (`2.0.0-beta.1`) only satisfies a range that names
+ * a prerelease of the same `major.minor.patch`.
+ */
+
+const VERSION_PATTERN = /^v?(0|[1-9]\d*)\.(0|[1-9]\d*)\.(0|[1-9]\d*)(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*])(?:\.(\d+|[xX*])(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?)?)?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=|\^|~)?(.*)$/;
+
+/**
+ * Compare prerelease identifier lists (none ranks above any)
+ * @private
+ */
+function comparePrerelease(a, b) {
+  if (a.length === 0 || b.length === 0) {
+    return a.length === b.length ? 0 : (a.length === 0 ? 1 : -1);
+  }
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) {
+      return -1;
+    }
+    if (b[i] === undefined) {
+      return 1;
+    }
+    const numericA = /^\d+$/.test(a[i]);
+    const numericB = /^\d+$/.test(b[i]);
+    if (numericA && numericB) {
+      const diff = Number(a[i]) - Number(b[i]);
+      if (diff !== 0) {
+        return Math.sign(diff);
+      }
+    } else if (numericA !== numericB) {
+      // Numeric identifiers rank below alphanumeric ones
+      return numericA ? -1 : 1;
+    } else if (a[i] !== b[i]) {
+      return a[i] < b[i] ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Comparator tuple from version parts
+ * @private
+ */
+function bound(op, major, minor, patch, prerelease = []) {
+  return { op, version: { major, minor, patch, prerelease } };
+}
+
+/**
+ * Desugar one comparator (`^1.2`, `>=1.0.0`, `1.x`...) into primitive bounds
+ * @private
+ */
+function desugar(comparator, range) {
+  const [, op = '', rest] = comparator.match(COMPARATOR_PATTERN);
+  const match = rest.match(PARTIAL_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid version range: ${range}`);
+  }
+
+  const wild = part => part === undefined || /^[xX*]$/.test(part);
+  const [major, minor, patch] = [match[1], match[2], match[3]].map(part => (wild(part) ? null : Number(part)));
+  const prerelease = match[4] ? match[4].split('.') : [];
+  // Parts after a wildcard are wildcards too
+  const M = major;
+  const m = M === null ? null : minor;
+  const p = m === null ? null : patch;
+
+  if (M === null) {
+    // `*`, `x`, `>=*`: anything; `<*` / `>*`: nothing
+    return op === '<' || op === '>' ? [bound('<', 0, 0, 0)] : [];
+  }
+
+  const lower = bound('>=', M, m || 0, p || 0, prerelease);
+
+  switch (op) {
+    case '^':
+      if (M > 0 || m === null) {
+        return [lower, bound('<', M + 1, 0, 0)];
+      }
+      if (m > 0 || p === null) {
+        return [lower, bound('<', 0, m + 1, 0)];
+      }
+      return [lower, bound('<', 0, 0, p + 1)];
+    case '~':
+      return m === null ? [lower, bound('<', M + 1, 0, 0)] : [lower, bound('<', M, m + 1, 0)];
+    case '>':
+      if (p !== null) {
+        return [bound('>', M, m, p, prerelease)];
+      }
+      return [m === null ? bound('>=', M + 1, 0, 0) : bound('>=', M, m + 1, 0)];
+    case '>=':
+      return [lower];
+    case '<':
+      return [bound('<', M, m || 0, p || 0, prerelease)];
+    case '<=':
+      if (p !== null) {
+        return [bound('<=', M, m, p, prerelease)];
+      }
+      return [m === null ? bound('<', M + 1, 0, 0) : bound('<', M, m + 1, 0)];
+    default:
+      // Exact or X-range
+      if (p !== null) {
+        return [bound('=', M, m, p, prerelease)];
+      }
+      return [lower, m === null ? bound('<', M + 1, 0, 0) : bound('<', M, m + 1, 0)];
+  }
+}
+
+class SemVer {
+  /**
+   * Parse a full version (`1.2.3`, `1.2.3-beta.1`, build metadata ignored)
+   * @param {string} version - Version string
+   * @returns {Object|null} { major, minor, patch, prerelease } or null if invalid
+   */
+  static parse(version) {
+    const match = typeof version === 'string' && version.trim().match(VERSION_PATTERN);
+    if (!match) {
+      return null;
+    }
+    return {
+      major: Number(match[1]),
+      minor: Number(match[2]),
+      patch: Number(match[3]),
+      prerelease: match[4] ? match[4].split('.') : []
+    };
+  }
+
+  /**
+   * @param {string} version - Version string
+   * @returns {boolean}
+   */
+  static valid(version) {
+    return SemVer.parse(version) !== null;
+  }
+
+  /**
+   * Order two versions
+   * @param {string|Object} a - Version string or parsed version
+   * @param {string|Object} b - Version string or parsed version
+   * @returns {number} -1, 0 or 1
+   */
+  static compare(a, b) {
+    const left = typeof a === 'string' ? SemVer.parse(a) : a;
+    const right = typeof b === 'string' ? SemVer.parse(b) : b;
+    if (!left || !right) {
+      throw new Error(`Invalid version: ${!left ? a : b}`);
+    }
+    for (const key of ['major', 'minor', 'patch']) {
+      if (left[key] !== right[key]) {
+        return left[key] < right[key] ? -1 : 1;
+      }
+    }
+    return comparePrerelease(left.prerelease, right.prerelease);
+  }
+
+  /**
+   * Parse a range into alternatives of primitive bounds
+   * @param {string} range - Range string
+   * @returns {Array<Array<Object>>} One bound list per `||` alternative
+   * @throws {Error} On invalid ranges
+   */
+  static parseRange(range) {
+    if (typeof range !== 'string') {
+      throw new Error(`Invalid version range: ${range}`);
+    }
+    return range.split('||').map(alternative => alternative
+      .trim()
+      // `>= 1.2.0` -> `>=1.2.0`
+      .replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1')
+      .split(/\s+/)
+      .filter(Boolean)
+      .flatMap(comparator => desugar(comparator, range)));
+  }
+
+  /**
+   * @param {string} range - Range string
+   * @returns {boolean}
+   */
+  static validRange(range) {
+    try {
+      SemVer.parseRange(range);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a version is in a range
+   * @param {string} version - Version string
+   * @param {string} range - Range string
+   * @returns {boolean}
+   */
+  static satisfies(version, range) {
+    const parsed = SemVer.parse(version);
+    if (!parsed) {
+      return false;
+    }
+
+    return SemVer.parseRange(range).some(bounds => {
+      const inRange = bounds.every(({ op, version: limit }) => {
+        const order = SemVer.compare(parsed, limit);
+        return {
+          '<': order < 0,
+          '<=': order <= 0,
+          '>': order > 0,
+          '>=': order >= 0,
+          '=': order === 0
+        }[op];
+      });
+      if (!inRange || parsed.prerelease.length === 0) {
+        return inRange;
+      }
+      // Prereleases need an explicit opt-in on the same version
+      return bounds.some(({ version: limit }) => limit.prerelease.length > 0 &&
+        limit.major === parsed.major && limit.minor === parsed.minor && limit.patch === parsed.patch);
+    });
+  }
+
+  /**
+   * Highest version in a range
+   * @param {string[]} versions - Version strings
+   * @param {string} range - Range string
+   * @returns {string|null}
+   */
+  static maxSatisfying(versions, range) {
+    return versions
+      .filter(version => SemVer.satisfies(version, range))
+      .sort((a, b) => SemVer.compare(b, a))[0] || null;
+  }
+}
+
+module.exports = { SemVer };
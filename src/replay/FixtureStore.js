@@ -0,0 +1,142 @@
+/**
+ * FixtureStore - Recorded agent calls on disk, keyed by a normalized request hash
+ *
+ * One JSON file per distinct request, named `<agent>.<method>-<key>.json`:
+ *
+ * {
+ *   agent: 'codeGenerator',
+ *   method: 'generate',
+ *   key: '9c41...',                      // requestKey(agent, method, input, context)
+ *   request: { input, context },
+ *   responses: [{ response }, { error: { message, code } }],
+ *   recordedAt: '...'
+ * }
+ *
+ * Identical requests made more than once (retries, repairs) are recorded in
+ * order and replayed in the same order.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { SignatureVerifier } = require('../verification/SignatureVerifier');
+
+class FixtureStore {
+  /**
+   * @param {string} directory - Fixture directory
+   * @param {Object} [options]
+   * @param {string[]} [options.ignoreKeys] - Object keys left out of request
+   *   keys (e.g. volatile timestamps in contexts)
+   */
+  constructor(directory, options = {}) {
+    if (!directory) {
+      throw new Error('FixtureStore requires a directory');
+    }
+    this.directory = directory;
+    this.ignoreKeys = new Set(options.ignoreKeys || []);
+    this.fixtures = null;
+    this.writes = new Map();
+  }
+
+  /**
+   * Normalize a request value: drop ignored keys and make strings
+   * insensitive to line endings and trailing whitespace
+   * @param {*} value - Input or context
+   * @returns {*}
+   */
+  normalize(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\r\n?/g, '\n').replace(/[ \t]+$/gm, '').trim();
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.normalize(item));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => !this.ignoreKeys.has(key))
+        .map(([key, item]) => [key, this.normalize(item)]));
+    }
+    return value;
+  }
+
+  /**
+   * Hash identifying a request
+   * @returns {string} Hex SHA-256
+   */
+  requestKey(agent, method, input, context) {
+    const request = { agent, method, input: this.normalize(input), context: this.normalize(context) };
+    return crypto.createHash('sha256').update(SignatureVerifier.canonicalize(request)).digest('hex');
+  }
+
+  /**
+   * Load every fixture in the directory
+   * @returns {Promise<Map<string, Object>>} key -> fixture
+   */
+  async load() {
+    if (this.fixtures) {
+      return this.fixtures;
+    }
+
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`Fixture directory not found: ${this.directory}`);
+      }
+      throw error;
+    }
+
+    this.fixtures = new Map();
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const fixture = JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf-8'));
+      this.fixtures.set(fixture.key, fixture);
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Append a call outcome to its fixture file
+   * @param {Object} call - { agent, method, input, context }
+   * @param {Object} outcome - { response } or { error: { message, code } }
+   * @returns {Promise<void>}
+   */
+  record({ agent, method, input, context }, outcome) {
+    const key = this.requestKey(agent, method, input, context);
+    const filePath = path.join(this.directory, `${agent}.${method}-${key.slice(0, 16)}.json`);
+
+    // Chain writes per file so concurrent identical calls keep their order
+    const write = (this.writes.get(key) || Promise.resolve()).then(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+
+      let fixture;
+      try {
+        fixture = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        fixture = { agent, method, key, request: { input, context }, responses: [], recordedAt: new Date().toISOString() };
+      }
+
+      fixture.responses.push(outcome);
+      await fs.writeFile(filePath, JSON.stringify(fixture, null, 2));
+    });
+
+    this.writes.set(key, write.catch(() => {}));
+    return write;
+  }
+
+  /**
+   * Fixtures recorded for an agent method (used to explain misses)
+   * @param {string} agent - Agent name
+   * @param {string} method - Method name
+   * @returns {Promise<Object[]>}
+   */
+  async listFor(agent, method) {
+    const fixtures = await this.load();
+    return Array.from(fixtures.values()).filter(f => f.agent === agent && f.method === method);
+  }
+}
+
+module.exports = { FixtureStore };
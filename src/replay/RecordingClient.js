@@ -0,0 +1,91 @@
+/**
+ * RecordingClient - Wraps a SchemaICU client and records every agent call
+ *
+ * `client.<agent>.<method>(input, context, options)` is forwarded to the
+ * wrapped client unchanged; the response (or error) is written to a
+ * FixtureStore for ReplayClient to serve later.
+ *
+ * @example
+ * const client = new RecordingClient(new SchemaICU(), { directory: 'fixtures' });
+ * const engine = new PipelineEngine(client);
+ */
+
+const { FixtureStore } = require('./FixtureStore');
+
+class RecordingClient {
+  /**
+   * @param {Object} client - SchemaICU client to wrap
+   * @param {Object} options
+   * @param {string} [options.directory] - Fixture directory
+   * @param {FixtureStore} [options.store] - Store to use instead of `directory`
+   * @param {string[]} [options.ignoreKeys] - See FixtureStore
+   */
+  constructor(client, options = {}) {
+    if (!client) {
+      throw new Error('RecordingClient requires a SchemaICU client to wrap');
+    }
+
+    this.client = client;
+    this.store = options.store || new FixtureStore(options.directory, options);
+    const agents = new Map();
+
+    // Agents are resolved lazily so any agent of the wrapped client works
+    return new Proxy(this, {
+      get: (target, name) => {
+        if (name in target || typeof name !== 'string') {
+          return target[name];
+        }
+        const agent = client[name];
+        if (!agent || typeof agent !== 'object') {
+          return agent;
+        }
+        if (!agents.has(name)) {
+          agents.set(name, this.wrapAgent(name, agent));
+        }
+        return agents.get(name);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  wrapAgent(agentName, agent) {
+    return new Proxy(agent, {
+      get: (target, methodName) => {
+        const method = target[methodName];
+        if (typeof method !== 'function' || typeof methodName !== 'string') {
+          return method;
+        }
+        return (input, context, options) =>
+          this.recordCall({ agent: agentName, method: methodName, input, context }, options, () =>
+            method.call(target, input, context, options));
+      }
+    });
+  }
+
+  /**
+   * Forward a call and record its outcome
+   *
+   * Calls aborted by the engine (timeouts, cancellation) are not recorded,
+   * so a replayed retry gets the response that eventually arrived.
+   * @private
+   */
+  async recordCall(call, options, invoke) {
+    let outcome;
+    try {
+      const response = await invoke();
+      outcome = { response };
+      return response;
+    } catch (error) {
+      outcome = { error: { message: error.message, code: error.code } };
+      throw error;
+    } finally {
+      if (!(options && options.signal && options.signal.aborted)) {
+        await this.store.record(call, outcome);
+      }
+    }
+  }
+}
+
+module.exports = { RecordingClient };
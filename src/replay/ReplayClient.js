@@ -0,0 +1,99 @@
+/**
+ * ReplayClient - Serves agent responses recorded by RecordingClient
+ *
+ * Needs no API key or network: `client.<agent>.<method>(input, context)`
+ * looks up the fixture for the normalized request and returns its recorded
+ * response (or rethrows its recorded error). Identical requests get the
+ * recorded responses in order, then the last one again. A request without a
+ * fixture fails with `code: 'FIXTURE_MISS'`.
+ *
+ * @example
+ * const engine = new PipelineEngine(new ReplayClient({ directory: 'fixtures' }));
+ */
+
+const { FixtureStore } = require('./FixtureStore');
+
+/**
+ * Property names treated as agents / methods (not symbols, and not `then`,
+ * so the client is never mistaken for a promise)
+ * @private
+ */
+function isCallName(name) {
+  return typeof name === 'string' && name !== 'then';
+}
+
+class ReplayClient {
+  /**
+   * @param {Object} options
+   * @param {string} [options.directory] - Fixture directory
+   * @param {FixtureStore} [options.store] - Store to use instead of `directory`
+   * @param {string[]} [options.ignoreKeys] - See FixtureStore (must match recording)
+   */
+  constructor(options = {}) {
+    this.store = options.store || new FixtureStore(options.directory, options);
+    this.served = new Map();
+    const agents = new Map();
+
+    // Every agent name resolves; unknown ones miss at call time
+    return new Proxy(this, {
+      get: (target, name) => {
+        if (name in target || !isCallName(name)) {
+          return target[name];
+        }
+        if (!agents.has(name)) {
+          agents.set(name, new Proxy({}, {
+            get: (agent, method) => isCallName(method)
+              ? (input, context) => this.replay(name, method, input, context)
+              : undefined
+          }));
+        }
+        return agents.get(name);
+      }
+    });
+  }
+
+  /**
+   * Serve the recorded outcome of a call
+   * @private
+   */
+  async replay(agent, method, input, context) {
+    const fixtures = await this.store.load();
+    const key = this.store.requestKey(agent, method, input, context);
+    const fixture = fixtures.get(key);
+
+    if (!fixture) {
+      throw await this.createMissError(agent, method, key);
+    }
+
+    const count = this.served.get(key) || 0;
+    this.served.set(key, count + 1);
+    const outcome = fixture.responses[Math.min(count, fixture.responses.length - 1)];
+
+    if (outcome.error) {
+      const error = new Error(outcome.error.message);
+      if (outcome.error.code) {
+        error.code = outcome.error.code;
+      }
+      throw error;
+    }
+    return outcome.response;
+  }
+
+  /**
+   * @private
+   */
+  async createMissError(agent, method, key) {
+    const recorded = await this.store.listFor(agent, method);
+    const hint = recorded.length === 0
+      ? `no calls to ${agent}.${method} were recorded`
+      : `${recorded.length} other ${agent}.${method} call(s) were recorded; the input or context differs`;
+
+    const error = new Error(
+      `No fixture for ${agent}.${method} (request ${key.slice(0, 16)}) in ${this.store.directory}: ${hint}`
+    );
+    error.code = 'FIXTURE_MISS';
+    return error;
+  }
+}
+
+module.exports = { ReplayClient };
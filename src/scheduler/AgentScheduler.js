@@ -0,0 +1,283 @@
+/**
+ * AgentScheduler - Engine-wide concurrency caps and rate limits for agent calls
+ *
+ * Every agent call of every run on an engine acquires a slot first, so runs
+ * sharing the engine can't flood the API together:
+ *
+ * {
+ *   maxConcurrent: 8,                          // calls in flight, all agents
+ *   rateLimit: { requests: 60, interval: 60000 },
+ *   agents: {
+ *     codeGenerator: { maxConcurrent: 2, rateLimit: { requests: 10, interval: 60000, burst: 3 } }
+ *   }
+ * }
+ *
+ * Rate limits are token buckets holding `burst` (default `requests`) tokens
+ * and refilling `requests` tokens per `interval` ms. Waiting calls are served
+ * by priority (see PRIORITIES, higher first), then in arrival order. A call
+ * held back only by its agent's limits doesn't block calls to other agents.
+ */
+
+/**
+ * Named run priorities; numbers may be used too
+ */
+const PRIORITIES = {
+  interactive: 10,
+  normal: 0,
+  batch: -10
+};
+
+/**
+ * Token bucket refilled continuously
+ * @private
+ */
+class TokenBucket {
+  constructor({ requests, interval = 1000, burst }) {
+    this.capacity = burst || requests;
+    this.refillRate = requests / interval; // tokens per ms
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+    this.updatedAt = now;
+  }
+
+  /**
+   * Milliseconds until a token is available (0 = now)
+   */
+  waitTime() {
+    this.refill();
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+}
+
+/**
+ * Check a limits block from the scheduler config
+ * @private
+ */
+function validateLimits(limits, label) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new Error(`${label} must be an object`);
+  }
+  if (limits.maxConcurrent !== undefined &&
+      !(Number.isInteger(limits.maxConcurrent) && limits.maxConcurrent > 0)) {
+    throw new Error(`${label}.maxConcurrent must be a positive integer`);
+  }
+  if (limits.rateLimit !== undefined) {
+    const { requests, interval, burst } = limits.rateLimit || {};
+    if (!(typeof requests === 'number' && requests > 0)) {
+      throw new Error(`${label}.rateLimit.requests must be a positive number`);
+    }
+    if (interval !== undefined && !(typeof interval === 'number' && interval > 0)) {
+      throw new Error(`${label}.rateLimit.interval must be a positive number`);
+    }
+    if (burst !== undefined && !(Number.isInteger(burst) && burst > 0)) {
+      throw new Error(`${label}.rateLimit.burst must be a positive integer`);
+    }
+  }
+}
+
+class AgentScheduler {
+  /**
+   * @param {Object} [config] - { maxConcurrent, rateLimit, agents } (see above)
+   */
+  constructor(config = {}) {
+    validateLimits(config, 'Scheduler config');
+    Object.entries(config.agents || {}).forEach(([agent, limits]) => {
+      validateLimits(limits, `Scheduler agents.${agent}`);
+    });
+
+    this.maxConcurrent = config.maxConcurrent || Infinity;
+    this.bucket = config.rateLimit ? new TokenBucket(config.rateLimit) : null;
+    this.agentLimits = new Map(Object.entries(config.agents || {}).map(([agent, limits]) => [agent, {
+      maxConcurrent: limits.maxConcurrent || Infinity,
+      bucket: limits.rateLimit ? new TokenBucket(limits.rateLimit) : null
+    }]));
+
+    this.active = 0;
+    this.activeByAgent = new Map();
+    this.queue = [];
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  /**
+   * Resolve a priority name or number
+   * @param {string|number} [priority='normal'] - Name from PRIORITIES or a number
+   * @returns {number}
+   * @throws {Error} On unknown names
+   */
+  static resolvePriority(priority = 'normal') {
+    if (typeof priority === 'number' && Number.isFinite(priority)) {
+      return priority;
+    }
+    if (Object.prototype.hasOwnProperty.call(PRIORITIES, priority)) {
+      return PRIORITIES[priority];
+    }
+    throw new Error(`Unknown priority: ${priority} (use ${Object.keys(PRIORITIES).join(', ')} or a number)`);
+  }
+
+  /**
+   * Wait for a slot to call an agent
+   *
+   * The returned `release()` must be called once the call settles.
+   * @param {string} agent - Agent name
+   * @param {Object} [options]
+   * @param {string|number} [options.priority='normal'] - See resolvePriority
+   * @param {AbortSignal} [options.signal] - Gives up the place in the queue
+   * @returns {Promise<Object>} { release, queueTime } (queueTime in ms)
+   */
+  acquire(agent, options = {}) {
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      return Promise.reject(this.createAbortError(agent));
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = {
+        agent,
+        priority: AgentScheduler.resolvePriority(options.priority),
+        sequence: this.sequence++,
+        enqueuedAt: Date.now(),
+        resolve,
+        reject,
+        signal,
+        onAbort: null
+      };
+
+      if (signal) {
+        waiter.onAbort = () => {
+          this.queue = this.queue.filter(w => w !== waiter);
+          reject(this.createAbortError(agent));
+          this.dispatch();
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      // Keep the queue sorted: higher priority first, then arrival order
+      const index = this.queue.findIndex(w => w.priority < waiter.priority);
+      this.queue.splice(index === -1 ? this.queue.length : index, 0, waiter);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Current load, for diagnostics
+   * @returns {Object} { active, queued, agents: { name: { active, queued } } }
+   */
+  getStats() {
+    const agents = {};
+    this.activeByAgent.forEach((active, agent) => {
+      agents[agent] = { active, queued: 0 };
+    });
+    this.queue.forEach(({ agent }) => {
+      agents[agent] = agents[agent] || { active: 0, queued: 0 };
+      agents[agent].queued++;
+    });
+    return { active: this.active, queued: this.queue.length, agents };
+  }
+
+  /**
+   * Grant slots to every waiter that can run now
+   * @private
+   */
+  dispatch() {
+    let retryIn = Infinity;
+
+    for (let i = 0; i < this.queue.length;) {
+      if (this.active >= this.maxConcurrent) {
+        // Global slots free up on release
+        return this.scheduleDispatch(retryIn);
+      }
+      const globalWait = this.bucket ? this.bucket.waitTime() : 0;
+      if (globalWait > 0) {
+        return this.scheduleDispatch(Math.min(retryIn, globalWait));
+      }
+
+      const waiter = this.queue[i];
+      const limits = this.agentLimits.get(waiter.agent);
+      if (limits && (this.activeByAgent.get(waiter.agent) || 0) >= limits.maxConcurrent) {
+        i++;
+        continue;
+      }
+      const agentWait = limits && limits.bucket ? limits.bucket.waitTime() : 0;
+      if (agentWait > 0) {
+        retryIn = Math.min(retryIn, agentWait);
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.grant(waiter, limits);
+    }
+
+    return this.scheduleDispatch(retryIn);
+  }
+
+  /**
+   * @private
+   */
+  grant(waiter, limits) {
+    if (this.bucket) {
+      this.bucket.take();
+    }
+    if (limits && limits.bucket) {
+      limits.bucket.take();
+    }
+    if (waiter.signal) {
+      waiter.signal.removeEventListener('abort', waiter.onAbort);
+    }
+
+    this.active++;
+    this.activeByAgent.set(waiter.agent, (this.activeByAgent.get(waiter.agent) || 0) + 1);
+
+    let released = false;
+    const release = () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      this.active--;
+      this.activeByAgent.set(waiter.agent, this.activeByAgent.get(waiter.agent) - 1);
+      this.dispatch();
+    };
+
+    waiter.resolve({ release, queueTime: Date.now() - waiter.enqueuedAt });
+  }
+
+  /**
+   * Wake up when a rate limit refills (concurrency waits end on release)
+   * @private
+   */
+  scheduleDispatch(delay) {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.queue.length > 0 && Number.isFinite(delay)) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.dispatch();
+      }, delay);
+    }
+  }
+
+  /**
+   * @private
+   */
+  createAbortError(agent) {
+    const error = new Error(`Pipeline cancelled while waiting to call ${agent}`);
+    error.name = 'AbortError';
+    error.code = 'ABORT_ERR';
+    return error;
+  }
+}
+
+module.exports = { AgentScheduler, PRIORITIES };
@@ -39,7 +39,8 @@ export type InputSource =
   | 'previousStep'    // Output from previous step
   | 'context'         // From pipeline context
   | 'tests'           // From test execution
-  | 'selection';      // From IDE selection
+  | 'selection'       // From IDE selection
+  | 'item';           // Current item of a forEach step
 
 /**
  * Action types that can be emitted by pipeline steps
@@ -55,6 +56,174 @@ export type ActionType =
   | 'SHOW_MESSAGE'
   | 'REQUEST_APPROVAL';
 
+/**
+ * Expression over `{ context, steps, item }` (see ExpressionEvaluator), e.g.
+ * `{ $expr: "context.preferences.language || 'JavaScript'" }`. Usable as a
+ * value in `context`, `inputMap`, `outputMap` and `env`, and as a condition.
+ */
+export interface Expression {
+  $expr: string;
+}
+
+/**
+ * Declarative step condition over `{ context, stepResults }` paths
+ */
+export type DeclarativeCondition =
+  | { all: DeclarativeCondition[] }
+  | { any: DeclarativeCondition[] }
+  | { not: DeclarativeCondition }
+  | Expression
+  | {
+      /** Dotted path, e.g. 'context.testResults.numFailedTests' */
+      path: string;
+      equals?: any;
+      notEquals?: any;
+      gt?: number;
+      gte?: number;
+      lt?: number;
+      lte?: number;
+      in?: any[];
+      exists?: boolean;
+    };
+
+/**
+ * Condition deciding whether a step runs
+ */
+export type StepCondition =
+  | DeclarativeCondition
+  | ((results: PipelineStepResult[], context: PipelineContext) => boolean);
+
+/**
+ * Fan-out configuration: run the step once per item of a collection
+ */
+export interface ForEachConfig {
+  /** Dotted path into `{ context, stepResults }`, or a function returning the items */
+  items: string | ((results: PipelineStepResult[], context: PipelineContext) => any[]);
+  
+  /** Context key the current item is exposed under (default 'item') */
+  as?: string;
+  
+  /** Maximum items processed at once (default: engine maxParallelism) */
+  concurrency?: number;
+  
+  /** Keep the step successful when individual items fail */
+  continueOnItemError?: boolean;
+}
+
+/**
+ * Result of one item of a forEach step
+ */
+export interface ForEachItemResult {
+  index: number;
+  success: boolean;
+  data: any;
+  error?: string;
+  duration: number;
+  signature?: PipelineStepResult['signature'];
+  attempts?: StepAttempt[];
+  queueTime?: number;
+  validation?: ValidationOutcome;
+  verification?: SignatureVerification;
+  cacheHit?: boolean;
+  usage?: Usage;
+}
+
+/**
+ * Failure kinds a retry policy can react to
+ */
+export type RetryReason = 'timeout' | 'error' | 'unsuccessful';
+
+/**
+ * Retry policy for agent calls (per step, or engine-wide via the `retry` option)
+ */
+export interface RetryConfig {
+  /** Total attempts including the first one (default 1 = no retries) */
+  maxAttempts?: number;
+  
+  /** Exponential backoff; a number sets only the initial delay in ms */
+  backoff?: number | {
+    initialDelay?: number;
+    multiplier?: number;
+    maxDelay?: number;
+  };
+  
+  /** +/- fraction of randomness applied to each delay (0-1, default 0.2) */
+  jitter?: number;
+  
+  /** Which failures to retry (default ['timeout', 'error']) */
+  retryOn?: RetryReason[] | ((error: Error | null, result: any, attempt: number) => boolean);
+}
+
+/**
+ * Record of a single agent call attempt
+ */
+export interface StepAttempt {
+  /** Attempt number (1-based) */
+  attempt: number;
+  
+  startedAt: string;
+  
+  /** Agent call time in ms, excluding the queue wait */
+  duration: number;
+  
+  /** Time in ms spent waiting for a scheduler slot before this attempt */
+  queueTime: number;
+  
+  success: boolean;
+  
+  /** Failure kind, if the attempt failed */
+  reason?: RetryReason;
+  
+  /** Error message, if the attempt failed */
+  error?: string;
+  
+  /** Delay in ms before the next attempt, if one was made */
+  delay?: number;
+}
+
+/**
+ * Output validation with optional repair retries
+ */
+export interface StepValidation {
+  /** JSON Schema for the step's transformed output */
+  schema: Record<string, any>;
+  
+  /** How many times to re-query the agent with the violations as feedback (default 0) */
+  repairAttempts?: number;
+}
+
+/**
+ * A single schema violation
+ */
+export interface SchemaViolation {
+  /** JSON Pointer to the offending value ('/' for the root) */
+  path: string;
+  
+  /** JSON Schema keyword that failed (e.g. 'required', 'type') */
+  keyword: string;
+  
+  message: string;
+}
+
+/**
+ * Outcome of output validation for a step or forEach item
+ */
+export interface ValidationOutcome {
+  valid: boolean;
+  violations: SchemaViolation[];
+  
+  /** Repair re-queries made */
+  repairs: number;
+  
+  /** The last invalid output, when validation failed (data is null then) */
+  rejectedOutput?: any;
+}
+
+/**
+ * Status of an executed (or skipped) step
+ */
+export type StepStatus = 'completed' | 'failed' | 'skipped' | 'cancelled' | 'budget_exceeded';
+
 /**
  * Single step in a pipeline
  */
@@ -68,26 +237,41 @@ export interface PipelineStep {
   /** Description of what this step does */
   description?: string;
   
-  /** Which agent to invoke */
-  agent: AgentName;
+  /** Which agent to invoke (not used by sub-pipeline steps) */
+  agent?: AgentName;
   
-  /** Which method to call on the agent */
-  method: AgentMethod;
+  /** Which method to call on the agent (required unless `pipeline` is set) */
+  method?: AgentMethod;
   
-  /** Where to get the query/input from */
-  inputFrom: InputSource;
+  /** Where to get the query/input from (required unless `pipeline` is set) */
+  inputFrom?: InputSource;
   
-  /** Optional: custom query template or string */
+  /**
+   * Optional: custom query template or string. Supports `{{ ... }}` references
+   * to `context`, `steps.<id>` and (in forEach steps) `item`, with the
+   * filters `json`, `truncate:N` and `default:value`
+   */
   query?: string;
   
   /** Optional: transform function to build context from previous results */
   contextBuilder?: (results: PipelineStepResult[], context: PipelineContext) => any;
   
+  /**
+   * Optional: declarative agent context, merged over the agent defaults.
+   * String values may contain `{{ ... }}` templates; a lone reference keeps
+   * the referenced value's type. `{ $expr }` values are evaluated as
+   * expressions. Cannot be combined with `contextBuilder`.
+   */
+  context?: Record<string, any>;
+  
   /** Optional: transform function to process the result */
   resultTransform?: (result: any, context: PipelineContext) => any;
   
-  /** Optional: validation schema for the result */
-  validation?: any;
+  /**
+   * Optional: JSON Schema the (transformed) result must match, or
+   * `{ schema, repairAttempts }` to re-query the agent with the violations
+   */
+  validation?: Record<string, any> | StepValidation;
   
   /** Whether this step requires human approval before execution */
   requiresApproval?: boolean;
@@ -97,6 +281,208 @@ export interface PipelineStep {
   
   /** Whether to continue pipeline if this step fails */
   continueOnError?: boolean;
+  
+  /**
+   * IDs of steps that must finish before this one starts.
+   * Defaults to the preceding step; `[]` lets the step start immediately.
+   */
+  dependsOn?: string[];
+  
+  /** Only run this step when the condition holds */
+  when?: StepCondition;
+  
+  /** Skip this step when the condition holds */
+  unless?: StepCondition;
+  
+  /** Run the step once per item of a collection; `data` becomes an array */
+  forEach?: ForEachConfig;
+  
+  /** Retry policy for this step's agent calls (merged over the engine default) */
+  retry?: RetryConfig;
+  
+  /** Set to false to always call the agent, even with an engine `cache` */
+  cache?: boolean;
+  
+  /**
+   * How output becomes actions: registered extractor names and/or functions,
+   * or false for none (default: the `agent.method` or `agent` extractor)
+   */
+  actions?: false | string | ActionExtractor | Array<string | ActionExtractor>;
+  
+  /** Run another registered pipeline instead of calling an agent (`id` or `id@range`) */
+  pipeline?: string;
+  
+  /**
+   * Sub-pipeline context, overlaid on the parent's context: templates over the
+   * parent run, or a function of the parent's results
+   */
+  inputMap?: Record<string, any> | ((results: PipelineStepResult[], context: PipelineContext) => Record<string, any>);
+  
+  /**
+   * Step data built from the sub-pipeline run (templates over its `context`
+   * and `steps`); defaults to the child's `stepResults` map
+   */
+  outputMap?: Record<string, any>;
+  
+  /** Run a JS function in-process instead of calling an agent; its return value is the step data */
+  run?: (ctx: LocalStepContext) => any | Promise<any>;
+  
+  /** Run a shell command (templates allowed) instead of calling an agent */
+  exec?: string | ((results: PipelineStepResult[], context: PipelineContext) => string);
+  
+  /** Local steps: working directory, relative to the engine's workspace root */
+  cwd?: string;
+  
+  /** Local steps: extra environment variables (templates allowed) */
+  env?: Record<string, string>;
+  
+  /** Local steps: pass the full parent environment instead of a minimal one */
+  inheritEnv?: boolean;
+  
+  /** exec steps: exit codes that count as success (default [0]) */
+  successExitCodes?: number[];
+}
+
+/**
+ * Outcome of checking a response signature
+ */
+export interface SignatureVerification {
+  status: 'verified' | 'unsigned' | 'invalid';
+  
+  /** Key the response claimed to be signed with */
+  publicKey?: string;
+  
+  /** Why the response isn't verified */
+  reason?: string;
+}
+
+/**
+ * `verification` engine option
+ */
+export interface VerificationConfig {
+  /** Trusted Schema.ICU public keys (hex) */
+  trustedKeys: string[];
+  
+  /**
+   * What an unverified response does: 'step' fails the step (default),
+   * 'pipeline' stops the run even with continueOnError, 'warn' only records it
+   */
+  onFailure?: 'warn' | 'step' | 'pipeline';
+  
+  /** Treat unsigned responses as failures (default true) */
+  requireSignature?: boolean;
+}
+
+/**
+ * One hash-chained entry of a run manifest
+ */
+export interface ManifestEntry {
+  index: number;
+  type: 'run:start' | 'policy' | 'approval' | 'step' | 'run:complete';
+  timestamp: string;
+  
+  /**
+   * Entry data; step entries hold stepId, status, input, context, commands,
+   * outputHash, signature, verification, items, policy and approvals
+   */
+  record: Record<string, any>;
+  
+  /** Hash of the previous entry (64 zeros for the first) */
+  prevHash: string;
+  
+  /** SHA-256 of the canonical JSON of index, type, timestamp, record and prevHash */
+  hash: string;
+}
+
+/**
+ * Tamper-evident record of a run, returned as `PipelineResult.manifest`
+ */
+export interface RunManifest {
+  version: number;
+  runId: string;
+  pipelineId: string;
+  pipelineVersion: string;
+  entries: ManifestEntry[];
+  
+  /** Hash of the last entry */
+  head: string;
+  
+  /** Signature of `head` when the engine has a `manifestKey` */
+  signature: {
+    algorithm: string;
+    publicKey: string;
+    value: string;
+    signedAt: string;
+  } | null;
+}
+
+/**
+ * Result of `RunManifest.verify`
+ */
+export interface ManifestVerificationReport {
+  valid: boolean;
+  entries: number;
+  
+  /** First entry whose hash or link doesn't check out */
+  firstTampered: {
+    index: number;
+    type: ManifestEntry['type'] | null;
+    stepId?: string;
+    reason: string;
+  } | null;
+  
+  signature: 'valid' | 'invalid' | 'untrusted' | 'unsigned';
+  
+  agentSignatures: Array<{
+    stepId: string;
+    index: number;
+    itemIndex?: number;
+    status: 'verified' | 'invalid' | 'untrusted';
+    reason?: string;
+  }>;
+  
+  /** Saved step outputs compared with the manifest's output hashes */
+  outputs: Array<{ stepId: string; matches: boolean }>;
+}
+
+/**
+ * Argument passed to `run` steps
+ */
+export interface LocalStepContext {
+  context: PipelineContext;
+  results: PipelineStepResult[];
+  
+  /** Earlier results by step ID, as in templates */
+  steps: Record<string, { data: any; success: boolean; status?: StepStatus; error?: string }>;
+  
+  signal?: AbortSignal;
+  
+  /** Run a command under the same policy, approval and sandbox as `exec` steps */
+  exec(command: string, options?: { cwd?: string; env?: Record<string, string>; inheritEnv?: boolean }): Promise<CommandResult>;
+}
+
+/**
+ * Data of an `exec` step
+ */
+export interface CommandResult {
+  command: string;
+  
+  /** Absolute working directory */
+  cwd: string;
+  
+  exitCode: number | null;
+  
+  /** Signal that ended the command, if any */
+  signal: string | null;
+  
+  stdout: string;
+  stderr: string;
+  
+  /** Whether output was cut at the capture limit */
+  truncated: boolean;
+  
+  timedOut: boolean;
+  duration: number;
 }
 
 /**
@@ -112,6 +498,33 @@ export interface PipelineStepResult {
   /** Whether the step succeeded */
   success: boolean;
   
+  /** Step status */
+  status?: StepStatus;
+  
+  /** Why the step was skipped */
+  reason?: string;
+  
+  /** Per-item results of a forEach step */
+  items?: ForEachItemResult[];
+  
+  /** Every agent call attempt, including retries */
+  attempts?: StepAttempt[];
+  
+  /** Total ms the step's agent calls waited for scheduler slots (included in `duration`) */
+  queueTime?: number;
+  
+  /** Output validation outcome, for steps with `validation` */
+  validation?: ValidationOutcome;
+  
+  /** Signature check of the agent response, when `verification` is configured */
+  verification?: SignatureVerification;
+  
+  /** Whether the response came from the engine `cache` (unset when not cached) */
+  cacheHit?: boolean;
+  
+  /** Tokens, cost and calls of agent steps (a sub-pipeline's run total) */
+  usage?: Usage;
+  
   /** The data returned by the agent */
   data: any;
   
@@ -124,6 +537,12 @@ export interface PipelineStepResult {
   /** Timestamp when step completed */
   timestamp: string;
   
+  /** When the step actually started executing */
+  startedAt?: string;
+  
+  /** When the step actually finished executing */
+  completedAt?: string;
+  
   /** BSV signature from Schema.ICU */
   signature?: {
     hash: string;
@@ -132,8 +551,17 @@ export interface PipelineStepResult {
     signedAt: string;
   };
   
-  /** Actions suggested by this step */
+  /** Actions suggested by this step (for sub-pipeline steps, all child actions) */
   actions?: PipelineAction[];
+  
+  /** Sub-pipeline steps: the pipeline that ran */
+  pipelineId?: string;
+  
+  /** Sub-pipeline steps: the child run ID (`<parentRunId>.<stepId>`) */
+  runId?: string;
+  
+  /** Sub-pipeline steps: the child run's step results */
+  steps?: PipelineStepResult[];
 }
 
 /**
@@ -165,6 +593,251 @@ export interface PipelineAction {
   approved?: boolean;
 }
 
+/**
+ * What an extractor returns: `type` is required, the rest have defaults
+ * (`targets` [], `payload` {}, `requiresApproval` true)
+ */
+export type ExtractedAction = Pick<PipelineAction, 'type'> & Partial<PipelineAction>;
+
+/**
+ * Maps one agent output (one item's, for forEach steps) to actions
+ */
+export type ActionExtractor = (
+  data: any,
+  info: {
+    step: PipelineStep;
+    /** Execution context of the run */
+    context: Record<string, any>;
+    /** forEach item index */
+    itemIndex?: number;
+    /** '' or '-1', '-2', ... per forEach item, for unique file names */
+    suffix: string;
+  }
+) => ExtractedAction[];
+
+/**
+ * Options of `new ActionExecutor(options)`
+ */
+export interface ActionExecutorOptions {
+  /** Workspace root; file targets and commands stay inside it (default process.cwd()) */
+  root?: string;
+  
+  /** Checks every action with `checkAction` */
+  policyEngine?: any;
+  
+  /** Asked for actions that need approval; without one they are approved */
+  onApprovalRequired?: (request: { type: 'action'; action: PipelineAction }) => Promise<boolean> | boolean;
+  
+  autoApprove?: boolean;
+  
+  /** Let CREATE_FILE replace existing files (default false) */
+  overwrite?: boolean;
+  
+  /** Keep applying after an action fails (default false: the rest are skipped) */
+  continueOnError?: boolean;
+  
+  /** Context lines APPLY_DIFF may ignore at each end of a hunk (default 2) */
+  fuzz?: number;
+  
+  /** How far (in lines) from its header APPLY_DIFF may find a hunk (default unlimited) */
+  maxOffset?: number;
+  
+  /** Timeout of RUN_COMMAND / git commands in ms (default 120000) */
+  commandTimeout?: number;
+  
+  /** Where touched files are captured (default: a SnapshotStore at root); false disables transactions */
+  snapshots?: SnapshotStore | false;
+  
+  verbose?: boolean;
+}
+
+/**
+ * What happened to one action in `ActionExecutor.apply`
+ */
+export interface ActionOutcome {
+  /** Position in the applied list */
+  index: number;
+  type: ActionType;
+  targets: string[];
+  status: 'applied' | 'denied' | 'rejected' | 'failed' | 'skipped';
+  error?: string;
+  
+  /** Command result (RUN_COMMAND, CREATE_BRANCH, COMMIT_CHANGES) */
+  output?: Record<string, any>;
+  
+  /** SHOW_MESSAGE text */
+  message?: string;
+  
+  /** APPLY_DIFF: where each hunk applied */
+  hunks?: Array<HunkResult & { target: string }>;
+  
+  /** APPLY_DIFF: diff that undoes the change */
+  reversePatch?: string;
+  
+  /** APPLY_DIFF: hunks that didn't match (nothing was written) */
+  conflicts?: Array<HunkResult & { target: string }>;
+}
+
+/**
+ * One hunk of a unified diff
+ */
+export interface DiffHunk {
+  oldStart: number;
+  oldLines: number;
+  newStart: number;
+  newLines: number;
+  
+  /** Text after the second `@@` (usually the enclosing function) */
+  section: string;
+  lines: Array<{ op: ' ' | '-' | '+'; text: string }>;
+  
+  /** `\ No newline at end of file` after the last old / new line */
+  oldNoNewline: boolean;
+  newNoNewline: boolean;
+}
+
+/**
+ * One file of a unified diff (`UnifiedDiff.parse`)
+ */
+export interface FilePatch {
+  /** Path without `a/`; null for created files, missing in headerless diffs */
+  oldPath?: string | null;
+  
+  /** Path without `b/`; null for deleted files, missing in headerless diffs */
+  newPath?: string | null;
+  hunks: DiffHunk[];
+}
+
+/**
+ * How one hunk applied
+ */
+export interface HunkResult {
+  index: number;
+  status: 'applied' | 'conflict';
+  
+  /** Lines between the header position and where the hunk applied */
+  offset?: number;
+  
+  /** Context lines ignored at each end */
+  fuzz?: number;
+  
+  /** Conflicts: header line, reason and the lines that were expected */
+  oldStart?: number;
+  reason?: string;
+  expected?: string[];
+}
+
+/**
+ * Result of `UnifiedDiff.apply`
+ */
+export interface PatchResult {
+  success: boolean;
+  
+  /** Patched content (the original when any hunk conflicts) */
+  content: string;
+  hunks: HunkResult[];
+  conflicts: HunkResult[];
+}
+
+/**
+ * Result of `ActionExecutor.apply`
+ */
+export interface ActionReport {
+  /** Whether every action was applied (and the snapshot committed) */
+  success: boolean;
+  applied: number;
+  
+  /** Id the snapshot is stored under; pass it to `rollback` */
+  runId: string;
+  outcomes: ActionOutcome[];
+  
+  /** Set when the batch stopped early and its file changes were rolled back */
+  rollback?: RollbackResult;
+  
+  /** Committing or rolling back the snapshot failed */
+  transactionError?: string;
+}
+
+/**
+ * Where snapshot contents are kept: git objects, shadow copies, or git inside a work tree
+ */
+export type SnapshotMode = 'auto' | 'git' | 'copy';
+
+/**
+ * Options of `new SnapshotStore(options)`
+ */
+export interface SnapshotStoreOptions {
+  /** Workspace root (default process.cwd()) */
+  root?: string;
+  
+  /** Manifest directory (default `.git/schema-icu/snapshots`, or `<root>/.schema-icu/snapshots` outside git) */
+  directory?: string;
+  mode?: SnapshotMode;
+}
+
+/**
+ * A file captured before a run first changed it
+ */
+export interface SnapshotFile {
+  /** Relative to the root */
+  path: string;
+  existed: boolean;
+  
+  /** Permissions of an existing file */
+  mode?: number;
+  
+  /** Git blob (git mode) or shadow copy name (copy mode) of the content */
+  blob?: string;
+  copy?: string;
+  
+  /** Topmost directory created for a new file */
+  createdDir?: string;
+  
+  /** SHA-256 of the content once applied (null: deleted) */
+  after?: string | null;
+}
+
+/**
+ * Snapshot manifest of one run
+ */
+export interface SnapshotManifest {
+  runId: string;
+  root: string;
+  mode: 'git' | 'copy';
+  status: 'open' | 'applied' | 'rolled-back';
+  createdAt: string;
+  updatedAt: string;
+  files: SnapshotFile[];
+  
+  /** Ref pinning the blobs (git mode, once applied) */
+  ref?: string;
+}
+
+/**
+ * Result of a rollback
+ */
+export interface RollbackResult {
+  runId: string;
+  
+  /** Files written back */
+  restored: string[];
+  
+  /** Files the run created, now deleted */
+  removed: string[];
+}
+
+/**
+ * Snapshots of workspace files, for rolling back applied actions
+ */
+export interface SnapshotStore {
+  begin(runId: string): Promise<SnapshotManifest>;
+  capture(runId: string, targets: string[]): Promise<SnapshotManifest>;
+  commit(runId: string): Promise<SnapshotManifest>;
+  rollback(runId: string, options?: { force?: boolean }): Promise<RollbackResult>;
+  load(runId: string): Promise<SnapshotManifest | null>;
+  list(): Promise<Array<Pick<SnapshotManifest, 'runId' | 'mode' | 'status' | 'createdAt' | 'updatedAt'> & { files: number }>>;
+}
+
 /**
  * Complete pipeline definition
  */
@@ -172,9 +845,12 @@ export interface PipelineDefinition {
   /** Unique identifier */
   id: string;
   
-  /** Semantic version */
+  /** Semantic version; several versions of one id can be registered */
   version: string;
   
+  /** Deprecation message; ranges prefer other versions and runs warn */
+  deprecated?: string;
+  
   /** Human-readable name */
   name: string;
   
@@ -202,6 +878,12 @@ export interface PipelineDefinition {
   /** Maximum total execution time in ms */
   timeout?: number;
   
+  /** Maximum number of independent steps to run at once (overrides engine option) */
+  maxParallelism?: number;
+  
+  /** Usage limits for runs of this pipeline (combined with the engine budget, strictest wins) */
+  budget?: Budget;
+  
   /** BSV signature of this pipeline definition (for marketplace) */
   signature?: {
     hash: string;
@@ -234,6 +916,9 @@ export interface PipelineContext {
   /** Test results */
   testResults?: any;
   
+  /** Kind of change requested (e.g. 'feature', 'refactor', 'bugfix') */
+  changeType?: string;
+  
   /** Environment info */
   environment?: {
     os: string;
@@ -259,15 +944,33 @@ export interface PipelineContext {
  * Result from executing a complete pipeline
  */
 export interface PipelineResult {
+  /** Run ID (pass to `resumeRun` to continue a failed or cancelled run) */
+  runId: string;
+  
   /** Pipeline ID */
   pipelineId: string;
   
   /** Pipeline name */
   pipelineName: string;
   
+  /** Version that ran (resolved from the range, if one was given) */
+  pipelineVersion: string;
+  
+  /** Deprecation message of that version, or null */
+  deprecated: string | null;
+  
   /** Overall success status */
   success: boolean;
   
+  /** Final run status */
+  status: 'completed' | 'failed' | 'cancelled' | 'budget_exceeded';
+  
+  /** Whether the run was cancelled through its AbortSignal */
+  cancelled: boolean;
+  
+  /** Whether this result comes from `resumeRun` */
+  resumed: boolean;
+  
   /** Results from each step */
   steps: PipelineStepResult[];
   
@@ -291,8 +994,443 @@ export interface PipelineResult {
   
   /** Context used */
   context: PipelineContext;
+  
+  /** Totals of every agent call in the run, including sub-pipelines */
+  usage: Usage;
+  
+  /** Budget the run was held to, if any */
+  budget: Budget | null;
+  
+  /** Hash-chained record of the run (see `schema-icu verify-run`) */
+  manifest: RunManifest;
+}
+
+/**
+ * Per-run options for `runPipeline`
+ */
+export interface RunOptions {
+  /** Cancels the run; in-flight agent calls receive it as `{ signal }` */
+  signal?: AbortSignal;
+  
+  /** Run ID used for checkpoints (generated if omitted) */
+  runId?: string;
+  
+  /** Place of this run's agent calls in the engine scheduler's queue (default 'normal') */
+  priority?: RunPriority;
+  
+  /** Plan the run without calling agents or running commands; resolves to a PipelinePlan */
+  dryRun?: boolean;
+  
+  /** Dry runs: step data by step id (sub-pipeline steps included), or a function of the call */
+  stubs?: Record<string, any | ((input: any, context: Record<string, any>) => any)>;
+}
+
+/**
+ * Policy decision recorded for a planned step
+ */
+export interface PlanPolicyDecision {
+  level: 'step' | 'command' | 'pipeline';
+  allowed: boolean;
+  reason?: string;
+  command?: string;
+}
+
+/**
+ * One step of a dry-run plan
+ */
+export interface PlanEntry {
+  stepId: string;
+  stepName: string;
+  type: 'agent' | 'forEach' | 'pipeline' | 'exec' | 'run';
+  agent?: AgentName;
+  method?: AgentMethod;
+  
+  /** 'blocked' = denied by policy; 'failed' = inputs don't resolve */
+  status: 'planned' | 'skipped' | 'blocked' | 'failed';
+  
+  /** Why the step is skipped */
+  reason?: string;
+  
+  error?: string;
+  
+  dependsOn: string[];
+  
+  /** Resolved input (agent steps) or inputMap (sub-pipeline steps) */
+  input?: any;
+  
+  /** Agent context from `contextBuilder` or the defaults plus `context` */
+  context?: Record<string, any>;
+  
+  /** One input and context per item (forEach steps) */
+  items?: Array<{ item: any; input: any; context: Record<string, any> }>;
+  
+  /** Resolved command (exec steps) */
+  command?: string;
+  
+  pipelineId?: string;
+  pipelineVersion?: string;
+  
+  /** Plan of the sub-pipeline */
+  steps?: PlanEntry[];
+  
+  policy: PlanPolicyDecision[];
+  
+  /** Approvals the run would request: 'step', 'command', 'pipeline' */
+  approvals: Array<'step' | 'command' | 'pipeline'>;
+  
+  /** Stub data later steps see in place of the real output */
+  output: any;
+}
+
+/**
+ * Result of `runPipeline(id, context, { dryRun: true })`
+ */
+export interface PipelinePlan {
+  runId: string;
+  pipelineId: string;
+  pipelineName: string;
+  pipelineVersion: string;
+  deprecated: string | null;
+  dryRun: true;
+  
+  /** False when the pipeline or any step would be blocked, or a step fails to resolve */
+  success: boolean;
+  
+  status: 'planned';
+  
+  /** Pipeline-level policy decision (null without a policy engine) */
+  policy: { allowed: boolean; reason?: string } | null;
+  
+  /** Whether the run would ask for pipeline approval */
+  requiresApproval: boolean;
+  
+  plan: PlanEntry[];
+  
+  /** Step results with stub data */
+  steps: PipelineStepResult[];
+  
+  context: PipelineContext;
+}
+
+/**
+ * Persisted state of a run, written after every step
+ */
+export interface RunCheckpoint {
+  runId: string;
+  pipelineId: string;
+  pipelineVersion: string;
+  status: 'running' | 'completed' | 'failed' | 'cancelled' | 'budget_exceeded';
+  startedAt: string;
+  updatedAt: string;
+  executionContext: PipelineContext;
+  stepResults: PipelineStepResult[];
+  actions: PipelineAction[];
+}
+
+/**
+ * Pluggable storage for run checkpoints
+ */
+export interface CheckpointStore {
+  save(runId: string, checkpoint: RunCheckpoint): Promise<void>;
+  load(runId: string): Promise<RunCheckpoint | null>;
+  delete(runId: string): Promise<boolean>;
+  list(): Promise<Array<{
+    runId: string;
+    pipelineId: string;
+    pipelineVersion: string;
+    status: RunCheckpoint['status'];
+    startedAt: string;
+    updatedAt: string;
+    completedSteps: number;
+  }>>;
+}
+
+/**
+ * Token, cost and call counts
+ */
+export interface Usage {
+  inputTokens: number;
+  outputTokens: number;
+  totalTokens: number;
+  
+  /** USD, as reported by the agent or from the engine `pricing` */
+  cost: number;
+  
+  /** Agent calls made, including retries (cache hits don't count) */
+  agentCalls: number;
+  
+  /** Whether any figure was estimated from input / output sizes */
+  estimated: boolean;
+}
+
+/**
+ * Usage limits; a run stops with `budget_exceeded` before going over
+ */
+export interface Budget {
+  maxTokens?: number;
+  maxCost?: number;
+  maxAgentCalls?: number;
+}
+
+/**
+ * `pricing` engine option: USD per 1K tokens
+ */
+export interface Pricing {
+  input?: number;
+  output?: number;
+  
+  /** Per-agent rates overriding the defaults */
+  agents?: Record<string, { input?: number; output?: number }>;
+}
+
+/**
+ * Named run priorities (interactive 10, normal 0, batch -10); higher numbers go first
+ */
+export type RunPriority = 'interactive' | 'normal' | 'batch' | number;
+
+/**
+ * Token bucket: `burst` calls at once, refilled at `requests` per `interval` ms
+ */
+export interface RateLimit {
+  requests: number;
+  
+  /** Default 1000 */
+  interval?: number;
+  
+  /** Bucket size (default `requests`) */
+  burst?: number;
+}
+
+/**
+ * Concurrency cap and rate limit for agent calls
+ */
+export interface SchedulerLimits {
+  maxConcurrent?: number;
+  rateLimit?: RateLimit;
+}
+
+/**
+ * `scheduler` engine option: limits shared by every run on the engine
+ */
+export interface SchedulerConfig extends SchedulerLimits {
+  /** Limits for individual agents, applied on top of the global ones */
+  agents?: Record<string, SchedulerLimits>;
+}
+
+/**
+ * Options of `PipelineLoader.load`
+ */
+export interface PipelineLoadOptions {
+  /** Default 'yaml' (which also reads JSON) */
+  format?: 'yaml' | 'json';
+  
+  /** File name or label used in error messages (default '<inline>') */
+  source?: string;
+}
+
+/**
+ * Problem found by `analyzePipeline()` / PipelineAnalyzer
+ */
+export interface Diagnostic {
+  /** Errors stop `registerPipeline`; warnings are logged */
+  severity: 'error' | 'warning';
+  
+  /** e.g. 'duplicate-step-id', 'unknown-agent', 'timeout-exceeds-budget' */
+  code: string;
+  
+  message: string;
+  
+  stepId?: string;
+  
+  /** JSON pointer into the definition, e.g. '/steps/2/inputFrom' */
+  path?: string;
+}
+
+/**
+ * Result of `analyzePipeline()`
+ */
+export interface AnalysisResult {
+  /** False when any diagnostic is an error */
+  valid: boolean;
+  
+  /** Errors first */
+  diagnostics: Diagnostic[];
+}
+
+/**
+ * Entry of `listPipelines()`: one per registered version
+ */
+export interface PipelineListing {
+  id: string;
+  name: string;
+  description: string;
+  steps: number;
+  version: string;
+  deprecated: string | null;
+  
+  /** Whether a bare `id` resolves to this version */
+  latest: boolean;
+}
+
+/**
+ * Pluggable cache for agent responses, keyed by `responseCacheKey`
+ */
+export interface ResponseCache {
+  get(key: string): Promise<any | null>;
+  set(key: string, response: any): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  
+  /** Resolves to the number of entries removed */
+  clear(): Promise<number>;
+}
+
+/**
+ * Limits for the built-in response caches
+ */
+export interface ResponseCacheOptions {
+  /** Entry lifetime in ms (default 1 day) */
+  ttl?: number;
+  
+  /** Least recently used entries beyond this are evicted (default 500) */
+  maxEntries?: number;
+  
+  /** Responses larger than this many bytes are not cached (default 1 MB) */
+  maxEntrySize?: number;
+}
+
+/**
+ * Fields shared by every PipelineEngine event
+ */
+export interface PipelineEventBase {
+  /** Event name */
+  type: PipelineEventType;
+  
+  /** Run that produced the event */
+  runId: string;
+  
+  /** Pipeline being run */
+  pipelineId: string;
+  
+  /** When the event was emitted */
+  timestamp: string;
+}
+
+export interface RunStartEvent extends PipelineEventBase {
+  type: 'run:start';
+  pipelineName: string;
+  pipelineVersion: string;
+  deprecated: string | null;
+  totalSteps: number;
+  resumed: boolean;
+  
+  /** Set for sub-pipeline runs */
+  parentRunId: string | null;
+}
+
+export interface StepStartEvent extends PipelineEventBase {
+  type: 'step:start';
+  stepId: string;
+  stepName: string;
+  agent: AgentName;
+  method: AgentMethod;
+  /** Position of the step in the pipeline definition */
+  index: number;
+}
+
+export interface StepRetryEvent extends PipelineEventBase {
+  type: 'step:retry';
+  stepId: string;
+  /** Attempt that just failed (1-based) */
+  attempt: number;
+  maxAttempts: number;
+  reason: RetryReason;
+  error: string;
+  /** Delay in ms before the next attempt */
+  delay: number;
+}
+
+export interface StepCompleteEvent extends PipelineEventBase {
+  type: 'step:complete';
+  stepId: string;
+  result: PipelineStepResult;
+  /** Steps finished so far */
+  completed: number;
+  total: number;
+}
+
+export interface StepSkippedEvent extends PipelineEventBase {
+  type: 'step:skipped';
+  stepId: string;
+  reason: string;
+  result: PipelineStepResult;
+}
+
+export interface ActionCollectedEvent extends PipelineEventBase {
+  type: 'action:collected';
+  stepId: string;
+  action: PipelineAction;
+}
+
+export interface ApprovalRequestedEvent extends PipelineEventBase {
+  type: 'approval:requested';
+  request: {
+    type: 'pipeline' | 'step' | 'command';
+    pipeline?: string;
+    description?: string;
+    step?: string;
+    agent?: AgentName;
+    query?: string;
+    command?: string;
+    cwd?: string;
+  };
 }
 
+export interface PolicyDeniedEvent extends PipelineEventBase {
+  type: 'policy:denied';
+  level: 'pipeline' | 'step' | 'command';
+  stepId?: string;
+  reason: string;
+}
+
+export interface CallbackErrorEvent extends PipelineEventBase {
+  type: 'callback:error';
+  /** Engine option whose callback threw, or 'listener' for an event listener */
+  callback: 'onStepComplete' | 'listener';
+  /** Event whose listener threw (listener errors only) */
+  event?: PipelineEventType;
+  stepId?: string;
+  error: string;
+}
+
+export interface RunCompleteEvent extends PipelineEventBase {
+  type: 'run:complete';
+  status: PipelineResult['status'];
+  result: PipelineResult;
+}
+
+/**
+ * Event name to payload mapping for `engine.on(...)`
+ */
+export interface PipelineEventMap {
+  'run:start': RunStartEvent;
+  'step:start': StepStartEvent;
+  'step:retry': StepRetryEvent;
+  'step:complete': StepCompleteEvent;
+  'step:skipped': StepSkippedEvent;
+  'action:collected': ActionCollectedEvent;
+  'approval:requested': ApprovalRequestedEvent;
+  'policy:denied': PolicyDeniedEvent;
+  'callback:error': CallbackErrorEvent;
+  'run:complete': RunCompleteEvent;
+}
+
+export type PipelineEventType = keyof PipelineEventMap;
+
+/**
+ * Any event yielded by `engine.streamPipeline(...)`
+ */
+export type PipelineEvent = PipelineEventMap[PipelineEventType];
+
 /**
  * Policy rules for restricting pipeline/step execution
  */
@@ -0,0 +1,229 @@
+/**
+ * UsageMeter - Token, cost and call accounting for agent calls
+ *
+ * Usage is read from the response when the agent reports it (`usage` or
+ * `metadata.usage`, camelCase or snake_case, OpenAI or Anthropic style
+ * names) and otherwise estimated from the size of the input, context and
+ * output (~4 characters per token). Cost comes from the response when
+ * reported, else from `pricing` (USD per 1K tokens):
+ *
+ * {
+ *   input: 0.003,
+ *   output: 0.015,
+ *   agents: { codeGenerator: { input: 0.01, output: 0.03 } }
+ * }
+ *
+ * Budgets (`maxTokens`, `maxCost`, `maxAgentCalls`) are checked against
+ * accumulated usage plus the projected cost of the next call.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const BUDGET_KEYS = {
+  maxTokens: 'totalTokens',
+  maxCost: 'cost',
+  maxAgentCalls: 'agentCalls'
+};
+
+/**
+ * First numeric field among several names
+ * @private
+ */
+function pick(source, names) {
+  const name = names.find(n => typeof source[n] === 'number' && Number.isFinite(source[n]));
+  return name === undefined ? undefined : source[name];
+}
+
+class UsageMeter {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.pricing] - USD per 1K tokens (see above)
+   */
+  constructor(options = {}) {
+    this.pricing = options.pricing || null;
+  }
+
+  /**
+   * Usage with all counters at zero
+   * @returns {Object}
+   */
+  static empty() {
+    return { inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, agentCalls: 0, estimated: false };
+  }
+
+  /**
+   * Sum usage records (missing records count as zero)
+   * @param {...Object} usages - Usage records
+   * @returns {Object}
+   */
+  static add(...usages) {
+    return usages.filter(Boolean).reduce((total, usage) => ({
+      inputTokens: total.inputTokens + usage.inputTokens,
+      outputTokens: total.outputTokens + usage.outputTokens,
+      totalTokens: total.totalTokens + usage.totalTokens,
+      // Avoid float drift in displayed totals
+      cost: Math.round((total.cost + usage.cost) * 1e6) / 1e6,
+      agentCalls: total.agentCalls + usage.agentCalls,
+      estimated: total.estimated || usage.estimated
+    }), UsageMeter.empty());
+  }
+
+  /**
+   * Rough token count of a value
+   * @param {*} value - String or JSON-serializable value
+   * @returns {number}
+   */
+  static estimateTokens(value) {
+    if (value === undefined || value === null) {
+      return 0;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Validate a budget definition
+   * @param {Object} budget - { maxTokens?, maxCost?, maxAgentCalls? }
+   * @param {string} label - Prefix for error messages
+   * @throws {Error} On invalid budgets
+   */
+  static validateBudget(budget, label) {
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) {
+      throw new Error(`${label} budget must be an object`);
+    }
+    Object.entries(budget).forEach(([key, value]) => {
+      if (!BUDGET_KEYS[key]) {
+        throw new Error(`${label} budget has unknown limit: ${key}`);
+      }
+      if (!(typeof value === 'number' && value > 0) || (key === 'maxAgentCalls' && !Number.isInteger(value))) {
+        throw new Error(`${label} budget.${key} must be a positive ${key === 'maxAgentCalls' ? 'integer' : 'number'}`);
+      }
+    });
+  }
+
+  /**
+   * Combine budgets, keeping the strictest value of each limit
+   * @param {...Object} budgets - Budgets (missing ones are ignored)
+   * @returns {Object|null}
+   */
+  static mergeBudgets(...budgets) {
+    const merged = {};
+    budgets.filter(Boolean).forEach(budget => {
+      Object.entries(budget).forEach(([key, value]) => {
+        merged[key] = merged[key] === undefined ? value : Math.min(merged[key], value);
+      });
+    });
+    return Object.keys(merged).length > 0 ? merged : null;
+  }
+
+  /**
+   * Check usage (plus a projection) against a budget
+   * @param {Object|null} budget - Limits
+   * @param {Object} usage - Usage so far
+   * @param {Object} [projected] - Usage the next call is expected to add
+   * @returns {string|null} Why the budget is exceeded, or null
+   */
+  static checkBudget(budget, usage, projected) {
+    if (!budget) {
+      return null;
+    }
+
+    const next = UsageMeter.add(usage, projected);
+    for (const [key, field] of Object.entries(BUDGET_KEYS)) {
+      const limit = budget[key];
+      if (limit === undefined) {
+        continue;
+      }
+      // Without a projection the budget is only exhausted once it's used up
+      const over = projected ? next[field] > limit : usage[field] >= limit;
+      if (over) {
+        return projected
+          ? `${key} ${limit} would be exceeded (used ${usage[field]}, next call needs ~${projected[field]})`
+          : `${key} ${limit} reached (used ${usage[field]})`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Usage of one agent call
+   * @param {Object} step - Step definition
+   * @param {string} input - Query sent
+   * @param {Object} context - Agent context sent
+   * @param {Object} agentResult - Agent response
+   * @param {number} [agentCalls=1] - Attempts it took
+   * @returns {Object} Usage record
+   */
+  measure(step, input, context, agentResult, agentCalls = 1) {
+    const reported = (agentResult && (agentResult.usage || (agentResult.metadata && agentResult.metadata.usage))) || {};
+
+    const total = pick(reported, ['totalTokens', 'total_tokens']);
+    let inputTokens = pick(reported, ['inputTokens', 'input_tokens', 'promptTokens', 'prompt_tokens']);
+    let outputTokens = pick(reported, ['outputTokens', 'output_tokens', 'completionTokens', 'completion_tokens']);
+
+    // A total fills in whichever side is missing
+    if (total !== undefined && inputTokens === undefined && outputTokens !== undefined) {
+      inputTokens = Math.max(0, total - outputTokens);
+    }
+    if (total !== undefined && outputTokens === undefined && inputTokens !== undefined) {
+      outputTokens = Math.max(0, total - inputTokens);
+    }
+
+    const estimated = inputTokens === undefined || outputTokens === undefined;
+    if (inputTokens === undefined) {
+      inputTokens = this.estimateInputTokens(input, context);
+    }
+    if (outputTokens === undefined) {
+      outputTokens = total !== undefined
+        ? Math.max(0, total - inputTokens)
+        : UsageMeter.estimateTokens(agentResult && agentResult.data);
+    }
+
+    const reportedCost = pick(reported, ['cost', 'costUsd', 'cost_usd']);
+    return {
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cost: reportedCost !== undefined ? reportedCost : this.price(step, inputTokens, outputTokens),
+      agentCalls,
+      estimated
+    };
+  }
+
+  /**
+   * Projected usage of a call before it is made (input side only)
+   * @returns {Object} Usage record
+   */
+  project(step, input, context) {
+    const inputTokens = this.estimateInputTokens(input, context);
+    return {
+      inputTokens,
+      outputTokens: 0,
+      totalTokens: inputTokens,
+      cost: this.price(step, inputTokens, 0),
+      agentCalls: 1,
+      estimated: true
+    };
+  }
+
+  /**
+   * @private
+   */
+  estimateInputTokens(input, context) {
+    return UsageMeter.estimateTokens(input) + UsageMeter.estimateTokens(context);
+  }
+
+  /**
+   * Cost of a call from the configured pricing
+   * @private
+   */
+  price(step, inputTokens, outputTokens) {
+    if (!this.pricing) {
+      return 0;
+    }
+    const rates = (this.pricing.agents && this.pricing.agents[step.agent]) || this.pricing;
+    const cost = (inputTokens * (rates.input || 0) + outputTokens * (rates.output || 0)) / 1000;
+    return Math.round(cost * 1e6) / 1e6;
+  }
+}
+
+module.exports = { UsageMeter };
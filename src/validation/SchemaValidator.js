@@ -0,0 +1,305 @@
+/**
+ * SchemaValidator - Lightweight JSON Schema validation for step outputs
+ *
+ * Supports the subset of JSON Schema used to describe agent responses:
+ * - type (string or array of types, including 'integer' and 'null')
+ * - properties, required, additionalProperties
+ * - items, minItems, maxItems, uniqueItems
+ * - enum, const
+ * - minLength, maxLength, pattern
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * - allOf, anyOf, oneOf, not
+ *
+ * Violations are returned as a flat list of
+ * `{ path, keyword, message }` objects, with JSON Pointer paths.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+class SchemaValidator {
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Value to validate
+   * @param {Object} schema - JSON Schema
+   * @returns {Array<Object>} Violations (empty when valid)
+   */
+  validate(value, schema) {
+    const violations = [];
+    this.validateNode(value, schema, '', violations);
+    return violations;
+  }
+
+  /**
+   * Check that a schema only uses supported types
+   * @param {Object} schema - JSON Schema
+   * @throws {Error} On malformed schemas
+   */
+  checkSchema(schema, path = '#') {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+      throw new Error(`Invalid schema at ${path}: expected an object`);
+    }
+
+    const types = schema.type === undefined ? [] : [].concat(schema.type);
+    types.forEach(type => {
+      if (!TYPES.includes(type)) {
+        throw new Error(`Invalid schema at ${path}: unknown type "${type}"`);
+      }
+    });
+
+    Object.entries(schema.properties || {}).forEach(([key, child]) =>
+      this.checkSchema(child, `${path}/properties/${key}`)
+    );
+    if (schema.items) {
+      this.checkSchema(schema.items, `${path}/items`);
+    }
+    ['allOf', 'anyOf', 'oneOf'].forEach(keyword => {
+      (schema[keyword] || []).forEach((child, index) =>
+        this.checkSchema(child, `${path}/${keyword}/${index}`)
+      );
+    });
+  }
+
+  /**
+   * Build a placeholder value shaped like a schema (used by dry runs)
+   *
+   * Objects get every declared property, arrays `minItems` items (at least
+   * one), strings a `<label>` marker. `const`, `enum` and numeric bounds are
+   * honoured; `pattern` and `not` aren't.
+   * @param {Object} schema - JSON Schema
+   * @param {string} [label='value'] - Marker for strings, extended with the path
+   * @returns {*}
+   */
+  sample(schema, label = 'value') {
+    if (!schema || typeof schema !== 'object') {
+      return `<${label}>`;
+    }
+    if (schema.const !== undefined) {
+      return schema.const;
+    }
+    if (schema.enum && schema.enum.length > 0) {
+      return schema.enum[0];
+    }
+    if (schema.allOf || schema.anyOf || schema.oneOf) {
+      const [first] = schema.allOf || schema.anyOf || schema.oneOf;
+      return this.sample(schema.allOf ? { ...schema, allOf: undefined, ...first } : first, label);
+    }
+
+    const type = schema.type === undefined
+      ? (schema.properties ? 'object' : schema.items ? 'array' : 'string')
+      : [].concat(schema.type)[0];
+
+    switch (type) {
+      case 'object':
+        return Object.fromEntries(Object.entries(schema.properties || {})
+          .map(([key, child]) => [key, this.sample(child, `${label}.${key}`)]));
+      case 'array':
+        return Array.from({ length: Math.max(1, schema.minItems || 0) }, (_, index) =>
+          this.sample(schema.items, `${label}[${index}]`));
+      case 'number':
+      case 'integer':
+        return schema.minimum !== undefined ? schema.minimum
+          : schema.exclusiveMinimum !== undefined ? schema.exclusiveMinimum + 1
+          : schema.maximum !== undefined ? Math.min(0, schema.maximum) : 0;
+      case 'boolean':
+        return false;
+      case 'null':
+        return null;
+      default: {
+        const marker = `<${label}>`;
+        return marker.length < (schema.minLength || 0) ? marker.padEnd(schema.minLength, '.') : marker;
+      }
+    }
+  }
+
+  /**
+   * Validate one node of the value
+   * @private
+   */
+  validateNode(value, schema, path, violations) {
+    const add = (keyword, message) => violations.push({ path: path || '/', keyword, message });
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => this.matchesType(value, type))) {
+        add('type', `must be ${types.join(' or ')}, got ${this.typeOf(value)}`);
+        return;
+      }
+    }
+
+    if (schema.enum && !schema.enum.some(option => this.isEqual(option, value))) {
+      add('enum', `must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (schema.const !== undefined && !this.isEqual(schema.const, value)) {
+      add('const', `must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+      this.validateString(value, schema, add);
+    }
+
+    if (typeof value === 'number') {
+      this.validateNumber(value, schema, add);
+    }
+
+    if (Array.isArray(value)) {
+      this.validateArray(value, schema, path, violations, add);
+    } else if (value !== null && typeof value === 'object') {
+      this.validateObject(value, schema, path, violations);
+    }
+
+    this.validateCombinators(value, schema, path, violations, add);
+  }
+
+  /**
+   * String keywords
+   * @private
+   */
+  validateString(value, schema, add) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      add('minLength', `must have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      add('maxLength', `must have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      add('pattern', `must match pattern ${schema.pattern}`);
+    }
+  }
+
+  /**
+   * Numeric keywords
+   * @private
+   */
+  validateNumber(value, schema, add) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      add('minimum', `must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      add('maximum', `must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      add('exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      add('exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  /**
+   * Array keywords
+   * @private
+   */
+  validateArray(value, schema, path, violations, add) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add('minItems', `must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      add('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => this.isEqual(item, other)) !== i)) {
+      add('uniqueItems', 'must not contain duplicate items');
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        this.validateNode(item, schema.items, `${path}/${index}`, violations)
+      );
+    }
+  }
+
+  /**
+   * Object keywords
+   * @private
+   */
+  validateObject(value, schema, path, violations) {
+    const properties = schema.properties || {};
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        violations.push({ path: `${path}/${this.escape(key)}`, keyword: 'required', message: 'is required' });
+      }
+    });
+
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = `${path}/${this.escape(key)}`;
+      if (properties[key]) {
+        this.validateNode(child, properties[key], childPath, violations);
+      } else if (schema.additionalProperties === false) {
+        violations.push({ path: childPath, keyword: 'additionalProperties', message: 'is not allowed' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        this.validateNode(child, schema.additionalProperties, childPath, violations);
+      }
+    });
+  }
+
+  /**
+   * allOf / anyOf / oneOf / not
+   * @private
+   */
+  validateCombinators(value, schema, path, violations, add) {
+    if (schema.allOf) {
+      schema.allOf.forEach(child => this.validateNode(value, child, path, violations));
+    }
+    if (schema.anyOf && !schema.anyOf.some(child => this.validate(value, child).length === 0)) {
+      add('anyOf', 'must match at least one allowed schema');
+    }
+    if (schema.oneOf) {
+      const matches = schema.oneOf.filter(child => this.validate(value, child).length === 0).length;
+      if (matches !== 1) {
+        add('oneOf', `must match exactly one allowed schema (matched ${matches})`);
+      }
+    }
+    if (schema.not && this.validate(value, schema.not).length === 0) {
+      add('not', 'must not match the disallowed schema');
+    }
+  }
+
+  /**
+   * Check a value against a single JSON Schema type
+   * @private
+   */
+  matchesType(value, type) {
+    switch (type) {
+      case 'integer':
+        return Number.isInteger(value);
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * JSON type name of a value, for messages
+   * @private
+   */
+  typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Structural equality for enum / const / uniqueItems
+   * @private
+   */
+  isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Escape a key for use in a JSON Pointer
+   * @private
+   */
+  escape(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+  }
+}
+
+module.exports = { SchemaValidator };
@@ -0,0 +1,246 @@
+/**
+ * RunManifest - Tamper-evident, hash-chained record of a pipeline run
+ *
+ * Every entry is hashed together with the previous entry's hash:
+ *
+ * {
+ *   index: 3,
+ *   type: 'step',                  // 'run:start' | 'policy' | 'approval' | 'step' | 'run:complete'
+ *   timestamp: '...',
+ *   record: { ... },               // step input, agent context, output hash, signature, decisions
+ *   prevHash: '<hash of entry 2>',
+ *   hash: sha256(canonical JSON of the fields above)
+ * }
+ *
+ * `head` is the last entry's hash; signing the manifest signs the head, so
+ * editing, removing or reordering any entry is detectable.
+ */
+
+const crypto = require('crypto');
+const { SignatureVerifier } = require('./SignatureVerifier');
+
+const MANIFEST_VERSION = 1;
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * Hash an entry's content fields
+ * @private
+ */
+function hashEntry({ index, type, timestamp, record, prevHash }) {
+  return crypto.createHash('sha256')
+    .update(SignatureVerifier.canonicalize({ index, type, timestamp, record, prevHash }))
+    .digest('hex');
+}
+
+/**
+ * Digest algorithm for a signing key (none for EdDSA keys)
+ * @private
+ */
+function digestFor(key) {
+  return ['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256';
+}
+
+class RunManifest {
+  /**
+   * @param {Object} header - { runId, pipelineId, pipelineVersion }
+   */
+  constructor({ runId, pipelineId, pipelineVersion }) {
+    this.version = MANIFEST_VERSION;
+    this.runId = runId;
+    this.pipelineId = pipelineId;
+    this.pipelineVersion = pipelineVersion;
+    this.entries = [];
+    this.head = GENESIS_HASH;
+    this.signature = null;
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {string} type - Entry type
+   * @param {Object} record - Entry data (stored as plain JSON)
+   * @returns {Object} The entry
+   */
+  append(type, record) {
+    const entry = {
+      index: this.entries.length,
+      type,
+      timestamp: new Date().toISOString(),
+      // Normalize so the hash survives a JSON round trip
+      record: JSON.parse(JSON.stringify(record === undefined ? null : record)),
+      prevHash: this.head
+    };
+    entry.hash = hashEntry(entry);
+
+    this.entries.push(entry);
+    this.head = entry.hash;
+    return entry;
+  }
+
+  /**
+   * Sign the chain head with a local private key
+   * @param {string|Buffer|crypto.KeyObject} privateKey - PEM or key object
+   * @returns {RunManifest} this
+   */
+  sign(privateKey) {
+    const key = privateKey instanceof crypto.KeyObject ? privateKey : crypto.createPrivateKey(privateKey);
+    const publicKey = crypto.createPublicKey(key);
+
+    this.signature = {
+      algorithm: key.asymmetricKeyType,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      value: crypto.sign(digestFor(key), Buffer.from(this.head), key).toString('base64'),
+      signedAt: new Date().toISOString()
+    };
+    return this;
+  }
+
+  toJSON() {
+    return {
+      version: this.version,
+      runId: this.runId,
+      pipelineId: this.pipelineId,
+      pipelineVersion: this.pipelineVersion,
+      entries: this.entries,
+      head: this.head,
+      signature: this.signature
+    };
+  }
+
+  /**
+   * Re-compute a manifest's chain and check its signatures
+   *
+   * @param {Object} manifest - Manifest JSON
+   * @param {Object} [options]
+   * @param {string|crypto.KeyObject|Array<string|crypto.KeyObject>} [options.publicKey] - Trusted
+   *   manifest signer(s); without one a signature is at best 'untrusted', since
+   *   anyone can re-chain an edited manifest and sign it with their own key
+   * @param {string[]} [options.trustedKeys] - Trusted agent keys; when given,
+   *   agent signatures by other keys are reported
+   * @param {Object} [options.result] - Saved pipeline result to check against
+   *   the manifest's output hashes
+   * @returns {Object} { valid, entries, firstTampered, signature, agentSignatures, outputs }
+   */
+  static verify(manifest, options = {}) {
+    const report = {
+      valid: true,
+      entries: 0,
+      firstTampered: null,
+      signature: 'unsigned',
+      agentSignatures: [],
+      outputs: []
+    };
+
+    if (!manifest || !Array.isArray(manifest.entries)) {
+      return { ...report, valid: false, firstTampered: { index: 0, type: null, reason: 'not a run manifest' } };
+    }
+    report.entries = manifest.entries.length;
+
+    let prevHash = GENESIS_HASH;
+    for (let i = 0; i < manifest.entries.length; i++) {
+      const entry = manifest.entries[i];
+      const reason =
+        entry.index !== i ? `entry index ${entry.index} is out of order` :
+        entry.prevHash !== prevHash ? 'link to the previous entry is broken' :
+        entry.hash !== hashEntry(entry) ? 'entry content does not match its hash' :
+        null;
+
+      if (reason) {
+        report.firstTampered = { index: i, type: entry.type, stepId: entry.record && entry.record.stepId, reason };
+        break;
+      }
+      prevHash = entry.hash;
+    }
+
+    if (!report.firstTampered && manifest.head !== prevHash) {
+      report.firstTampered = { index: manifest.entries.length, type: null, reason: 'head does not match the last entry (entries removed?)' };
+    }
+
+    report.signature = RunManifest.checkSignature(manifest, options.publicKey);
+    report.agentSignatures = RunManifest.checkAgentSignatures(manifest, options.trustedKeys);
+    if (options.result) {
+      report.outputs = RunManifest.checkOutputs(manifest, options.result);
+    }
+
+    // Without an expected signer 'untrusted' is no worse than 'unsigned'
+    report.valid = !report.firstTampered &&
+      report.signature !== 'invalid' &&
+      !(report.signature === 'untrusted' && [].concat(options.publicKey || []).length > 0) &&
+      report.agentSignatures.every(check => check.status === 'verified') &&
+      report.outputs.every(check => check.matches);
+
+    return report;
+  }
+
+  /**
+   * @private
+   * @returns {string} 'valid' (signed by an expected key) | 'invalid' | 'untrusted' | 'unsigned'
+   */
+  static checkSignature(manifest, expectedKeys) {
+    const { signature } = manifest;
+    const expected = [].concat(expectedKeys || []);
+    if (!signature) {
+      return expected.length > 0 ? 'invalid' : 'unsigned';
+    }
+
+    try {
+      const key = crypto.createPublicKey(signature.publicKey);
+      const valid = crypto.verify(digestFor(key), Buffer.from(manifest.head), key, Buffer.from(signature.value, 'base64'));
+      if (!valid) {
+        return 'invalid';
+      }
+      // The embedded key proves nothing by itself: it must be one we expect
+      const exported = (k) => k.export({ type: 'spki', format: 'der' }).toString('hex');
+      const trusted = expected
+        .map(k => (k instanceof crypto.KeyObject ? k : crypto.createPublicKey(k)))
+        .some(k => exported(k) === exported(key));
+      return trusted ? 'valid' : 'untrusted';
+    } catch (error) {
+      return 'invalid';
+    }
+  }
+
+  /**
+   * Check the agent signatures recorded in step entries
+   * @private
+   */
+  static checkAgentSignatures(manifest, trustedKeys) {
+    const verifier = new SignatureVerifier({ trustedKeys: trustedKeys || [] });
+
+    return manifest.entries
+      .filter(entry => entry.type === 'step')
+      .flatMap(entry => [entry.record, ...(entry.record.items || [])]
+        .filter(record => record.signature)
+        .map(record => {
+          const check = { stepId: entry.record.stepId, index: entry.index };
+          if (record.itemIndex !== undefined) {
+            check.itemIndex = record.itemIndex;
+          }
+
+          if (!verifier.verifySignature(record.signature)) {
+            return { ...check, status: 'invalid', reason: 'signature does not match the public key' };
+          }
+          if (trustedKeys && !verifier.isTrusted(record.signature.publicKey)) {
+            return { ...check, status: 'untrusted', reason: 'public key is not trusted' };
+          }
+          return { ...check, status: 'verified' };
+        }));
+  }
+
+  /**
+   * Compare saved step outputs with the hashes in the manifest
+   * @private
+   */
+  static checkOutputs(manifest, result) {
+    const recorded = new Map(manifest.entries
+      .filter(entry => entry.type === 'step')
+      .map(entry => [entry.record.stepId, entry.record.outputHash]));
+
+    return (result.steps || []).map(step => {
+      const matches = recorded.has(step.stepId) &&
+        recorded.get(step.stepId) === SignatureVerifier.hashPayload(step.data === undefined ? null : step.data);
+      return { stepId: step.stepId, matches };
+    });
+  }
+}
+
+module.exports = { RunManifest };
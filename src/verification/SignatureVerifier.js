@@ -0,0 +1,198 @@
+/**
+ * SignatureVerifier - Checks Schema.ICU response signatures
+ *
+ * A signed response carries:
+ *
+ * {
+ *   hash: '3f2a...',        // hex SHA-256 of the canonical JSON of `data`
+ *   signature: 'H/2Ta...',  // BSV (Bitcoin Signed Message) signature of `hash`
+ *   publicKey: '03657...',  // secp256k1 public key, hex
+ *   signedAt: '...'
+ * }
+ *
+ * Signatures may be compact (65 bytes, base64) or DER (hex). A response is
+ * `verified` only when the hash matches the payload, the public key is
+ * trusted and the signature checks out; otherwise it is `invalid`, or
+ * `unsigned` when no signature was returned.
+ */
+
+const crypto = require('crypto');
+
+const MESSAGE_PREFIX = 'Bitcoin Signed Message:\n';
+
+// DER SubjectPublicKeyInfo headers for secp256k1 points
+const SPKI_PREFIX = {
+  33: Buffer.from('3036301006072a8648ce3d020106052b8104000a032200', 'hex'),
+  65: Buffer.from('3056301006072a8648ce3d020106052b8104000a034200', 'hex')
+};
+
+class SignatureVerifier {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.trustedKeys] - Trusted public keys (hex)
+   */
+  constructor(options = {}) {
+    this.trustedKeys = new Set((options.trustedKeys || []).map(key => key.toLowerCase()));
+  }
+
+  /**
+   * Serialize a value as JSON with object keys sorted
+   * @param {*} value - Value to serialize
+   * @returns {string}
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => SignatureVerifier.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${SignatureVerifier.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Hash a response payload
+   * @param {*} payload - Response data
+   * @returns {string} Hex SHA-256 of the canonical JSON
+   */
+  static hashPayload(payload) {
+    return crypto.createHash('sha256').update(SignatureVerifier.canonicalize(payload)).digest('hex');
+  }
+
+  /**
+   * Encode a message the way BSV message signing does before hashing:
+   * varint-prefixed magic string followed by the varint-prefixed message
+   * @param {string} message - Signed message
+   * @returns {Buffer}
+   */
+  static encodeMessage(message) {
+    const prefix = Buffer.from(MESSAGE_PREFIX);
+    const body = Buffer.from(message);
+    return Buffer.concat([varint(prefix.length), prefix, varint(body.length), body]);
+  }
+
+  /**
+   * Verify a response signature
+   * @param {*} payload - Response data the signature covers
+   * @param {Object} [signature] - { hash, signature, publicKey, signedAt }
+   * @returns {Object} { status: 'verified'|'unsigned'|'invalid', publicKey?, reason? }
+   */
+  verify(payload, signature) {
+    if (!signature || !signature.signature) {
+      return { status: 'unsigned', reason: 'response is not signed' };
+    }
+
+    const publicKey = String(signature.publicKey || '').toLowerCase();
+    const invalid = (reason) => ({ status: 'invalid', publicKey, reason });
+
+    if (signature.hash !== SignatureVerifier.hashPayload(payload)) {
+      return invalid('payload does not match the signed hash');
+    }
+
+    if (!this.isTrusted(publicKey)) {
+      return invalid(`public key ${publicKey.slice(0, 16)}... is not trusted`);
+    }
+
+    let valid;
+    try {
+      valid = this.checkSignature(signature);
+    } catch (error) {
+      return invalid(`malformed signature or key: ${error.message}`);
+    }
+
+    return valid ? { status: 'verified', publicKey } : invalid('signature does not match the public key');
+  }
+
+  /**
+   * Check that a signature over `signature.hash` was made by its public key,
+   * without checking the payload or trust
+   * @param {Object} signature - { hash, signature, publicKey }
+   * @returns {boolean}
+   */
+  verifySignature(signature) {
+    try {
+      return Boolean(signature && signature.signature) && this.checkSignature(signature);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * @param {string} publicKey - Public key (hex)
+   * @returns {boolean}
+   */
+  isTrusted(publicKey) {
+    return this.trustedKeys.has(String(publicKey || '').toLowerCase());
+  }
+
+  /**
+   * @private
+   * @throws {Error} On a malformed signature or key
+   */
+  checkSignature(signature) {
+    const key = this.toPublicKey(String(signature.publicKey || '').toLowerCase());
+    const { bytes, dsaEncoding } = this.decodeSignature(signature.signature);
+    // BSV signs sha256(sha256(message)); verify('sha256') applies the outer hash
+    const inner = crypto.createHash('sha256').update(SignatureVerifier.encodeMessage(signature.hash)).digest();
+    return crypto.verify('sha256', inner, { key, dsaEncoding }, bytes);
+  }
+
+  /**
+   * Import a hex secp256k1 public key
+   * @private
+   */
+  toPublicKey(hex) {
+    const point = Buffer.from(hex, 'hex');
+    if (!SPKI_PREFIX[point.length]) {
+      throw new Error(`unexpected public key length ${point.length}`);
+    }
+    return crypto.createPublicKey({
+      key: Buffer.concat([SPKI_PREFIX[point.length], point]),
+      format: 'der',
+      type: 'spki'
+    });
+  }
+
+  /**
+   * Decode a compact (base64) or DER (hex) signature
+   * @private
+   */
+  decodeSignature(signature) {
+    if (/^30[0-9a-f]+$/i.test(signature)) {
+      return { bytes: Buffer.from(signature, 'hex'), dsaEncoding: 'der' };
+    }
+
+    const compact = Buffer.from(signature, 'base64');
+    if (compact.length !== 65) {
+      throw new Error(`unexpected signature length ${compact.length}`);
+    }
+    // First byte is the recovery header; r || s follow
+    return { bytes: compact.subarray(1), dsaEncoding: 'ieee-p1363' };
+  }
+}
+
+/**
+ * Bitcoin variable-length integer
+ * @private
+ */
+function varint(n) {
+  if (n < 0xfd) {
+    return Buffer.from([n]);
+  }
+  if (n <= 0xffff) {
+    const buffer = Buffer.alloc(3);
+    buffer[0] = 0xfd;
+    buffer.writeUInt16LE(n, 1);
+    return buffer;
+  }
+  const buffer = Buffer.alloc(5);
+  buffer[0] = 0xfe;
+  buffer.writeUInt32LE(n, 1);
+  return buffer;
+}
+
+module.exports = { SignatureVerifier };
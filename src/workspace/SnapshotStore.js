@@ -0,0 +1,437 @@
+/**
+ * SnapshotStore - Snapshots of workspace files, so applied actions can be rolled back
+ *
+ * ActionExecutor captures every file before it first changes it, under the
+ * id of the run being applied. Contents are kept one of two ways:
+ * - `git` (the root is inside a git work tree): written to the object
+ *   database with `git hash-object -w` and, once the run is committed, kept
+ *   alive by a commit under `refs/schema-icu/snapshots/<runId>`, like
+ *   `git stash` does
+ * - `copy` (anywhere else): copied to a shadow directory `<directory>/<runId>/`
+ *
+ * The directory defaults to `.git/schema-icu/snapshots` in a work tree (so
+ * commits never pick snapshots up) and `<root>/.schema-icu/snapshots` elsewhere.
+ *
+ * Either way `<directory>/<runId>.json` is the manifest: the captured files
+ * (whether each existed, its permissions, where its content is) and the
+ * run's status - 'open' while applying, 'applied' once committed,
+ * 'rolled-back' afterwards. Rolling back rewrites captured files byte for
+ * byte and removes the ones (and the directories) that didn't exist.
+ *
+ * Only files are captured: side effects of commands, branches and commits
+ * are not undone.
+ */
+
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const path = require('path');
+
+const SNAPSHOT_MODES = ['auto', 'git', 'copy'];
+
+const SNAPSHOT_REF_PREFIX = 'refs/schema-icu/snapshots/';
+
+/**
+ * Reject run ids that could escape the snapshot directory or make bad refs
+ * @private
+ */
+function assertValidRunId(runId) {
+  if (typeof runId !== 'string' || !/^[A-Za-z0-9._-]+$/.test(runId) || runId.startsWith('.') ||
+      runId.includes('..') || runId.endsWith('.lock')) {
+    throw new Error(`Invalid run id: ${runId}`);
+  }
+}
+
+/**
+ * Run git in a directory
+ * @private
+ * @returns {Promise<Buffer>} stdout
+ */
+function git(cwd, args, input, env) {
+  return new Promise((resolve, reject) => {
+    const child = spawn('git', args, {
+      cwd,
+      env: env ? { ...process.env, ...env } : process.env,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+    const stdout = [];
+    const stderr = [];
+    child.stdout.on('data', chunk => stdout.push(chunk));
+    child.stderr.on('data', chunk => stderr.push(chunk));
+    child.on('error', reject);
+    child.on('close', code => {
+      if (code === 0) {
+        resolve(Buffer.concat(stdout));
+      } else {
+        reject(new Error(`git ${args[0]} failed: ${Buffer.concat(stderr).toString().trim()}`));
+      }
+    });
+    if (input !== undefined) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * @private
+ */
+function hash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * @private
+ */
+async function exists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Content of a file, or null when it doesn't exist
+ * @private
+ */
+async function readIfExists(file) {
+  try {
+    return await fs.readFile(file);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+class SnapshotStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root=process.cwd()] - Workspace root; captured paths are relative to it
+   * @param {string} [options.directory] - Where manifests and copies go
+   *   (default `.git/schema-icu/snapshots`, or `<root>/.schema-icu/snapshots` outside git)
+   * @param {string} [options.mode='auto'] - 'git', 'copy', or 'auto' (git inside a work tree)
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || process.cwd());
+    this.directory = options.directory || null;
+    this.mode = options.mode || 'auto';
+    if (!SNAPSHOT_MODES.includes(this.mode)) {
+      throw new Error(`Unknown snapshot mode: ${this.mode} (use ${SNAPSHOT_MODES.join(', ')})`);
+    }
+  }
+
+  /**
+   * Start a snapshot for a run
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Manifest
+   * @throws {Error} When the run already has a snapshot that wasn't rolled back
+   */
+  async begin(runId) {
+    assertValidRunId(runId);
+    const existing = await this.load(runId);
+    if (existing && existing.status !== 'rolled-back') {
+      throw new Error(`Run ${runId} already has ${existing.status === 'open' ? 'unfinished' : 'applied'} changes; roll them back first`);
+    }
+
+    const now = new Date().toISOString();
+    const manifest = {
+      runId,
+      root: this.root,
+      mode: this.mode === 'auto' ? (await this.getGitDirectory() ? 'git' : 'copy') : this.mode,
+      status: 'open',
+      createdAt: now,
+      updatedAt: now,
+      files: []
+    };
+    if (manifest.mode === 'copy') {
+      await fs.rm(await this.getCopyDirectory(runId), { recursive: true, force: true });
+    }
+    await this.save(manifest);
+    return manifest;
+  }
+
+  /**
+   * Capture files before they change; files already captured are kept as they were
+   * @param {string} runId - Run ID of an open snapshot
+   * @param {Array<string>} targets - Paths relative to the root
+   * @returns {Promise<Object>} Manifest
+   */
+  async capture(runId, targets) {
+    const manifest = await this.loadOpen(runId);
+
+    for (const target of targets) {
+      const file = this.resolve(target);
+      const relative = path.relative(this.root, file);
+      if (manifest.files.some(entry => entry.path === relative)) {
+        continue;
+      }
+
+      const content = await readIfExists(file);
+      const entry = { path: relative, existed: content !== null };
+      if (content !== null) {
+        entry.mode = (await fs.stat(file)).mode & 0o7777;
+        if (manifest.mode === 'git') {
+          entry.blob = (await git(this.root, ['hash-object', '-w', '--no-filters', '--stdin'], content)).toString().trim();
+        } else {
+          const copies = await this.getCopyDirectory(runId);
+          entry.copy = String(manifest.files.length);
+          await fs.mkdir(copies, { recursive: true });
+          await fs.writeFile(path.join(copies, entry.copy), content);
+        }
+      } else {
+        // Topmost directory that will be created for the file, removed on rollback
+        let missing = null;
+        for (let dir = path.dirname(file); dir !== this.root && !await exists(dir); dir = path.dirname(dir)) {
+          missing = path.relative(this.root, dir);
+        }
+        if (missing) {
+          entry.createdDir = missing;
+        }
+      }
+      manifest.files.push(entry);
+    }
+
+    await this.save(manifest);
+    return manifest;
+  }
+
+  /**
+   * Mark an open snapshot as applied, recording what the files look like now
+   * (so a later rollback can tell whether they were changed since)
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object>} Manifest
+   */
+  async commit(runId) {
+    const manifest = await this.loadOpen(runId);
+
+    for (const entry of manifest.files) {
+      const content = await readIfExists(this.resolve(entry.path));
+      entry.after = content === null ? null : hash(content);
+    }
+
+    if (manifest.mode === 'git') {
+      // Pin the blobs so `git gc` keeps them (flat tree, one entry per captured file)
+      const entries = manifest.files.filter(entry => entry.blob)
+        .map(entry => `100644 blob ${entry.blob}\t${manifest.files.indexOf(entry)}\n`).join('');
+      const tree = (await git(this.root, ['mktree'], entries)).toString().trim();
+      const commit = (await git(this.root, ['commit-tree', tree, '-m', `schema-icu snapshot ${runId}`], undefined, {
+        GIT_AUTHOR_NAME: process.env.GIT_AUTHOR_NAME || 'schema-icu',
+        GIT_AUTHOR_EMAIL: process.env.GIT_AUTHOR_EMAIL || 'schema-icu@localhost',
+        GIT_COMMITTER_NAME: process.env.GIT_COMMITTER_NAME || 'schema-icu',
+        GIT_COMMITTER_EMAIL: process.env.GIT_COMMITTER_EMAIL || 'schema-icu@localhost'
+      })).toString().trim();
+      await git(this.root, ['update-ref', `${SNAPSHOT_REF_PREFIX}${runId}`, commit]);
+      manifest.ref = `${SNAPSHOT_REF_PREFIX}${runId}`;
+    }
+
+    manifest.status = 'applied';
+    await this.save(manifest);
+    return manifest;
+  }
+
+  /**
+   * Restore every captured file of a run
+   * @param {string} runId - Run ID
+   * @param {Object} [options]
+   * @param {boolean} [options.force=false] - Roll back an applied run even if its files changed since
+   * @returns {Promise<Object>} { runId, restored: [paths], removed: [paths] }
+   */
+  async rollback(runId, options = {}) {
+    assertValidRunId(runId);
+    const manifest = await this.load(runId);
+    if (!manifest) {
+      throw new Error(`No snapshot found for run: ${runId}`);
+    }
+    if (manifest.status === 'rolled-back') {
+      throw new Error(`Run ${runId} was already rolled back`);
+    }
+
+    if (manifest.status === 'applied' && !options.force) {
+      const changed = [];
+      for (const entry of manifest.files) {
+        const content = await readIfExists(this.resolve(entry.path));
+        if ((content === null ? null : hash(content)) !== entry.after) {
+          changed.push(entry.path);
+        }
+      }
+      if (changed.length > 0) {
+        throw new Error(`Files changed since run ${runId} was applied: ${changed.join(', ')} (use force to roll back anyway)`);
+      }
+    }
+
+    const restored = [];
+    const removed = [];
+    for (const entry of [...manifest.files].reverse()) {
+      const file = this.resolve(entry.path);
+      if (entry.existed) {
+        const content = entry.blob
+          ? await git(this.root, ['cat-file', 'blob', entry.blob])
+          : await fs.readFile(path.join(await this.getCopyDirectory(runId), entry.copy));
+        await fs.rm(file, { recursive: true, force: true });
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, content);
+        await fs.chmod(file, entry.mode);
+        restored.push(entry.path);
+      } else {
+        if (await exists(file)) {
+          await fs.rm(file, { recursive: true, force: true });
+          removed.push(entry.path);
+        }
+        if (entry.createdDir) {
+          await this.removeEmptyDirectories(path.dirname(file), this.resolve(entry.createdDir));
+        }
+      }
+    }
+
+    if (manifest.ref) {
+      await git(this.root, ['update-ref', '-d', manifest.ref]).catch(() => {});
+    }
+    await fs.rm(await this.getCopyDirectory(runId), { recursive: true, force: true });
+
+    manifest.status = 'rolled-back';
+    await this.save(manifest);
+    return { runId, restored: restored.reverse(), removed: removed.reverse() };
+  }
+
+  /**
+   * Load a manifest
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>}
+   */
+  async load(runId) {
+    assertValidRunId(runId);
+    const content = await readIfExists(await this.getPath(runId));
+    return content === null ? null : JSON.parse(content.toString());
+  }
+
+  /**
+   * List snapshots, most recently updated first
+   * @returns {Promise<Array<Object>>} Summaries: { runId, mode, status, createdAt, updatedAt, files }
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(await this.getDirectory());
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+
+    const manifests = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.load(path.basename(file, '.json'))));
+
+    return manifests
+      .filter(Boolean)
+      .map(({ runId, mode, status, createdAt, updatedAt, files: captured }) =>
+        ({ runId, mode, status, createdAt, updatedAt, files: captured.length }))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * @private
+   */
+  async loadOpen(runId) {
+    const manifest = await this.load(runId);
+    if (!manifest || manifest.status !== 'open') {
+      throw new Error(`No open snapshot for run: ${runId}`);
+    }
+    return manifest;
+  }
+
+  /**
+   * Write a manifest atomically (temp file + rename)
+   * @private
+   */
+  async save(manifest) {
+    manifest.updatedAt = new Date().toISOString();
+    const filePath = await this.getPath(manifest.runId);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(manifest, null, 2));
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Absolute path of a file inside the root
+   * @private
+   */
+  resolve(target) {
+    const resolved = path.resolve(this.root, target);
+    const relative = path.relative(this.root, resolved);
+    if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new Error(`Target ${target} is outside the workspace root ${this.root}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Remove `dir` and its parents up to `top` while they are empty
+   * @private
+   */
+  async removeEmptyDirectories(dir, top) {
+    for (let current = dir; ; current = path.dirname(current)) {
+      try {
+        await fs.rmdir(current);
+      } catch (error) {
+        return;
+      }
+      if (current === top || path.dirname(current) === current) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * The repository's git directory, or null outside a work tree
+   * @private
+   */
+  async getGitDirectory() {
+    if (this.gitDirectory === undefined) {
+      try {
+        const inside = (await git(this.root, ['rev-parse', '--is-inside-work-tree'])).toString().trim() === 'true';
+        this.gitDirectory = inside
+          ? path.resolve(this.root, (await git(this.root, ['rev-parse', '--git-dir'])).toString().trim())
+          : null;
+      } catch (error) {
+        this.gitDirectory = null;
+      }
+    }
+    return this.gitDirectory;
+  }
+
+  /**
+   * @private
+   */
+  async getDirectory() {
+    if (!this.directory) {
+      const gitDirectory = await this.getGitDirectory();
+      this.directory = gitDirectory
+        ? path.join(gitDirectory, 'schema-icu', 'snapshots')
+        : path.join(this.root, '.schema-icu', 'snapshots');
+    }
+    return this.directory;
+  }
+
+  /**
+   * @private
+   */
+  async getPath(runId) {
+    return path.join(await this.getDirectory(), `${runId}.json`);
+  }
+
+  /**
+   * Shadow copies of a run (copy mode)
+   * @private
+   */
+  async getCopyDirectory(runId) {
+    return path.join(await this.getDirectory(), runId);
+  }
+}
+
+module.exports = { SnapshotStore, SNAPSHOT_MODES };